@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Document" ADD COLUMN "chunkCount" INTEGER;
+ALTER TABLE "Document" ADD COLUMN "error" TEXT;
+ALTER TABLE "Document" ADD COLUMN "indexedAt" DATETIME;
+ALTER TABLE "Document" ADD COLUMN "pageCount" INTEGER;
+ALTER TABLE "Document" ADD COLUMN "status" TEXT NOT NULL DEFAULT 'pending';
+
+-- Documents uploaded before status tracking were processed inline by the upload
+-- request, which failed loudly, so they are assumed to be indexed.
+UPDATE "Document" SET "status" = 'ready';
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "dailyTokenLimit" INTEGER;
+ALTER TABLE "User" ADD COLUMN "monthlyTokenLimit" INTEGER;
+
+-- CreateTable
+CREATE TABLE "UsageEvent" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "feature" TEXT NOT NULL,
+    "tokensUsed" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "chatId" TEXT,
+    "userId" TEXT NOT NULL,
+    CONSTRAINT "UsageEvent_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "UsageEvent_userId_createdAt_idx" ON "UsageEvent"("userId", "createdAt");
+
+-- Backfill the ledger from the token counts already stored on messages and charts
+INSERT INTO "UsageEvent" ("id", "feature", "tokensUsed", "createdAt", "chatId", "userId")
+SELECT lower(hex(randomblob(16))), 'answer', "Message"."tokensUsed", "Message"."timestamp", "Message"."chatId", "Chat"."userId"
+FROM "Message" JOIN "Chat" ON "Chat"."id" = "Message"."chatId"
+WHERE "Message"."sender" = 'assistant' AND "Message"."tokensUsed" > 0;
+
+INSERT INTO "UsageEvent" ("id", "feature", "tokensUsed", "createdAt", "chatId", "userId")
+SELECT lower(hex(randomblob(16))), 'chart', "tokensUsed", "createdAt", "chatId", "userId"
+FROM "Chart"
+WHERE "tokensUsed" > 0;
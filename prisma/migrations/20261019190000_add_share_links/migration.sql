@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "Share" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" DATETIME,
+    "revokedAt" DATETIME,
+    "viewCount" INTEGER NOT NULL DEFAULT 0,
+    "lastViewedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "chatId" TEXT,
+    "chartId" TEXT,
+    "userId" TEXT NOT NULL,
+    CONSTRAINT "Share_chatId_fkey" FOREIGN KEY ("chatId") REFERENCES "Chat" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Share_chartId_fkey" FOREIGN KEY ("chartId") REFERENCES "Chart" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Share_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Share_tokenHash_key" ON "Share"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "Share_userId_idx" ON "Share"("userId");
@@ -0,0 +1,106 @@
+/*
+  Warnings:
+
+  - The unique constraint on `title` of the `Chat` table is dropped; titles only have to be unique within a workspace.
+  - The search triggers on "Chat" and "Document" are dropped with the old tables. services/searchIndex.js creates them again when the server starts.
+
+*/
+-- CreateTable
+CREATE TABLE "Workspace" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "personal" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "WorkspaceMember" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "role" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "workspaceId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    CONSTRAINT "WorkspaceMember_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "Workspace" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "WorkspaceMember_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "WorkspaceInvitation" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "email" TEXT NOT NULL,
+    "role" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL,
+    "acceptedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "workspaceId" TEXT NOT NULL,
+    "invitedById" TEXT NOT NULL,
+    CONSTRAINT "WorkspaceInvitation_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "Workspace" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "WorkspaceInvitation_invitedById_fkey" FOREIGN KEY ("invitedById") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- Every existing user gets a personal workspace holding their chats and documents.
+-- It reuses the user's id, so the rows below can point at it without a lookup.
+INSERT INTO "Workspace" ("id", "name", "personal", "createdAt", "updatedAt")
+SELECT "id", "username" || '''s workspace', true, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+FROM "User";
+
+INSERT INTO "WorkspaceMember" ("id", "role", "workspaceId", "userId")
+SELECT lower(hex(randomblob(16))), 'owner', "id", "id"
+FROM "User";
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Chat" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "title" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "userId" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    CONSTRAINT "Chat_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Chat_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "Workspace" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_Chat" ("createdAt", "id", "title", "updatedAt", "userId", "workspaceId") SELECT "createdAt", "id", "title", "updatedAt", "userId", "userId" FROM "Chat";
+DROP TABLE "Chat";
+ALTER TABLE "new_Chat" RENAME TO "Chat";
+CREATE INDEX "Chat_workspaceId_idx" ON "Chat"("workspaceId");
+CREATE TABLE "new_Document" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "fileName" TEXT NOT NULL,
+    "filePath" TEXT NOT NULL,
+    "fileType" TEXT NOT NULL,
+    "fileSize" REAL NOT NULL,
+    "uploadedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "error" TEXT,
+    "chunkCount" INTEGER,
+    "pageCount" INTEGER,
+    "indexedAt" DATETIME,
+    "userId" TEXT NOT NULL,
+    "chatId" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    CONSTRAINT "Document_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Document_chatId_fkey" FOREIGN KEY ("chatId") REFERENCES "Chat" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Document_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "Workspace" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_Document" ("chatId", "chunkCount", "error", "fileName", "filePath", "fileSize", "fileType", "id", "indexedAt", "pageCount", "status", "uploadedAt", "userId", "workspaceId") SELECT "Document"."chatId", "Document"."chunkCount", "Document"."error", "Document"."fileName", "Document"."filePath", "Document"."fileSize", "Document"."fileType", "Document"."id", "Document"."indexedAt", "Document"."pageCount", "Document"."status", "Document"."uploadedAt", "Document"."userId", "Chat"."workspaceId" FROM "Document" JOIN "Chat" ON "Chat"."id" = "Document"."chatId";
+DROP TABLE "Document";
+ALTER TABLE "new_Document" RENAME TO "Document";
+CREATE INDEX "Document_workspaceId_idx" ON "Document"("workspaceId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE INDEX "WorkspaceMember_userId_idx" ON "WorkspaceMember"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WorkspaceMember_workspaceId_userId_key" ON "WorkspaceMember"("workspaceId", "userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WorkspaceInvitation_tokenHash_key" ON "WorkspaceInvitation"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "WorkspaceInvitation_workspaceId_idx" ON "WorkspaceInvitation"("workspaceId");
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "Chart" ADD COLUMN "version" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "ChartVersion" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "version" INTEGER NOT NULL,
+    "source" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "data" TEXT NOT NULL,
+    "config" TEXT NOT NULL,
+    "prompt" TEXT NOT NULL,
+    "tokensUsed" INTEGER NOT NULL DEFAULT 0,
+    "restoredFrom" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "chartId" TEXT NOT NULL,
+    "userId" TEXT,
+    CONSTRAINT "ChartVersion_chartId_fkey" FOREIGN KEY ("chartId") REFERENCES "Chart" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "ChartVersion_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ChartVersion_chartId_version_key" ON "ChartVersion"("chartId", "version");
+
+-- Charts that already have data start their history with it as version 1
+INSERT INTO "ChartVersion" ("id", "version", "source", "type", "label", "data", "config", "prompt", "tokensUsed", "createdAt", "chartId", "userId")
+SELECT lower(hex(randomblob(16))), 1, 'generated', "type", "label", "data", "config", "createdFrom", COALESCE("tokensUsed", 0), "createdAt", "id", "userId"
+FROM "Chart"
+WHERE "status" = 'ready';
+
+UPDATE "Chart" SET "version" = 1 WHERE "status" = 'ready';
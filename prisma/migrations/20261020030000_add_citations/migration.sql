@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "Citation" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "position" INTEGER NOT NULL,
+    "page" INTEGER,
+    "chunkText" TEXT NOT NULL,
+    "score" REAL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "messageId" TEXT NOT NULL,
+    "documentId" TEXT,
+    CONSTRAINT "Citation_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Citation_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "Document" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Citation_messageId_position_idx" ON "Citation"("messageId", "position");
+
+-- CreateIndex
+CREATE INDEX "Citation_documentId_idx" ON "Citation"("documentId");
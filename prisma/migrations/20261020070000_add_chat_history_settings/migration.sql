@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Chat" ADD COLUMN "historyMessages" INTEGER NOT NULL DEFAULT 6;
+ALTER TABLE "Chat" ADD COLUMN "historyTokenBudget" INTEGER;
+ALTER TABLE "Chat" ADD COLUMN "summarizeHistory" BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE "Chat" ADD COLUMN "summary" TEXT;
+ALTER TABLE "Chat" ADD COLUMN "summaryUpTo" DATETIME;
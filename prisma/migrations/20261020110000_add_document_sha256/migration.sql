@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Document" ADD COLUMN "sha256" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Document_chatId_sha256_key" ON "Document"("chatId", "sha256");
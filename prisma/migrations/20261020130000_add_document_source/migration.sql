@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Document" ADD COLUMN "sourceType" TEXT NOT NULL DEFAULT 'file';
+ALTER TABLE "Document" ADD COLUMN "sourceUrl" TEXT;
@@ -0,0 +1,65 @@
+/*
+  Warnings:
+
+  - Documents no longer belong to a chat. Each existing document is attached to the chat it was uploaded to, and stays in its workspace's library when that chat is deleted.
+  - Documents are now deduplicated per workspace. Where the same file was uploaded to several chats of a workspace, only the earliest copy keeps its `sha256`; the others remain separate documents.
+  - The search triggers on "Document" are dropped with the old table. services/searchIndex.js creates them again when the server starts.
+
+*/
+-- CreateTable
+CREATE TABLE "ChatDocument" (
+    "chatId" TEXT NOT NULL,
+    "documentId" TEXT NOT NULL,
+    "attachedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY ("chatId", "documentId"),
+    CONSTRAINT "ChatDocument_chatId_fkey" FOREIGN KEY ("chatId") REFERENCES "Chat" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "ChatDocument_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "Document" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- Attach every document to the chat it was uploaded to
+INSERT INTO "ChatDocument" ("chatId", "documentId", "attachedAt") SELECT "chatId", "id", "uploadedAt" FROM "Document";
+
+-- Keep one deduplication key per file and workspace
+UPDATE "Document" SET "sha256" = NULL
+WHERE "sha256" IS NOT NULL AND EXISTS (
+    SELECT 1 FROM "Document" AS "earlier"
+    WHERE "earlier"."workspaceId" = "Document"."workspaceId"
+      AND "earlier"."sha256" = "Document"."sha256"
+      AND ("earlier"."uploadedAt" < "Document"."uploadedAt"
+        OR ("earlier"."uploadedAt" = "Document"."uploadedAt" AND "earlier"."id" < "Document"."id"))
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Document" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "fileName" TEXT NOT NULL,
+    "filePath" TEXT NOT NULL,
+    "fileType" TEXT NOT NULL,
+    "fileSize" REAL NOT NULL,
+    "sha256" TEXT,
+    "sourceType" TEXT NOT NULL DEFAULT 'file',
+    "sourceUrl" TEXT,
+    "uploadedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "error" TEXT,
+    "chunkCount" INTEGER,
+    "pageCount" INTEGER,
+    "indexedAt" DATETIME,
+    "userId" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    CONSTRAINT "Document_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Document_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "Workspace" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_Document" ("chunkCount", "error", "fileName", "filePath", "fileSize", "fileType", "id", "indexedAt", "pageCount", "sha256", "sourceType", "sourceUrl", "status", "uploadedAt", "userId", "workspaceId") SELECT "chunkCount", "error", "fileName", "filePath", "fileSize", "fileType", "id", "indexedAt", "pageCount", "sha256", "sourceType", "sourceUrl", "status", "uploadedAt", "userId", "workspaceId" FROM "Document";
+DROP TABLE "Document";
+ALTER TABLE "new_Document" RENAME TO "Document";
+CREATE INDEX "Document_workspaceId_idx" ON "Document"("workspaceId");
+CREATE UNIQUE INDEX "Document_workspaceId_sha256_key" ON "Document"("workspaceId", "sha256");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE INDEX "ChatDocument_documentId_idx" ON "ChatDocument"("documentId");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Session" ADD COLUMN "previousRefreshTokenHash" TEXT;
+ALTER TABLE "Session" ADD COLUMN "rotatedAt" DATETIME;
@@ -0,0 +1,15 @@
+-- Emails are now stored trimmed and in lower case, as the auth routes look them up.
+-- An account whose normalized address another account already has is left as it
+-- was, since the address must stay unique.
+UPDATE "User"
+SET "email" = lower(trim("email"))
+WHERE "email" <> lower(trim("email"))
+  AND NOT EXISTS (
+    SELECT 1 FROM "User" AS "other"
+    WHERE "other"."id" <> "User"."id"
+      AND lower(trim("other"."email")) = lower(trim("User"."email"))
+  );
+
+UPDATE "WorkspaceInvitation"
+SET "email" = lower(trim("email"))
+WHERE "email" <> lower(trim("email"));
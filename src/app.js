@@ -0,0 +1,92 @@
+const express = require("express");
+const cors = require("cors");
+const cookieParser = require("cookie-parser");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Import routes
+const authRoutes = require("./routes/auth");
+const chatRoutes = require("./routes/chats");
+const chartRoutes = require("./routes/charts");
+const statsRoutes = require("./routes/stats");
+const documentRoutes = require("./routes/documents");
+const jobRoutes = require("./routes/jobs");
+const internalRoutes = require("./routes/internal");
+const searchRoutes = require("./routes/search");
+const shareRoutes = require("./routes/shares");
+const publicRoutes = require("./routes/public");
+const workspaceRoutes = require("./routes/workspaces");
+const dashboardRoutes = require("./routes/dashboards");
+const adminRoutes = require("./routes/admin");
+const { notFoundHandler, errorHandler } = require("./middleware/errorHandler");
+const correlationId = require("./middleware/correlationId");
+const aiClient = require("./services/aiClient");
+const { toErrorBody, AppError } = require("../utils/errors");
+require("./jobs/handlers");
+
+// Listening and background work start in server.js, so tests can mount the app
+// on its own.
+const app = express();
+
+// CORS configuration
+app.use(
+  cors({
+    origin: process.env.FRONTEND_URL,
+    credentials: true,
+  })
+);
+
+// Chat exports and pasted text sources can be much larger than the default body
+// limit allows.
+app.use("/api/chats/import", express.json({ limit: "10mb" }));
+app.use("/api/chats/:chatId/sources", express.json({ limit: "5mb" }));
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
+app.use(correlationId);
+
+// API Routes
+app.get("/api", (req, res) => {
+  res.json({ message: "Welcome to the ORACYN RAG API!" });
+});
+
+// Health check for AI service
+app.get("/api/health/ai-service", async (req, res) => {
+  try {
+    const details = await aiClient.health();
+    res.status(200).json({
+      status: "AI service is running",
+      details,
+      circuit: aiClient.getBreakerStatus(),
+    });
+  } catch (error) {
+    console.error("AI service health check failed:", error.message);
+    res.status(503).json({
+      ...toErrorBody(
+        new AppError(503, "AI_SERVICE_UNAVAILABLE", "AI service unavailable.")
+      ),
+      circuit: aiClient.getBreakerStatus(),
+    });
+  }
+});
+
+app.use("/api/auth", authRoutes);
+app.use("/api/workspaces", workspaceRoutes);
+app.use("/api/chats", chatRoutes);
+app.use("/api/charts", chartRoutes);
+app.use("/api/dashboards", dashboardRoutes);
+app.use("/api/stats", statsRoutes);
+app.use("/api/documents", documentRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/shares", shareRoutes);
+app.use("/api/public", publicRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/internal", internalRoutes);
+
+// Unknown routes and the global error handler
+app.use("/api", notFoundHandler);
+app.use(errorHandler);
+
+module.exports = app;
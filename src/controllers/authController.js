@@ -1,10 +1,179 @@
+const crypto = require("crypto");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const { PrismaClient } = require("@prisma/client");
+const {
+  generateTokens,
+  verifyToken,
+  hashToken,
+  getTokenExpiration,
+  generatePasswordResetToken,
+  generateEmailVerificationToken,
+} = require("../../utils/tokens");
+const { sendMail } = require("../services/mailer");
+const {
+  passwordResetEmail,
+  emailVerificationEmail,
+} = require("../services/mailer/templates");
+const { personalMembership } = require("../services/workspaces");
+const {
+  badRequest,
+  unauthorized,
+  notFound,
+  conflict,
+} = require("../../utils/errors");
 
 const prisma = new PrismaClient();
 
-exports.signup = async (req, res) => {
+const ACCESS_TOKEN_MAX_AGE = 15 * 60 * 1000;
+const REFRESH_TOKEN_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+// How long a rotated refresh token is still accepted, for tabs that refreshed at
+// the same time as the one that rotated it
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure:
+    process.env.COOKIE_SECURE !== undefined
+      ? process.env.COOKIE_SECURE === "true"
+      : process.env.NODE_ENV === "production",
+  sameSite: process.env.COOKIE_SAME_SITE || "lax",
+});
+
+// The refresh token is only ever sent to the auth routes that consume it.
+const refreshCookieOptions = () => ({ ...cookieOptions(), path: "/api/auth" });
+
+const setAccessCookie = (res, accessToken) => {
+  res.cookie("token", accessToken, {
+    ...cookieOptions(),
+    maxAge: ACCESS_TOKEN_MAX_AGE,
+  });
+};
+
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  setAccessCookie(res, accessToken);
+  res.cookie("refreshToken", refreshToken, {
+    ...refreshCookieOptions(),
+    maxAge: REFRESH_TOKEN_MAX_AGE,
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie("token", cookieOptions());
+  res.clearCookie("refreshToken", refreshCookieOptions());
+};
+
+// Starts a new session for a user on the requesting device and returns its tokens.
+const createSession = async (user, req) => {
+  const sessionId = crypto.randomUUID();
+  const tokens = generateTokens(user, sessionId);
+
+  await prisma.session.create({
+    data: {
+      id: sessionId,
+      userId: user.id,
+      refreshTokenHash: hashToken(tokens.refreshToken),
+      userAgent: req.get("user-agent"),
+      ipAddress: req.ip,
+      expiresAt: getTokenExpiration(tokens.refreshToken),
+    },
+  });
+
+  return tokens;
+};
+
+const endSession = (sessionId, reason) =>
+  prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+const toPublicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  role: user.role,
+});
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+
+// Records a new single-use token of the given type and returns the signed JWT that
+// carries it. Older unused tokens of the same type stop working.
+const issueUserToken = async (user, type) => {
+  const tokenId = crypto.randomUUID();
+  const token =
+    type === "password-reset"
+      ? generatePasswordResetToken(user.id, tokenId)
+      : generateEmailVerificationToken(user.id, user.email, tokenId);
+
+  await prisma.userToken.updateMany({
+    where: { userId: user.id, type, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  await prisma.userToken.create({
+    data: {
+      id: tokenId,
+      type,
+      userId: user.id,
+      expiresAt: getTokenExpiration(token),
+    },
+  });
+
+  return token;
+};
+
+// Verifies a token from an email and marks it as used. Returns its payload, or
+// null if the token is invalid, expired or was already used.
+const consumeUserToken = async (token, type) => {
+  let decoded;
+  try {
+    decoded = verifyToken(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (decoded.type !== type || !decoded.jti) return null;
+
+  const { count } = await prisma.userToken.updateMany({
+    where: {
+      id: decoded.jti,
+      type,
+      userId: decoded.userId,
+      usedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    data: { usedAt: new Date() },
+  });
+
+  return count === 1 ? decoded : null;
+};
+
+const invalidUserToken = () =>
+  badRequest("INVALID_OR_EXPIRED_TOKEN", "Invalid or expired token.");
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(user, "email-verification");
+  await sendMail({
+    to: user.email,
+    ...emailVerificationEmail({
+      username: user.username,
+      link: `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`,
+    }),
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueUserToken(user, "password-reset");
+  await sendMail({
+    to: user.email,
+    ...passwordResetEmail({
+      username: user.username,
+      link: `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`,
+    }),
+  });
+};
+
+exports.signup = async (req, res, next) => {
   try {
     const { username, email, password } = req.body;
 
@@ -15,90 +184,336 @@ exports.signup = async (req, res) => {
     });
 
     if (existingUser) {
-      return res.status(400).json({ error: "User already exists" });
+      return next(conflict("USER_EXISTS", "User already exists."));
     }
 
     const hashedPassword = await bcrypt.hash(password, 12);
 
     const user = await prisma.user.create({
-      data: { username, email, password: hashedPassword },
+      data: {
+        username,
+        email,
+        password: hashedPassword,
+        memberships: { create: personalMembership(username) },
+      },
     });
 
-    const token = jwt.sign(
-      { id: user.id, email: user.email, username: user.username },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    setAuthCookies(res, await createSession(user, req));
 
-    res.cookie("token", token);
+    // A mail outage must not block the signup; the user can ask for a resend.
+    sendVerificationEmail(user).catch((error) =>
+      console.error("Could not send verification email:", error.message)
+    );
 
-    res.status(201).json({
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-      },
-    });
+    res.status(201).json({ user: toPublicUser(user) });
   } catch (error) {
-    res.status(500).json({ error: "Server error" });
+    next(error);
   }
 };
 
-exports.signin = async (req, res) => {
+exports.signin = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
     const user = await prisma.user.findUnique({ where: { email } });
 
     if (!user || !(await bcrypt.compare(password, user.password))) {
-      return res.status(401).json({ error: "Invalid credentials" });
+      return next(unauthorized("INVALID_CREDENTIALS", "Invalid credentials."));
     }
 
-    const token = jwt.sign(
-      { id: user.id, email: user.email, username: user.username },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
-
-    res.cookie("token", token);
+    setAuthCookies(res, await createSession(user, req));
 
-    res.json({
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-      },
-    });
+    res.json({ user: toPublicUser(user) });
   } catch (error) {
-    res.status(500).json({ error: "Server error" });
+    next(error);
   }
 };
 
-exports.getCurrentUser = async (req, res) => {
+// Whether `tokenHash` is the refresh token the session's latest rotation replaced,
+// presented within the grace period
+const isJustRotated = (session, tokenHash) =>
+  session.previousRefreshTokenHash === tokenHash &&
+  session.rotatedAt > new Date(Date.now() - ROTATION_GRACE_MS);
+
+// Exchanges a refresh token for a new access/refresh pair. Each refresh token can be
+// used once: presenting one that has already been rotated means it was copied, so
+// the whole session is revoked and the device has to sign in again. The one
+// exception is the token rotated within the last few seconds, which tabs of the
+// same browser send when they refresh at the same time; they get a new access token
+// and keep the refresh token the rotation set.
+exports.refresh = async (req, res, next) => {
+  const refreshToken = req.cookies.refreshToken;
+  if (!refreshToken) {
+    return next(unauthorized("UNAUTHENTICATED", "No refresh token."));
+  }
+
   try {
-    const token = req.cookies.token;
-    if (!token) {
-      return res.status(401).json({ error: "No token" });
+    let decoded;
+    try {
+      decoded = verifyToken(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+      clearAuthCookies(res);
+      return next(unauthorized("INVALID_TOKEN", "Invalid refresh token."));
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const findSession = () =>
+      prisma.session.findUnique({
+        where: { id: decoded.sid },
+        include: { user: true },
+      });
+    let session = await findSession();
 
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      clearAuthCookies(res);
+      return next(unauthorized("SESSION_EXPIRED", "Session expired."));
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    if (session.refreshTokenHash === tokenHash) {
+      const tokens = generateTokens(session.user, session.id);
+
+      // Only rotate if nobody else rotated this token in the meantime.
+      const { count } = await prisma.session.updateMany({
+        where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+        data: {
+          refreshTokenHash: hashToken(tokens.refreshToken),
+          previousRefreshTokenHash: tokenHash,
+          rotatedAt: new Date(),
+          lastUsedAt: new Date(),
+          expiresAt: getTokenExpiration(tokens.refreshToken),
+          userAgent: req.get("user-agent"),
+          ipAddress: req.ip,
+        },
+      });
+      if (count > 0) {
+        setAuthCookies(res, tokens);
+        return res.json({ user: toPublicUser(session.user) });
+      }
+
+      // A concurrent refresh rotated it first.
+      session = await findSession();
+    }
+
+    if (session && !session.revokedAt && isJustRotated(session, tokenHash)) {
+      setAccessCookie(
+        res,
+        generateTokens(session.user, session.id).accessToken
+      );
+      return res.json({ user: toPublicUser(session.user) });
+    }
+
+    await endSession(decoded.sid, "refresh-token-reuse");
+    clearAuthCookies(res);
+    next(unauthorized("SESSION_REVOKED", "Session revoked."));
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getCurrentUser = async (req, res, next) => {
+  try {
     const user = await prisma.user.findUnique({
-      where: { id: decoded.id },
-      select: { id: true, username: true, email: true },
+      where: { id: req.user.id },
+      select: {
+        id: true,
+        username: true,
+        email: true,
+        emailVerified: true,
+        role: true,
+      },
     });
 
     if (!user) {
-      return res.status(401).json({ error: "User not found" });
+      return next(unauthorized("USER_NOT_FOUND", "User not found."));
     }
 
     res.json({ user });
   } catch (error) {
-    res.status(401).json({ error: "Invalid token" });
+    next(error);
   }
 };
 
-exports.signout = (req, res) => {
-  res.clearCookie("token");
+exports.signout = async (req, res, next) => {
+  try {
+    // Expired tokens still identify the session that has to be revoked.
+    const { refreshToken, token } = req.cookies;
+    const decoded = refreshToken
+      ? jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET, {
+          ignoreExpiration: true,
+        })
+      : token &&
+        jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+
+    if (decoded?.sid) {
+      await endSession(decoded.sid, "signout");
+    }
+  } catch (error) {
+    console.error("Could not revoke session on signout:", error.message);
+  }
+
+  clearAuthCookies(res);
   res.json({ message: "Signed out" });
 };
+
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true,
+      },
+      orderBy: { lastUsedAt: "desc" },
+    });
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.user.sid,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const { count } = await prisma.session.updateMany({
+      where: { id: req.params.id, userId: req.user.id, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: "revoked-by-user" },
+    });
+
+    if (count === 0) {
+      return next(notFound("SESSION_NOT_FOUND", "Session not found."));
+    }
+
+    if (req.params.id === req.user.sid) {
+      clearAuthCookies(res);
+    }
+
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Signs out every device except the one making the request.
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const { count } = await prisma.session.updateMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        id: { not: req.user.sid },
+      },
+      data: { revokedAt: new Date(), revokedReason: "revoked-by-user" },
+    });
+
+    res.json({ message: "Other sessions revoked", revoked: count });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Always answers the same way, so it cannot be used to find out who has an account.
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    const user = await prisma.user.findUnique({ where: { email } });
+
+    // Not awaited, so the response takes as long whether or not the account exists.
+    if (user) {
+      sendPasswordResetEmail(user).catch((error) =>
+        console.error("Could not send password reset email:", error.message)
+      );
+    }
+
+    res.json({
+      message:
+        "If an account exists for this email, a reset link has been sent.",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const decoded = await consumeUserToken(token, "password-reset");
+    if (!decoded) {
+      return next(invalidUserToken());
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+    await prisma.user.update({
+      where: { id: decoded.userId },
+      data: { password: hashedPassword },
+    });
+
+    // Whoever knew the old password should not stay signed in.
+    await prisma.session.updateMany({
+      where: { userId: decoded.userId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: "password-reset" },
+    });
+    clearAuthCookies(res);
+
+    res.json({ message: "Password has been reset. Please sign in again." });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    const decoded = await consumeUserToken(token, "email-verification");
+    if (!decoded) {
+      return next(invalidUserToken());
+    }
+
+    // The address may have changed since the email was sent.
+    const { count } = await prisma.user.updateMany({
+      where: { id: decoded.userId, email: decoded.email },
+      data: { emailVerified: true },
+    });
+    if (count === 0) {
+      return next(invalidUserToken());
+    }
+
+    res.json({ message: "Email verified" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (!user) {
+      return next(unauthorized("USER_NOT_FOUND", "User not found."));
+    }
+    if (user.emailVerified) {
+      return next(
+        conflict("EMAIL_ALREADY_VERIFIED", "Email is already verified.")
+      );
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,138 +1,328 @@
 const { PrismaClient } = require("@prisma/client");
 const prisma = new PrismaClient();
-const axios = require("axios");
+const jobQueue = require("../jobs/queue");
+const {
+  chartScope,
+  authorizeChat,
+  authorizeChart,
+} = require("../services/authorization");
+const { saveChartVersion } = require("../services/chartVersions");
+const { documentIdsInChat } = require("../services/chatDocuments");
+const { renderSvg, renderPng } = require("../services/chartRender");
+const { parseChart, toTable } = require("../services/chartData");
+const { notFound, conflict } = require("../../utils/errors");
+const { paginate } = require("../../utils/pagination");
+const { jsonDiff } = require("../../utils/jsonDiff");
+const { toCsv } = require("../../utils/csv");
 
-const AI_SERVICE_URL = process.env.AI_SERVICE_URL || "http://localhost:8000";
+const chartPending = () =>
+  conflict("CHART_PENDING", "The chart is still being generated.");
 
-const parseChart = (chart) => {
-  try {
-    return {
-      ...chart,
-      data: JSON.parse(chart.data),
-      config: JSON.parse(chart.config),
-    };
-  } catch (e) {
-    console.error(
-      `Failed to parse chart data for chart ID: ${chart.id}`,
-      e.message
-    );
-    return { ...chart, data: {}, config: {} };
-  }
-};
+const versionNotFound = () =>
+  notFound("CHART_VERSION_NOT_FOUND", "Chart version not found.");
+
+const getAllChartsForUser = async (req, res, next) => {
+  const { chatId, type, status, from, to, sort, order, limit, cursor } =
+    req.query;
 
-const getAllChartsForUser = async (req, res) => {
   try {
-    const charts = await prisma.chart.findMany({
-      where: { userId: req.user.id },
+    const page = await paginate(prisma.chart, {
+      where: {
+        ...chartScope(req.user.id),
+        chatId,
+        type,
+        status,
+        ...((from || to) && { createdAt: { gte: from, lte: to } }),
+      },
       include: { chat: { select: { id: true, title: true } } },
-      orderBy: { createdAt: "desc" },
+      sort,
+      order,
+      limit,
+      cursor,
     });
-    res.status(200).json(charts.map(parseChart));
+    res.status(200).json({ ...page, items: page.items.map(parseChart) });
   } catch (error) {
-    res.status(500).json({ message: "Failed to retrieve user's charts." });
+    next(error);
   }
 };
 
-const getChartsByChat = async (req, res) => {
+const getChartsByChat = async (req, res, next) => {
   try {
+    await authorizeChat(req.user.id, req.params.chatId);
+
     const charts = await prisma.chart.findMany({
-      where: { chatId: req.params.chatId, userId: req.user.id },
+      where: { chatId: req.params.chatId },
       orderBy: { createdAt: "desc" },
     });
     res.status(200).json(charts.map(parseChart));
   } catch (error) {
-    res.status(500).json({ message: "Failed to retrieve chat charts." });
+    next(error);
   }
 };
 
-const getChartById = async (req, res) => {
+const getChartById = async (req, res, next) => {
   try {
-    const chart = await prisma.chart.findFirst({
-      where: { id: req.params.id, userId: req.user.id },
-      include: { chat: { select: { id: true, title: true } } },
-    });
-    if (!chart) {
-      return res
-        .status(404)
-        .json({ message: "Chart not found or not authorized" });
-    }
+    const chart = await authorizeChart(req.user.id, req.params.id);
     res.status(200).json(parseChart(chart));
   } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Failed to retrieve chart", error: error.message });
+    next(error);
   }
 };
 
-const createChart = async (req, res) => {
+const createChart = async (req, res, next) => {
   const { chatId, prompt, chartType, label } = req.body;
-  if (!chatId || !prompt || !chartType) {
-    return res
-      .status(400)
-      .json({
-        message: "Missing required fields (chatId, prompt, chartType).",
-      });
-  }
 
   try {
-    const chat = await prisma.chat.findFirst({
-      where: { id: chatId, userId: req.user.id },
+    await authorizeChat(req.user.id, chatId, "editor");
+
+    // The chart starts out empty and is filled in by the "generate-chart" job.
+    const newChart = await prisma.chart.create({
+      data: {
+        type: chartType,
+        label: label || prompt.slice(0, 200),
+        data: JSON.stringify({}),
+        config: JSON.stringify({}),
+        createdFrom: prompt,
+        chatId: chatId,
+        userId: req.user.id,
+        status: "pending",
+      },
     });
-    if (!chat) {
-      return res
-        .status(404)
-        .json({ message: "Chat not found or user is not authorized." });
+
+    const job = await jobQueue.enqueue(
+      "generate-chart",
+      {
+        chartId: newChart.id,
+        chatId,
+        prompt,
+        chartType,
+        documentIds: await documentIdsInChat(chatId),
+      },
+      { userId: req.user.id, chatId, chartId: newChart.id }
+    );
+
+    res.status(202).json({ ...parseChart(newChart), jobId: job.id });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteChart = async (req, res, next) => {
+  try {
+    await authorizeChart(req.user.id, req.params.id, "editor");
+    // Its versions, share links and dashboard tiles are deleted with it.
+    await prisma.chart.delete({ where: { id: req.params.id } });
+    res.status(200).json({ message: "Chart deleted successfully." });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateChart = async (req, res, next) => {
+  const { label, data, config } = req.body;
+
+  try {
+    const chart = await authorizeChart(req.user.id, req.params.id, "editor");
+    if (chart.status === "pending") {
+      return next(chartPending());
     }
 
-    const aiResponse = await axios.post(`${AI_SERVICE_URL}/generate-chart`, {
-      prompt,
-      chat_id: chatId,
-      chart_type: chartType,
-    });
+    const updatedChart = await saveChartVersion(
+      chart.id,
+      {
+        ...(label !== undefined && { label }),
+        ...(config !== undefined && { config: JSON.stringify(config) }),
+        // Hand-written data also fixes a chart whose generation failed.
+        ...(data !== undefined && {
+          data: JSON.stringify(data),
+          status: "ready",
+        }),
+      },
+      { source: "edited", userId: req.user.id }
+    );
+    res.status(200).json(parseChart(updatedChart));
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const { chart_json, tokens_used } = aiResponse.data;
+const regenerateChart = async (req, res, next) => {
+  try {
+    const chart = await authorizeChart(req.user.id, req.params.id, "editor");
+    const prompt = req.body.prompt || chart.createdFrom;
+    const chartType = req.body.chartType || chart.type;
 
-    if (!chart_json || chart_json.error || !chart_json.data) {
-      const errorMessage =
-        chart_json?.error || "AI service returned invalid or empty chart data.";
-      return res.status(400).json({ message: errorMessage });
+    // Only one generation may run per chart at a time.
+    const { count } = await prisma.chart.updateMany({
+      where: { id: chart.id, status: { not: "pending" } },
+      data: { status: "pending" },
+    });
+    if (!count) {
+      return next(chartPending());
     }
 
-    const newChart = await prisma.chart.create({
-      data: {
-        type: chart_json.type || chartType,
-        label: label,
-        data: JSON.stringify(chart_json.data),
-        config: JSON.stringify(chart_json.config || {}),
-        createdFrom: prompt,
-        chatId: chatId,
-        userId: req.user.id,
-        tokensUsed: tokens_used || 0,
+    const job = await jobQueue.enqueue(
+      "generate-chart",
+      {
+        chartId: chart.id,
+        chatId: chart.chatId,
+        prompt,
+        chartType,
+        regenerate: true,
+        documentIds: await documentIdsInChat(chart.chatId),
       },
+      { userId: req.user.id, chatId: chart.chatId, chartId: chart.id }
+    );
+
+    res.status(202).json({
+      ...parseChart({ ...chart, status: "pending" }),
+      jobId: job.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getChartVersions = async (req, res, next) => {
+  try {
+    await authorizeChart(req.user.id, req.params.id);
+
+    const versions = await prisma.chartVersion.findMany({
+      where: { chartId: req.params.id },
+      select: {
+        version: true,
+        source: true,
+        type: true,
+        label: true,
+        prompt: true,
+        tokensUsed: true,
+        restoredFrom: true,
+        createdAt: true,
+        user: { select: { id: true, username: true } },
+      },
+      orderBy: { version: "desc" },
+    });
+    res.status(200).json(versions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const findVersion = async (chartId, version) => {
+  const chartVersion = await prisma.chartVersion.findUnique({
+    where: { chartId_version: { chartId, version } },
+    include: { user: { select: { id: true, username: true } } },
+  });
+  if (!chartVersion) throw versionNotFound();
+  return chartVersion;
+};
+
+const getChartVersion = async (req, res, next) => {
+  try {
+    await authorizeChart(req.user.id, req.params.id);
+    const chartVersion = await findVersion(req.params.id, req.params.version);
+    res.status(200).json(parseChart(chartVersion));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The parts of a version that make up the chart, for comparing two versions
+const versionContent = (chartVersion) => {
+  const { type, label, prompt, data, config } = parseChart(chartVersion);
+  return { type, label, prompt, data, config };
+};
+
+// `to` defaults to the chart's current version
+const diffChartVersions = async (req, res, next) => {
+  try {
+    const chart = await authorizeChart(req.user.id, req.params.id);
+    const from = req.query.from;
+    const to = req.query.to || chart.version;
+
+    const [fromVersion, toVersion] = await Promise.all([
+      findVersion(chart.id, from),
+      findVersion(chart.id, to),
+    ]);
+    res.status(200).json({
+      from,
+      to,
+      changes: jsonDiff(versionContent(fromVersion), versionContent(toVersion)),
     });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    res.status(201).json(parseChart(newChart));
+const restoreChartVersion = async (req, res, next) => {
+  try {
+    const chart = await authorizeChart(req.user.id, req.params.id, "editor");
+    if (chart.status === "pending") {
+      return next(chartPending());
+    }
+
+    const { type, label, data, config, prompt, version } = await findVersion(
+      chart.id,
+      req.params.version
+    );
+    const restoredChart = await saveChartVersion(
+      chart.id,
+      { type, label, data, config, createdFrom: prompt, status: "ready" },
+      { source: "restored", restoredFrom: version, userId: req.user.id }
+    );
+    res.status(200).json(parseChart(restoredChart));
   } catch (error) {
-    const errorMessage =
-      error.response?.data?.detail || "An unexpected error occurred.";
-    res.status(500).json({ message: errorMessage });
+    next(error);
   }
 };
 
-const deleteChart = async (req, res) => {
+// A file name for downloads, made from the chart's label
+const fileNameOf = (chart) =>
+  chart.label
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 80) || "chart";
+
+const getChartImage = async (req, res, next) => {
+  const { format, width, height } = req.query;
+
   try {
-    const chart = await prisma.chart.findFirst({
-      where: { id: req.params.id, userId: req.user.id },
+    const chart = await authorizeChart(req.user.id, req.params.id);
+    if (chart.status === "pending") {
+      return next(chartPending());
+    }
+
+    const size = { width, height };
+    res.set({
+      "Content-Type": format === "svg" ? "image/svg+xml" : "image/png",
+      "Content-Disposition": `inline; filename="${fileNameOf(chart)}.${format}"`,
+      // The SVG holds text from the chart, so it must never run as a page.
+      "Content-Security-Policy":
+        "default-src 'none'; style-src 'unsafe-inline'",
     });
-    if (!chart) {
-      return res
-        .status(404)
-        .json({ message: "Chart not found or not authorized." });
+    res
+      .status(200)
+      .send(format === "svg" ? renderSvg(chart, size) : renderPng(chart, size));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getChartCsv = async (req, res, next) => {
+  try {
+    const chart = await authorizeChart(req.user.id, req.params.id);
+    if (chart.status === "pending") {
+      return next(chartPending());
     }
-    await prisma.chart.delete({ where: { id: req.params.id } });
-    res.status(200).json({ message: "Chart deleted successfully." });
+
+    res.set({
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${fileNameOf(chart)}.csv"`,
+    });
+    res.status(200).send(toCsv(toTable(chart)));
   } catch (error) {
-    res.status(500).json({ message: "Failed to delete chart." });
+    next(error);
   }
 };
 
@@ -142,4 +332,12 @@ module.exports = {
   getChartById,
   createChart,
   deleteChart,
+  updateChart,
+  regenerateChart,
+  getChartVersions,
+  getChartVersion,
+  diffChartVersions,
+  restoreChartVersion,
+  getChartImage,
+  getChartCsv,
 };
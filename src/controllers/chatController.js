@@ -1,170 +1,235 @@
 const { PrismaClient } = require("@prisma/client");
 const prisma = new PrismaClient();
-const axios = require("axios");
+const answerStreams = require("../services/answerStreams");
+const jobQueue = require("../jobs/queue");
+const chatExport = require("../services/chatExport");
+const { chatScope, authorizeChat } = require("../services/authorization");
+const { resolveTargetWorkspace } = require("../services/workspaces");
+const { citationInclude } = require("../services/citations");
+const { getHistoryForAI } = require("../services/chatHistory");
+const {
+  attachedDocumentsInclude,
+  toDocuments,
+  documentIdsInChat,
+} = require("../services/chatDocuments");
+const { ingestUploads, uploadResponse } = require("../services/documentIngest");
+const { badRequest, notFound, conflict } = require("../../utils/errors");
+const { paginate } = require("../../utils/pagination");
 
-const AI_SERVICE_URL = process.env.AI_SERVICE_URL || "http://localhost:8000";
+const duplicateTitle = () =>
+  conflict("DUPLICATE_CHAT_TITLE", "A chat with this title already exists.");
+
+// Queues the answer to `userMessage` and returns the message with the job's id.
+// Streaming clients fetch the answer from the stream endpoint instead.
+const requestAnswer = async (userId, userMessage, { stream }) => {
+  if (stream) return userMessage;
+
+  const { chatId } = userMessage;
+  const { history, summary } = await getHistoryForAI(chatId, {
+    before: userMessage.timestamp,
+    userId,
+  });
+  const documentIds = await documentIdsInChat(chatId);
+  const job = await jobQueue.enqueue(
+    "answer-query",
+    { chatId, queryText: userMessage.text, history, summary, documentIds },
+    { userId, chatId }
+  );
+  return { ...userMessage, jobId: job.id };
+};
+
+const getChats = async (req, res, next) => {
+  const { workspaceId, q, from, to, hasDocuments, sort, order, limit, cursor } =
+    req.query;
 
-const getChats = async (req, res) => {
   try {
-    const chats = await prisma.chat.findMany({
-      where: { userId: req.user.id },
-      orderBy: { updatedAt: "desc" },
+    const where = {
+      ...chatScope(req.user.id),
+      workspaceId,
+      ...(q && { title: { contains: q } }),
+      ...((from || to) && { createdAt: { gte: from, lte: to } }),
+      ...(hasDocuments !== undefined && {
+        documents: hasDocuments ? { some: {} } : { none: {} },
+      }),
+    };
+
+    const page = await paginate(prisma.chat, {
+      where,
+      sort,
+      order,
+      limit,
+      cursor,
     });
-    res.status(200).json(chats);
+    res.status(200).json(page);
   } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Failed to retrieve chats", error: error.message });
+    next(error);
   }
 };
 
-const createChat = async (req, res) => {
-  const { title } = req.body;
-
-  if (!title) {
-    return res
-      .status(400)
-      .json({ message: "A title is required for the chat." });
-  }
+const createChat = async (req, res, next) => {
+  const { title, workspaceId } = req.body;
 
   try {
-    const chats = await prisma.chat.findMany({
-      where: { userId: req.user.id },
-      include: { messages: true },
-    });
+    const workspace = await resolveTargetWorkspace(req.user, workspaceId);
 
-    const hasDuplicateTitle = chats.some((chat) => chat.title === title);
-    if (hasDuplicateTitle) {
-      return res
-        .status(400)
-        .json({ message: "A chat with this title already exists." });
+    const duplicate = await prisma.chat.findFirst({
+      where: { workspaceId: workspace.id, title },
+    });
+    if (duplicate) {
+      return next(duplicateTitle());
     }
 
-    const hasEmptyChat = chats.some((chat) => chat.messages.length === 0);
-    if (hasEmptyChat) {
-      return res
-        .status(400)
-        .json({ message: "You already have an empty chat." });
+    const emptyChat = await prisma.chat.findFirst({
+      where: {
+        workspaceId: workspace.id,
+        userId: req.user.id,
+        messages: { none: {} },
+      },
+    });
+    if (emptyChat) {
+      return next(
+        conflict("EMPTY_CHAT_EXISTS", "You already have an empty chat.")
+      );
     }
 
     const newChat = await prisma.chat.create({
-      data: { title, userId: req.user.id },
+      data: { title, userId: req.user.id, workspaceId: workspace.id },
     });
 
     return res.status(201).json(newChat);
   } catch (error) {
-    return res
-      .status(500)
-      .json({ message: "Failed to create chat", error: error.message });
+    next(error);
   }
 };
 
-const getChatById = async (req, res) => {
+// The most recent job for an entity, without its (possibly large) payload.
+const latestJob = {
+  select: {
+    id: true,
+    type: true,
+    status: true,
+    attempts: true,
+    lastError: true,
+  },
+  orderBy: { createdAt: "desc" },
+  take: 1,
+};
+
+// One page of a chat's messages. Pages run from the newest message backwards, so
+// `nextCursor` loads older messages; each page is in chronological order. Answers
+// come with their citations and the user's own rating.
+const getMessagePage = async (chatId, userId, { limit, cursor }) => {
+  const page = await paginate(prisma.message, {
+    where: { chatId },
+    include: {
+      citations: citationInclude,
+      feedback: {
+        where: { userId },
+        select: { rating: true, comment: true },
+      },
+    },
+    sort: "timestamp",
+    order: "desc",
+    limit,
+    cursor,
+  });
+  return { ...page, items: page.items.reverse() };
+};
+
+const MESSAGE_PAGE_SIZE = 30;
+
+const getChatById = async (req, res, next) => {
   try {
-    const chat = await prisma.chat.findFirst({
-      where: { id: req.params.id, userId: req.user.id },
-      include: { messages: { orderBy: { timestamp: "asc" } }, documents: true },
+    const { role } = await authorizeChat(req.user.id, req.params.id);
+
+    const chat = await prisma.chat.findUnique({
+      where: { id: req.params.id },
+      include: {
+        workspace: { select: { id: true, name: true, personal: true } },
+        documents: attachedDocumentsInclude({ jobs: latestJob }),
+        jobs: { where: { status: { in: ["queued", "running"] } } },
+        _count: { select: { messages: true, documents: true, charts: true } },
+      },
+    });
+
+    const messages = await getMessagePage(chat.id, req.user.id, {
+      limit: MESSAGE_PAGE_SIZE,
+    });
+    res.status(200).json({
+      ...chat,
+      documents: toDocuments(chat.documents),
+      role,
+      messages: messages.items,
+      nextMessagesCursor: messages.nextCursor,
     });
-    if (!chat) {
-      return res
-        .status(404)
-        .json({ message: "Chat not found or not authorized" });
-    }
-    res.status(200).json(chat);
   } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Failed to retrieve chat", error: error.message });
+    next(error);
   }
 };
 
-const deleteChat = async (req, res) => {
+const getMessages = async (req, res, next) => {
+  const { chatId } = req.params;
+
   try {
-    const chat = await prisma.chat.findFirst({
-      where: { id: req.params.id, userId: req.user.id },
-    });
-    if (!chat) {
-      return res
-        .status(404)
-        .json({ message: "Chat not found or not authorized" });
-    }
+    await authorizeChat(req.user.id, chatId);
+
+    const page = await getMessagePage(chatId, req.user.id, req.query);
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteChat = async (req, res, next) => {
+  try {
+    await authorizeChat(req.user.id, req.params.id, "owner");
+
+    // The chat's documents stay in the workspace's library.
     await prisma.chat.delete({ where: { id: req.params.id } });
     res.status(200).json({ message: "Chat deleted successfully" });
   } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Failed to delete chat", error: error.message });
+    next(error);
   }
 };
 
-const uploadDocumentAndTriggerWorkflow = async (req, res) => {
+// Accepts one or more files, or zip archives of them, and reports an outcome for
+// each: "queued" for indexing, "attached" from the workspace's document library,
+// "duplicate" of a document already in the chat, or "rejected".
+const uploadDocumentAndTriggerWorkflow = async (req, res, next) => {
   const { chatId } = req.params;
+  const files = Object.values(req.files || {}).flat();
 
-  if (!req.file) {
-    return res.status(400).json({ message: "No file was uploaded." });
+  if (files.length === 0) {
+    return next(badRequest("FILE_REQUIRED", "No file was uploaded."));
   }
 
   try {
-    const chat = await prisma.chat.findFirst({
-      where: { id: chatId, userId: req.user.id },
-    });
-    if (!chat) {
-      return res
-        .status(404)
-        .json({ message: "Chat not found or user is not authorized." });
-    }
-
-    const base64Content = req.file.buffer.toString("base64");
+    const chat = await authorizeChat(req.user.id, chatId, "editor");
 
-    const document = await prisma.document.create({
-      data: {
-        fileName: req.file.originalname,
-        filePath: "in-memory",
-        fileType: req.file.mimetype,
-        fileSize: req.file.size,
-        chatId: chatId,
-        userId: req.user.id,
-      },
-    });
-
-    await axios.post(`${AI_SERVICE_URL}/process-document`, {
-      file_name: req.file.originalname,
-      file_content_base64: base64Content,
-      chat_id: chatId,
-    });
-
-    res.status(201).json({
-      message: "File uploaded and sent for processing successfully.",
-      document,
-    });
+    const results = await ingestUploads(
+      { userId: req.user.id, workspaceId: chat.workspaceId, chat },
+      files
+    );
+    const { status, body } = uploadResponse(results);
+    res.status(status).json(body);
   } catch (error) {
-    const errorMessage =
-      error.response?.data?.detail ||
-      "Failed to contact AI service or process document.";
-    res.status(500).json({ message: errorMessage });
+    next(error);
   }
 };
 
-const addMessage = async (req, res) => {
+const addMessage = async (req, res, next) => {
   const { chatId } = req.params;
-  const { text, shouldRenameChat } = req.body;
-
-  if (!text) {
-    return res.status(400).json({ message: "Message text cannot be empty." });
-  }
+  const { text, shouldRenameChat, stream } = req.body;
 
   try {
-    const chat = await prisma.chat.findFirst({
-      where: { id: chatId, userId: req.user.id },
-    });
-    if (!chat) return res.status(404).json({ message: "Chat not found" });
+    await authorizeChat(req.user.id, chatId, "editor");
 
     if (shouldRenameChat) {
       try {
         const newTitle =
           text.substring(0, 40) + (text.length > 40 ? "..." : "");
         await prisma.chat.update({
-          where: { id: chatId, userId: req.user.id },
+          where: { id: chatId },
           data: { title: newTitle },
         });
       } catch (e) {
@@ -172,70 +237,411 @@ const addMessage = async (req, res) => {
       }
     }
 
-    const recentMessages = await prisma.message.findMany({
-      where: { chatId },
-      orderBy: { timestamp: "desc" },
-      take: 6,
-    });
-    const historyForAI = recentMessages
-      .reverse()
-      .map((msg) => ({ role: msg.sender, content: msg.text }));
-
     const userMessage = await prisma.message.create({
       data: { text, sender: "user", chatId },
     });
 
-    axios
-      .post(`${AI_SERVICE_URL}/answer-query`, {
-        query_text: text,
-        chat_id: chatId,
-        history: historyForAI,
-      })
-      .then(async (response) => {
-        const { answer, tokens_used } = response.data;
-        await prisma.message.create({
-          data: {
-            text: answer,
-            sender: "assistant",
-            chatId,
-            tokensUsed: tokens_used || 0,
+    res
+      .status(201)
+      .json(await requestAnswer(req.user.id, userMessage, { stream }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Replacing a question or its answer while one is being written would leave the
+// new answer out of order.
+const answerInProgress = () =>
+  conflict(
+    "ANSWER_IN_PROGRESS",
+    "Wait for the current answer to finish first."
+  );
+
+// An answer queued for the chat that has not been written yet
+const findPendingAnswerJob = (chatId) =>
+  prisma.job.findFirst({
+    where: {
+      chatId,
+      type: "answer-query",
+      status: { in: ["queued", "running"] },
+    },
+  });
+
+const ensureNotAnswering = async (chatId) => {
+  const pendingJob = await findPendingAnswerJob(chatId);
+  if (pendingJob || answerStreams.isAnswering(chatId)) {
+    throw answerInProgress();
+  }
+};
+
+// Edits a question and asks it again. By default the rest of the conversation is
+// dropped; with `mode: "branch"` it is kept, and the conversation up to the
+// question continues in a new chat instead.
+const editMessage = async (req, res, next) => {
+  const { chatId, messageId } = req.params;
+  const { text, mode, stream } = req.body;
+
+  try {
+    const chat = await authorizeChat(req.user.id, chatId, "editor");
+
+    const message = await prisma.message.findFirst({
+      where: { id: messageId, chatId, sender: "user" },
+    });
+    if (!message) {
+      return next(notFound("MESSAGE_NOT_FOUND", "Message not found."));
+    }
+
+    if (mode === "branch") {
+      const earlier = await prisma.message.findMany({
+        where: { chatId, timestamp: { lt: message.timestamp } },
+        orderBy: { timestamp: "asc" },
+      });
+      const documentIds = await documentIdsInChat(chatId);
+      // As with imports, the copied messages carry no tokens. The branch draws on
+      // the same documents.
+      const branch = await prisma.chat.create({
+        data: {
+          title: await availableTitle(chat.workspaceId, chat.title, "branch"),
+          userId: req.user.id,
+          workspaceId: chat.workspaceId,
+          documents: {
+            create: documentIds.map((documentId) => ({ documentId })),
           },
-        });
-      })
-      .catch(async (error) => {
-        console.error("Error calling AI service for query:", error.message);
-        await prisma.message.create({
-          data: {
-            text: "Sorry, the AI assistant is unavailable right now. Please try again later.",
-            sender: "assistant",
-            chatId,
+          messages: {
+            create: [
+              ...earlier.map(({ sender, text, timestamp }) => ({
+                sender,
+                text,
+                timestamp,
+              })),
+              { sender: "user", text },
+            ],
           },
-        });
+        },
+        include: { messages: { orderBy: { timestamp: "desc" }, take: 1 } },
+      });
+
+      const { messages, ...branchChat } = branch;
+      return res.status(201).json({
+        ...(await requestAnswer(req.user.id, messages[0], { stream })),
+        chat: branchChat,
+      });
+    }
+
+    await ensureNotAnswering(chatId);
+    // A summary that covers the edited question would still mention what follows it.
+    const staleSummary =
+      chat.summaryUpTo && message.timestamp <= chat.summaryUpTo;
+    const [, userMessage] = await prisma.$transaction([
+      prisma.message.deleteMany({
+        where: { chatId, timestamp: { gt: message.timestamp } },
+      }),
+      prisma.message.update({ where: { id: message.id }, data: { text } }),
+      ...(staleSummary
+        ? [
+            prisma.chat.update({
+              where: { id: chatId },
+              data: { summary: null, summaryUpTo: null },
+            }),
+          ]
+        : []),
+    ]);
+
+    res
+      .status(200)
+      .json(await requestAnswer(req.user.id, userMessage, { stream }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Replaces the chat's latest answer with a new one to the same question.
+const regenerateAnswer = async (req, res, next) => {
+  const { chatId, messageId } = req.params;
+
+  try {
+    await authorizeChat(req.user.id, chatId, "editor");
+
+    const latest = await prisma.message.findFirst({
+      where: { chatId },
+      orderBy: { timestamp: "desc" },
+    });
+    if (!latest || latest.id !== messageId || latest.sender !== "assistant") {
+      const exists = await prisma.message.count({
+        where: { id: messageId, chatId },
       });
+      return next(
+        exists
+          ? conflict(
+              "NOT_LATEST_ANSWER",
+              "Only the latest answer in a chat can be regenerated."
+            )
+          : notFound("MESSAGE_NOT_FOUND", "Message not found.")
+      );
+    }
+    await ensureNotAnswering(chatId);
 
-    res.status(201).json(userMessage);
+    const question = await prisma.message.findFirst({
+      where: { chatId, sender: "user", timestamp: { lt: latest.timestamp } },
+      orderBy: { timestamp: "desc" },
+    });
+    if (!question) {
+      return next(
+        conflict("NOT_LATEST_ANSWER", "This answer has no question to re-ask.")
+      );
+    }
+
+    await prisma.message.delete({ where: { id: latest.id } });
+    res
+      .status(202)
+      .json(
+        await requestAnswer(req.user.id, question, { stream: req.body.stream })
+      );
   } catch (error) {
+    next(error);
+  }
+};
+
+const streamAssistantReply = async (req, res, next) => {
+  const { chatId, messageId } = req.params;
+
+  try {
+    await authorizeChat(req.user.id, chatId, "editor");
+
+    const userMessage = await prisma.message.findFirst({
+      where: { id: messageId, chatId, sender: "user" },
+    });
+    if (!userMessage) {
+      return next(notFound("MESSAGE_NOT_FOUND", "Message not found."));
+    }
+
+    const nextMessage = await prisma.message.findFirst({
+      where: { chatId, timestamp: { gt: userMessage.timestamp } },
+      orderBy: { timestamp: "asc" },
+    });
+    if (nextMessage && nextMessage.sender !== "assistant") {
+      return next(
+        conflict(
+          "MESSAGE_ALREADY_ANSWERED",
+          "This message can no longer be answered."
+        )
+      );
+    }
+    // A question posted without `stream` is answered by a job; streaming it as
+    // well would write a second answer.
+    if (!nextMessage && (await findPendingAnswerJob(chatId))) {
+      return next(answerInProgress());
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      if (event === "done" || event === "error") res.end();
+    };
+
+    // Already answered, e.g. the client reconnected after the stream finished.
+    if (nextMessage) {
+      return sendEvent("done", {
+        message: nextMessage,
+        tokensUsed: nextMessage.tokensUsed,
+      });
+    }
+
+    const { history, summary } = await getHistoryForAI(chatId, {
+      before: userMessage.timestamp,
+      userId: req.user.id,
+    });
+    const unsubscribe = answerStreams.subscribe(
+      userMessage.id,
+      {
+        userId: req.user.id,
+        chatId,
+        queryText: userMessage.text,
+        history,
+        summary,
+        documentIds: await documentIdsInChat(chatId),
+      },
+      sendEvent
+    );
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+    res.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      console.error("Error while streaming answer:", error.message);
+      return res.end();
+    }
+    next(error);
+  }
+};
+
+const EXPORT_CONTENT_TYPES = {
+  json: "application/json; charset=utf-8",
+  md: "text/markdown; charset=utf-8",
+  pdf: "application/pdf",
+};
+
+const exportChat = async (req, res, next) => {
+  const { format } = req.query;
+
+  try {
+    await authorizeChat(req.user.id, req.params.id);
+
+    const { documents, ...rest } = await prisma.chat.findUnique({
+      where: { id: req.params.id },
+      include: {
+        messages: { orderBy: { timestamp: "asc" } },
+        documents: attachedDocumentsInclude(),
+        charts: { orderBy: { createdAt: "asc" } },
+      },
+    });
+    const chat = { ...rest, documents: toDocuments(documents) };
+
+    const fileName =
+      chat.title
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "")
+        .slice(0, 80) || "chat";
+    res.set({
+      "Content-Type": EXPORT_CONTENT_TYPES[format],
+      "Content-Disposition": `attachment; filename="${fileName}.${format}"`,
+    });
+
+    if (format === "pdf") {
+      return chatExport.writePdf(chat, res);
+    }
     res
-      .status(500)
-      .json({ message: "Failed to add message", error: error.message });
+      .status(200)
+      .send(
+        format === "md"
+          ? chatExport.toMarkdown(chat)
+          : JSON.stringify(chatExport.toJson(chat), null, 2)
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Chat titles are unique within a workspace, so a copied chat whose title is taken
+// gets a suffix, such as " (imported)" or " (branch 2)".
+const availableTitle = async (workspaceId, title, label) => {
+  for (let i = 1; ; i++) {
+    const suffix = i === 1 ? "" : ` (${label}${i > 2 ? ` ${i - 1}` : ""})`;
+    const candidate = title.slice(0, 200 - suffix.length) + suffix;
+    const existing = await prisma.chat.findFirst({
+      where: { workspaceId, title: candidate },
+    });
+    if (!existing) return candidate;
+  }
+};
+
+const importChat = async (req, res, next) => {
+  const { workspaceId, chat, messages, documents, charts } = req.body;
+
+  try {
+    const workspace = await resolveTargetWorkspace(req.user, workspaceId);
+
+    const imported = await prisma.chat.create({
+      data: {
+        title: await availableTitle(workspace.id, chat.title, "imported"),
+        userId: req.user.id,
+        workspaceId: workspace.id,
+        // Tokens were spent where the chat was exported, so none are carried over.
+        messages: {
+          create: messages.map(({ sender, text, timestamp }) => ({
+            sender,
+            text,
+            timestamp,
+          })),
+        },
+        charts: {
+          create: charts.map((chart) => ({
+            type: chart.type,
+            label: chart.label,
+            createdFrom: chart.createdFrom,
+            // Nothing will finish generating a chart that was pending on export.
+            status: chart.status === "pending" ? "failed" : chart.status,
+            data: JSON.stringify(chart.data ?? {}),
+            config: JSON.stringify(chart.config ?? {}),
+            createdAt: chart.createdAt,
+            userId: req.user.id,
+          })),
+        },
+      },
+    });
+
+    res.status(201).json({
+      ...imported,
+      imported: { messages: messages.length, charts: charts.length },
+      // Document files are not part of an export and have to be uploaded again.
+      skipped: { documents: documents.length },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const toSettingsView = (chat) => ({
+  historyMessages: chat.historyMessages,
+  historyTokenBudget: chat.historyTokenBudget,
+  summarizeHistory: chat.summarizeHistory,
+  summary: chat.summary,
+  summaryUpTo: chat.summaryUpTo,
+});
+
+const getChatSettings = async (req, res, next) => {
+  try {
+    const chat = await authorizeChat(req.user.id, req.params.id);
+    res.status(200).json(toSettingsView(chat));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Changes how much history is sent with each question. `resetSummary` discards
+// the rolling summary, which is rebuilt from the older turns on the next question.
+const updateChatSettings = async (req, res, next) => {
+  const { resetSummary, ...settings } = req.body;
+
+  try {
+    await authorizeChat(req.user.id, req.params.id, "editor");
+
+    const chat = await prisma.chat.update({
+      where: { id: req.params.id },
+      data: {
+        ...settings,
+        ...(resetSummary && { summary: null, summaryUpTo: null }),
+      },
+    });
+    res.status(200).json(toSettingsView(chat));
+  } catch (error) {
+    next(error);
   }
 };
 
-const updateTitle = async (req, res) => {
+const updateTitle = async (req, res, next) => {
   const { id } = req.params;
   const { title } = req.body;
 
-  if (!title) {
-    return res.status(400).json({ message: "Title is required." });
-  }
   try {
-    const chat = await prisma.chat.findFirst({
-      where: { id, userId: req.user.id },
+    const chat = await authorizeChat(req.user.id, id, "editor");
+
+    const duplicate = await prisma.chat.findFirst({
+      where: { workspaceId: chat.workspaceId, title, id: { not: id } },
     });
-    if (!chat) {
-      return res
-        .status(404)
-        .json({ message: "Chat not found or not authorized" });
+    if (duplicate) {
+      return next(duplicateTitle());
     }
 
     const updatedChat = await prisma.chat.update({
@@ -245,9 +651,7 @@ const updateTitle = async (req, res) => {
 
     res.status(200).json(updatedChat);
   } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Failed to update chat title", error: error.message });
+    next(error);
   }
 };
 
@@ -256,7 +660,15 @@ module.exports = {
   createChat,
   getChatById,
   deleteChat,
+  getMessages,
   addMessage,
+  editMessage,
+  regenerateAnswer,
+  streamAssistantReply,
   updateTitle,
+  getChatSettings,
+  updateChatSettings,
+  exportChat,
+  importChat,
   uploadDocumentAndTriggerWorkflow,
 };
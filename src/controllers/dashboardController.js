@@ -0,0 +1,218 @@
+const prisma = require("../../lib/prisma");
+const {
+  dashboardScope,
+  authorizeDashboard,
+} = require("../services/authorization");
+const { resolveTargetWorkspace } = require("../services/workspaces");
+const { parseChart } = require("../services/chartData");
+const { paginate } = require("../../utils/pagination");
+const { badRequest, notFound } = require("../../utils/errors");
+
+const tilesWithCharts = {
+  tiles: {
+    orderBy: { position: "asc" },
+    include: {
+      chart: { include: { chat: { select: { id: true, title: true } } } },
+    },
+  },
+};
+
+const toDashboardView = ({ tiles, ...dashboard }) => ({
+  ...dashboard,
+  tiles: tiles.map(({ chart, ...tile }) => ({
+    ...tile,
+    chart: parseChart(chart),
+  })),
+});
+
+// Tiles may only show charts from chats in the dashboard's own workspace, so every
+// member who can open the dashboard can also see its charts.
+const ensureChartsInWorkspace = async (workspaceId, chartIds) => {
+  const ids = [...new Set(chartIds)];
+  if (!ids.length) return;
+
+  const charts = await prisma.chart.findMany({
+    where: { id: { in: ids }, chat: { workspaceId } },
+    select: { id: true },
+  });
+  if (charts.length !== ids.length) {
+    const found = new Set(charts.map((chart) => chart.id));
+    throw badRequest(
+      "INVALID_CHART",
+      "Charts on a dashboard must come from chats in the same workspace.",
+      { chartIds: ids.filter((id) => !found.has(id)) }
+    );
+  }
+};
+
+// Nested create for a layout, numbering the tiles in the order given
+const createTiles = (tiles) => ({
+  create: tiles.map((tile, position) => ({ ...tile, position })),
+});
+
+const getDashboards = async (req, res, next) => {
+  const { workspaceId, sort, order, limit, cursor } = req.query;
+
+  try {
+    const page = await paginate(prisma.dashboard, {
+      where: { ...dashboardScope(req.user.id), workspaceId },
+      include: { _count: { select: { tiles: true } } },
+      sort,
+      order,
+      limit,
+      cursor,
+    });
+    res.status(200).json({
+      ...page,
+      items: page.items.map(({ _count, ...dashboard }) => ({
+        ...dashboard,
+        tileCount: _count.tiles,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createDashboard = async (req, res, next) => {
+  const { title, description, workspaceId, tiles } = req.body;
+
+  try {
+    const workspace = await resolveTargetWorkspace(req.user, workspaceId);
+    await ensureChartsInWorkspace(
+      workspace.id,
+      tiles.map((tile) => tile.chartId)
+    );
+
+    const dashboard = await prisma.dashboard.create({
+      data: {
+        title,
+        description,
+        workspaceId: workspace.id,
+        userId: req.user.id,
+        tiles: createTiles(tiles),
+      },
+      include: tilesWithCharts,
+    });
+    res.status(201).json(toDashboardView(dashboard));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getDashboardById = async (req, res, next) => {
+  try {
+    const { role } = await authorizeDashboard(req.user.id, req.params.id);
+
+    const dashboard = await prisma.dashboard.findUnique({
+      where: { id: req.params.id },
+      include: tilesWithCharts,
+    });
+    res.status(200).json({ ...toDashboardView(dashboard), role });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateDashboard = async (req, res, next) => {
+  const { title, description, tiles } = req.body;
+
+  try {
+    const { workspaceId, role } = await authorizeDashboard(
+      req.user.id,
+      req.params.id,
+      "editor"
+    );
+    if (tiles) {
+      await ensureChartsInWorkspace(
+        workspaceId,
+        tiles.map((tile) => tile.chartId)
+      );
+    }
+
+    const dashboard = await prisma.dashboard.update({
+      where: { id: req.params.id },
+      data: {
+        title,
+        description,
+        ...(tiles && { tiles: { deleteMany: {}, ...createTiles(tiles) } }),
+      },
+      include: tilesWithCharts,
+    });
+    res.status(200).json({ ...toDashboardView(dashboard), role });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteDashboard = async (req, res, next) => {
+  try {
+    await authorizeDashboard(req.user.id, req.params.id, "editor");
+    await prisma.dashboard.delete({ where: { id: req.params.id } });
+    res.status(200).json({ message: "Dashboard deleted successfully." });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Appends a chart as a new row below the current layout.
+const addTile = async (req, res, next) => {
+  const { chartId, width, height } = req.body;
+
+  try {
+    const dashboard = await authorizeDashboard(
+      req.user.id,
+      req.params.id,
+      "editor"
+    );
+    await ensureChartsInWorkspace(dashboard.workspaceId, [chartId]);
+
+    const tiles = await prisma.dashboardTile.findMany({
+      where: { dashboardId: dashboard.id },
+      select: { position: true, y: true, height: true },
+    });
+    const tile = await prisma.dashboardTile.create({
+      data: {
+        dashboardId: dashboard.id,
+        chartId,
+        position: Math.max(-1, ...tiles.map((t) => t.position)) + 1,
+        x: 0,
+        y: Math.max(0, ...tiles.map((t) => t.y + t.height)),
+        width,
+        height,
+      },
+      include: tilesWithCharts.tiles.include,
+    });
+    res.status(201).json({ ...tile, chart: parseChart(tile.chart) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const removeTile = async (req, res, next) => {
+  const { id, tileId } = req.params;
+
+  try {
+    await authorizeDashboard(req.user.id, id, "editor");
+
+    const { count } = await prisma.dashboardTile.deleteMany({
+      where: { id: tileId, dashboardId: id },
+    });
+    if (!count) {
+      return next(notFound("TILE_NOT_FOUND", "Tile not found."));
+    }
+    res.status(200).json({ message: "Tile removed from the dashboard." });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getDashboards,
+  createDashboard,
+  getDashboardById,
+  updateDashboard,
+  deleteDashboard,
+  addTile,
+  removeTile,
+};
@@ -0,0 +1,306 @@
+const prisma = require("../../lib/prisma");
+const storage = require("../services/storage");
+const { isStored, discardDocuments } = require("../services/documentCleanup");
+const {
+  ingestDocument,
+  ingestUploads,
+  uploadResponse,
+} = require("../services/documentIngest");
+const { fetchUrlSource } = require("../services/webSources");
+const { attachDocument } = require("../services/chatDocuments");
+const { resolveTargetWorkspace } = require("../services/workspaces");
+const {
+  documentScope,
+  authorizeChat,
+  authorizeDocument,
+} = require("../services/authorization");
+const {
+  AppError,
+  badRequest,
+  notFound,
+  conflict,
+} = require("../../utils/errors");
+const { paginate } = require("../../utils/pagination");
+
+const documentNotFound = () =>
+  notFound("DOCUMENT_NOT_FOUND", "Document not found or not authorized.");
+
+// The document library: documents of every workspace the user belongs to, newest
+// first, with the number of chats each is attached to.
+const getDocuments = async (req, res, next) => {
+  const { workspaceId, status, sourceType, q, limit, cursor } = req.query;
+
+  try {
+    const page = await paginate(prisma.document, {
+      where: {
+        ...documentScope(req.user.id),
+        workspaceId,
+        status,
+        sourceType,
+        ...(q && { fileName: { contains: q } }),
+      },
+      sort: "uploadedAt",
+      order: "desc",
+      limit,
+      cursor,
+      include: { _count: { select: { chats: true } } },
+    });
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Adds files to a workspace's library without attaching them to a chat.
+const uploadDocuments = async (req, res, next) => {
+  const files = Object.values(req.files || {}).flat();
+
+  if (files.length === 0) {
+    return next(badRequest("FILE_REQUIRED", "No file was uploaded."));
+  }
+
+  try {
+    const workspace = await resolveTargetWorkspace(
+      req.user,
+      req.body.workspaceId
+    );
+
+    const results = await ingestUploads(
+      { userId: req.user.id, workspaceId: workspace.id },
+      files
+    );
+    const { status, body } = uploadResponse(results);
+    res.status(status).json(body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// A library document with the chats it is attached to
+const getDocumentById = async (req, res, next) => {
+  try {
+    const document = await authorizeDocument(req.user.id, req.params.id);
+
+    const attachments = await prisma.chatDocument.findMany({
+      where: { documentId: document.id },
+      orderBy: { attachedAt: "asc" },
+      include: { chat: { select: { id: true, title: true } } },
+    });
+    res.status(200).json({
+      ...document,
+      chats: attachments.map(({ chat, attachedAt }) => ({
+        ...chat,
+        attachedAt,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getChatDocuments = async (req, res, next) => {
+  const { chatId } = req.params;
+  const { status } = req.query;
+
+  try {
+    await authorizeChat(req.user.id, chatId);
+
+    const documents = await prisma.document.findMany({
+      where: { chats: { some: { chatId } }, status },
+      orderBy: { uploadedAt: "desc" },
+    });
+    res.status(200).json(documents);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Attaches a document from the chat's workspace library, without indexing it again.
+const attachChatDocument = async (req, res, next) => {
+  const { chatId, documentId } = req.params;
+
+  try {
+    const chat = await authorizeChat(req.user.id, chatId, "editor");
+    const { role, ...document } = await authorizeDocument(
+      req.user.id,
+      documentId
+    );
+
+    const attached = await attachDocument(chat, document);
+    res.status(attached ? 201 : 200).json({
+      message: attached
+        ? "Document attached to the chat."
+        : "The document is already attached to the chat.",
+      document,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Detaches a document from a chat. It stays in the library and in other chats.
+const detachChatDocument = async (req, res, next) => {
+  const { chatId, documentId } = req.params;
+
+  try {
+    await authorizeChat(req.user.id, chatId, "editor");
+
+    const { count } = await prisma.chatDocument.deleteMany({
+      where: { chatId, documentId },
+    });
+    if (!count) {
+      return next(
+        notFound(
+          "DOCUMENT_NOT_ATTACHED",
+          "The document is not attached to this chat."
+        )
+      );
+    }
+    res.status(200).json({ message: "Document detached from the chat." });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The document for a source: the readable content of a web page, or pasted text
+const toSourceDocument = async ({ type, url, text }) =>
+  type === "url"
+    ? { ...(await fetchUrlSource(url)), sourceType: "url" }
+    : {
+        fileName: "Pasted text.txt",
+        buffer: Buffer.from(text),
+        mimeType: "text/plain",
+        extension: ".txt",
+        sourceType: "text",
+      };
+
+// Adds a web page or pasted text to a chat, indexed like an uploaded file.
+const addChatSource = async (req, res, next) => {
+  const { chatId } = req.params;
+  const { title } = req.body;
+
+  try {
+    const chat = await authorizeChat(req.user.id, chatId, "editor");
+
+    const source = await toSourceDocument(req.body);
+    if (title) source.fileName = `${title}${source.extension}`;
+
+    const { status, document, jobId } = await ingestDocument(
+      { userId: req.user.id, workspaceId: chat.workspaceId, chat },
+      source
+    );
+    if (status === "attached") {
+      return res.status(200).json({
+        message:
+          "This content is already in the document library; it was attached to the chat.",
+        document,
+      });
+    }
+    if (status === "duplicate") {
+      return next(
+        conflict(
+          "DUPLICATE_DOCUMENT",
+          `This content has already been added to the chat as "${document.fileName}".`
+        )
+      );
+    }
+
+    res.status(202).json({
+      message: "Source added and queued for processing.",
+      document,
+      jobId,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const downloadDocument = async (req, res, next) => {
+  try {
+    const document = await authorizeDocument(req.user.id, req.params.id);
+    if (!isStored(document)) {
+      return next(
+        new AppError(
+          410,
+          "DOCUMENT_FILE_UNAVAILABLE",
+          "The original file was not kept for this document."
+        )
+      );
+    }
+
+    const stream = await storage.createReadStream(document.filePath);
+
+    res.set({
+      "Content-Type": document.fileType || "application/octet-stream",
+      "Content-Length": document.fileSize,
+      "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(
+        document.fileName
+      )}`,
+    });
+    stream.on("error", (error) => {
+      console.error("Error streaming document download:", error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteDocument = async (req, res, next) => {
+  try {
+    const document = await authorizeDocument(
+      req.user.id,
+      req.params.id,
+      "editor"
+    );
+
+    await prisma.document.delete({ where: { id: document.id } });
+    await discardDocuments([document]);
+
+    res.status(200).json({ message: "Document deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Called by the AI service when it finishes indexing a document in the background.
+const updateDocumentStatus = async (req, res, next) => {
+  const { id } = req.params;
+  const { status, chunk_count, page_count, error: reportedError } = req.body;
+
+  try {
+    const document = await prisma.document.findUnique({ where: { id } });
+    if (!document) {
+      return next(documentNotFound());
+    }
+
+    const updatedDocument = await prisma.document.update({
+      where: { id },
+      data: {
+        status,
+        error:
+          status === "failed" ? reportedError || "Processing failed." : null,
+        ...(chunk_count !== undefined && { chunkCount: chunk_count }),
+        ...(page_count !== undefined && { pageCount: page_count }),
+        ...(status === "ready" && { indexedAt: new Date() }),
+      },
+    });
+    res.status(200).json(updatedDocument);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getDocuments,
+  uploadDocuments,
+  getDocumentById,
+  getChatDocuments,
+  attachChatDocument,
+  detachChatDocument,
+  addChatSource,
+  downloadDocument,
+  deleteDocument,
+  updateDocumentStatus,
+};
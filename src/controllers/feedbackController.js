@@ -0,0 +1,215 @@
+const prisma = require("../../lib/prisma");
+const { authorizeChat } = require("../services/authorization");
+const { badRequest, notFound } = require("../../utils/errors");
+const { toCsv } = require("../../utils/csv");
+
+const findAssistantMessage = async (chatId, messageId) => {
+  const message = await prisma.message.findFirst({
+    where: { id: messageId, chatId },
+  });
+  if (!message) {
+    throw notFound("MESSAGE_NOT_FOUND", "Message not found.");
+  }
+  if (message.sender !== "assistant") {
+    throw badRequest(
+      "NOT_AN_ANSWER",
+      "Only answers from the assistant can be rated."
+    );
+  }
+  return message;
+};
+
+const toFeedbackView = (feedback) => ({
+  id: feedback.id,
+  messageId: feedback.messageId,
+  rating: feedback.rating,
+  comment: feedback.comment,
+  createdAt: feedback.createdAt,
+  updatedAt: feedback.updatedAt,
+});
+
+// Every member who can read the chat can rate its answers, once each; rating again
+// replaces the earlier rating.
+const setFeedback = async (req, res, next) => {
+  const { chatId, messageId } = req.params;
+  const { rating, comment } = req.body;
+
+  try {
+    await authorizeChat(req.user.id, chatId);
+    await findAssistantMessage(chatId, messageId);
+
+    const feedback = await prisma.messageFeedback.upsert({
+      where: { messageId_userId: { messageId, userId: req.user.id } },
+      update: { rating, comment: comment || null },
+      create: {
+        messageId,
+        userId: req.user.id,
+        rating,
+        comment: comment || null,
+      },
+    });
+    res.status(200).json(toFeedbackView(feedback));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteFeedback = async (req, res, next) => {
+  const { chatId, messageId } = req.params;
+
+  try {
+    await authorizeChat(req.user.id, chatId);
+
+    const { count } = await prisma.messageFeedback.deleteMany({
+      where: { messageId, userId: req.user.id, message: { chatId } },
+    });
+    if (!count) {
+      return next(notFound("FEEDBACK_NOT_FOUND", "Feedback not found."));
+    }
+    res.status(200).json({ message: "Feedback removed." });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The user question each answer replied to, the closest earlier user message in its
+// chat, as a Map of answer id -> question text. One query for all the answers.
+const findQuestions = async (answers) => {
+  if (answers.length === 0) return new Map();
+  const latest = answers.reduce(
+    (max, answer) => (answer.timestamp > max ? answer.timestamp : max),
+    answers[0].timestamp
+  );
+
+  const questions = await prisma.message.findMany({
+    where: {
+      sender: "user",
+      chatId: { in: [...new Set(answers.map((answer) => answer.chatId))] },
+      timestamp: { lt: latest },
+    },
+    orderBy: { timestamp: "asc" },
+    select: { chatId: true, timestamp: true, text: true },
+  });
+
+  const questionsByChat = new Map();
+  for (const question of questions) {
+    const chatQuestions = questionsByChat.get(question.chatId) || [];
+    chatQuestions.push(question);
+    questionsByChat.set(question.chatId, chatQuestions);
+  }
+  return new Map(
+    answers.map((answer) => {
+      const question = questionsByChat
+        .get(answer.chatId)
+        ?.findLast((candidate) => candidate.timestamp < answer.timestamp);
+      return [answer.id, question?.text ?? null];
+    })
+  );
+};
+
+const EXPORT_COLUMNS = [
+  "id",
+  "rating",
+  "comment",
+  "createdAt",
+  "userId",
+  "userEmail",
+  "workspaceId",
+  "chatId",
+  "messageId",
+  "question",
+  "answer",
+  "tokensUsed",
+  "citations",
+];
+
+// In CSV, dates are ISO strings and the citations a JSON array.
+const toCsvValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return JSON.stringify(value);
+  return value;
+};
+
+// GET /api/admin/feedback/export: every rating with the question, the answer and
+// the passages the answer cited, for evaluating retrieval quality. Admins only.
+const exportFeedback = async (req, res, next) => {
+  const { format, rating, from, to } = req.query;
+
+  try {
+    const feedback = await prisma.messageFeedback.findMany({
+      where: {
+        rating,
+        ...((from || to) && { createdAt: { gte: from, lte: to } }),
+      },
+      include: {
+        user: { select: { id: true, email: true } },
+        message: {
+          include: {
+            chat: { select: { id: true, workspaceId: true } },
+            citations: {
+              orderBy: { position: "asc" },
+              include: { document: { select: { fileName: true } } },
+            },
+          },
+        },
+      },
+      orderBy: { createdAt: "asc" },
+    });
+
+    const questions = await findQuestions(
+      feedback.map((entry) => entry.message)
+    );
+    const rows = feedback.map(({ message, user, ...entry }) => ({
+      id: entry.id,
+      rating: entry.rating,
+      comment: entry.comment,
+      createdAt: entry.createdAt,
+      userId: user.id,
+      userEmail: user.email,
+      workspaceId: message.chat.workspaceId,
+      chatId: message.chat.id,
+      messageId: message.id,
+      question: questions.get(message.id),
+      answer: message.text,
+      tokensUsed: message.tokensUsed,
+      citations: message.citations.map((citation) => ({
+        documentId: citation.documentId,
+        fileName: citation.document?.fileName ?? null,
+        page: citation.page,
+        score: citation.score,
+        chunkText: citation.chunkText,
+      })),
+    }));
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      "Content-Type":
+        format === "csv"
+          ? "text/csv; charset=utf-8"
+          : "application/json; charset=utf-8",
+      "Content-Disposition": `attachment; filename="feedback-${date}.${format}"`,
+    });
+
+    if (format === "json") {
+      return res.status(200).send(JSON.stringify(rows, null, 2));
+    }
+    res
+      .status(200)
+      .send(
+        toCsv([
+          EXPORT_COLUMNS,
+          ...rows.map((row) =>
+            EXPORT_COLUMNS.map((column) => toCsvValue(row[column]))
+          ),
+        ])
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  setFeedback,
+  deleteFeedback,
+  exportFeedback,
+};
@@ -0,0 +1,80 @@
+const prisma = require("../../lib/prisma");
+const { chatScope, documentScope } = require("../services/authorization");
+const { notFound } = require("../../utils/errors");
+
+// Jobs for the chats and documents the user can currently see in their workspaces.
+// Jobs for neither are only visible to the user who started them.
+const visibleJobs = (userId) => ({
+  OR: [
+    { chat: chatScope(userId) },
+    { chatId: null, document: documentScope(userId) },
+    { chatId: null, documentId: null, userId },
+  ],
+});
+
+// Payloads can hold whole documents, so they are never sent back to the client.
+const jobSelect = {
+  id: true,
+  type: true,
+  status: true,
+  attempts: true,
+  maxAttempts: true,
+  lastError: true,
+  result: true,
+  runAt: true,
+  createdAt: true,
+  updatedAt: true,
+  completedAt: true,
+  chatId: true,
+  documentId: true,
+  chartId: true,
+};
+
+const parseJob = (job) => ({
+  ...job,
+  result: job.result ? JSON.parse(job.result) : null,
+});
+
+const getJobs = async (req, res, next) => {
+  const { chatId, documentId, chartId, status } = req.query;
+
+  try {
+    const jobs = await prisma.job.findMany({
+      where: {
+        ...visibleJobs(req.user.id),
+        chatId,
+        documentId,
+        chartId,
+        status,
+      },
+      select: jobSelect,
+      orderBy: { createdAt: "desc" },
+      take: 50,
+    });
+    res.status(200).json(jobs.map(parseJob));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getJobById = async (req, res, next) => {
+  try {
+    const job = await prisma.job.findFirst({
+      where: { id: req.params.id, ...visibleJobs(req.user.id) },
+      select: jobSelect,
+    });
+    if (!job) {
+      return next(
+        notFound("JOB_NOT_FOUND", "Job not found or not authorized.")
+      );
+    }
+    res.status(200).json(parseJob(job));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getJobs,
+  getJobById,
+};
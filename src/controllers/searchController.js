@@ -0,0 +1,20 @@
+const searchIndex = require("../services/searchIndex");
+
+const search = async (req, res, next) => {
+  const { q, types, limit, offset } = req.query;
+
+  try {
+    const results = await searchIndex.search(req.user.id, q, {
+      kinds: types,
+      limit,
+      offset,
+    });
+    res.status(200).json({ query: q, limit, offset, results });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  search,
+};
@@ -0,0 +1,184 @@
+const crypto = require("crypto");
+const prisma = require("../../lib/prisma");
+const { hashToken } = require("../../utils/tokens");
+const { authorizeChat, authorizeChart } = require("../services/authorization");
+const {
+  attachedDocumentsInclude,
+  toDocuments,
+} = require("../services/chatDocuments");
+const { notFound } = require("../../utils/errors");
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+
+const shareNotFound = () =>
+  notFound("SHARE_NOT_FOUND", "This share link does not exist or has expired.");
+
+const activeShare = () => ({
+  revokedAt: null,
+  OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+});
+
+// How a share looks to its owner
+const toShareView = (share) => ({
+  id: share.id,
+  type: share.chartId ? "chart" : "chat",
+  chatId: share.chatId,
+  chartId: share.chartId,
+  title: share.chart?.label ?? share.chat?.title ?? null,
+  expiresAt: share.expiresAt,
+  viewCount: share.viewCount,
+  lastViewedAt: share.lastViewedAt,
+  createdAt: share.createdAt,
+});
+
+const shareTarget = {
+  chat: { select: { title: true } },
+  chart: { select: { label: true } },
+};
+
+const createShare = async (req, res, next) => {
+  const { chatId, chartId, expiresAt } = req.body;
+
+  try {
+    if (chatId) {
+      await authorizeChat(req.user.id, chatId, "editor");
+    } else {
+      await authorizeChart(req.user.id, chartId, "editor");
+    }
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    const share = await prisma.share.create({
+      data: {
+        tokenHash: hashToken(token),
+        chatId,
+        chartId,
+        expiresAt,
+        userId: req.user.id,
+      },
+      include: shareTarget,
+    });
+
+    // The token is only ever returned here; the database keeps just its hash.
+    res.status(201).json({
+      ...toShareView(share),
+      token,
+      url: `${FRONTEND_URL}/shared/${token}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getShares = async (req, res, next) => {
+  try {
+    const shares = await prisma.share.findMany({
+      where: { userId: req.user.id, ...activeShare() },
+      include: shareTarget,
+      orderBy: { createdAt: "desc" },
+    });
+    res.status(200).json(shares.map(toShareView));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const revokeShare = async (req, res, next) => {
+  try {
+    const share = await prisma.share.findFirst({
+      where: { id: req.params.id, userId: req.user.id, revokedAt: null },
+    });
+    if (!share) {
+      return next(shareNotFound());
+    }
+
+    await prisma.share.update({
+      where: { id: share.id },
+      data: { revokedAt: new Date() },
+    });
+    res.status(200).json({ message: "Share link revoked." });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const parseJson = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return {};
+  }
+};
+
+// Public views leave out ids, token counts, storage paths and anything about the owner.
+const toPublicChart = (chart) => ({
+  type: chart.type,
+  label: chart.label,
+  status: chart.status,
+  data: parseJson(chart.data),
+  config: parseJson(chart.config),
+  createdAt: chart.createdAt,
+});
+
+const toPublicChat = (chat) => ({
+  title: chat.title,
+  createdAt: chat.createdAt,
+  messages: chat.messages.map((message) => ({
+    sender: message.sender,
+    text: message.text,
+    timestamp: message.timestamp,
+  })),
+  documents: toDocuments(chat.documents).map((document) => ({
+    fileName: document.fileName,
+    fileType: document.fileType,
+  })),
+  charts: chat.charts.map(toPublicChart),
+});
+
+const getPublicShare = async (req, res, next) => {
+  try {
+    const share = await prisma.share.findFirst({
+      where: { tokenHash: hashToken(req.params.token), ...activeShare() },
+      include: {
+        chart: true,
+        chat: {
+          include: {
+            messages: { orderBy: { timestamp: "asc" } },
+            documents: attachedDocumentsInclude(),
+            charts: {
+              where: { status: "ready" },
+              orderBy: { createdAt: "asc" },
+            },
+          },
+        },
+      },
+    });
+    if (!share) {
+      return next(shareNotFound());
+    }
+
+    await prisma.share.update({
+      where: { id: share.id },
+      data: { viewCount: { increment: 1 }, lastViewedAt: new Date() },
+    });
+
+    // Revocation has to take effect immediately, so nothing may cache the view.
+    res.set({ "Cache-Control": "no-store", "X-Robots-Tag": "noindex" });
+    res.status(200).json({
+      type: share.chart ? "chart" : "chat",
+      sharedAt: share.createdAt,
+      expiresAt: share.expiresAt,
+      ...(share.chart
+        ? { chart: toPublicChart(share.chart) }
+        : { chat: toPublicChat(share.chat) }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createShare,
+  getShares,
+  revokeShare,
+  getPublicShare,
+};
@@ -1,7 +1,14 @@
 const { PrismaClient } = require("@prisma/client");
 const prisma = new PrismaClient();
+const { getQuota } = require("../services/usage");
+const { chatScope } = require("../services/authorization");
+const {
+  startOfBucket,
+  nextBucket,
+  listBuckets,
+} = require("../../utils/dateBuckets");
 
-exports.getStats = async (req, res) => {
+exports.getStats = async (req, res, next) => {
   try {
     const userId = req.user.id;
 
@@ -30,6 +37,160 @@ exports.getStats = async (req, res) => {
       tokensUsed: totalTokensUsed,
     });
   } catch (error) {
-    res.status(500).json({ message: "Failed to retrieve user statistics." });
+    next(error);
+  }
+};
+
+exports.getQuota = async (req, res, next) => {
+  try {
+    const quota = await getQuota(req.user.id);
+    res.status(200).json(quota);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const emptyTokens = () => ({ total: 0, answer: 0, chart: 0, summary: 0 });
+
+const addTokens = (tokens, feature, amount) => {
+  tokens.total += amount;
+  tokens[feature] = (tokens[feature] || 0) + amount;
+};
+
+// Token, message, document and chart activity between `from` and `to`, bucketed by
+// day, week or month (UTC) and broken down by chat and by feature.
+exports.getUsage = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { from, to, granularity } = req.query;
+    const range = { gte: from, lt: to };
+
+    const [usageEvents, messages, documents, charts] = await Promise.all([
+      prisma.usageEvent.findMany({
+        where: { userId, createdAt: range },
+        select: {
+          createdAt: true,
+          feature: true,
+          tokensUsed: true,
+          chatId: true,
+        },
+      }),
+      prisma.message.findMany({
+        where: { chat: { userId }, timestamp: range },
+        select: { timestamp: true, chatId: true },
+      }),
+      prisma.document.findMany({
+        where: { userId, uploadedAt: range },
+        select: { uploadedAt: true },
+      }),
+      prisma.chart.findMany({
+        where: { userId, createdAt: range },
+        select: { createdAt: true },
+      }),
+    ]);
+
+    const buckets = new Map(
+      listBuckets(from, to, granularity).map((start) => [
+        start.getTime(),
+        {
+          start,
+          end: nextBucket(start, granularity),
+          tokens: emptyTokens(),
+          messages: 0,
+          documents: 0,
+          charts: 0,
+          byChat: new Map(),
+        },
+      ])
+    );
+    const bucketFor = (date) =>
+      buckets.get(startOfBucket(date, granularity).getTime());
+
+    const chats = new Map();
+    const chatFor = (chatId) => {
+      if (!chats.has(chatId)) {
+        chats.set(chatId, { chatId, tokens: emptyTokens(), messages: 0 });
+      }
+      return chats.get(chatId);
+    };
+
+    for (const event of usageEvents) {
+      const bucket = bucketFor(event.createdAt);
+      addTokens(bucket.tokens, event.feature, event.tokensUsed);
+
+      if (event.chatId) {
+        addTokens(
+          chatFor(event.chatId).tokens,
+          event.feature,
+          event.tokensUsed
+        );
+        if (!bucket.byChat.has(event.chatId)) {
+          bucket.byChat.set(event.chatId, emptyTokens());
+        }
+        addTokens(
+          bucket.byChat.get(event.chatId),
+          event.feature,
+          event.tokensUsed
+        );
+      }
+    }
+    for (const message of messages) {
+      bucketFor(message.timestamp).messages += 1;
+      chatFor(message.chatId).messages += 1;
+    }
+    for (const document of documents) {
+      bucketFor(document.uploadedAt).documents += 1;
+    }
+    for (const chart of charts) {
+      bucketFor(chart.createdAt).charts += 1;
+    }
+
+    // Usage of deleted chats, or of chats the user can no longer see, is still
+    // reported, just without a title.
+    const titles = await prisma.chat.findMany({
+      where: { ...chatScope(userId), id: { in: [...chats.keys()] } },
+      select: { id: true, title: true },
+    });
+    const titleById = new Map(titles.map((chat) => [chat.id, chat.title]));
+
+    const totals = {
+      tokens: emptyTokens(),
+      messages: 0,
+      documents: 0,
+      charts: 0,
+    };
+    const bucketList = [...buckets.values()].map((bucket) => {
+      for (const feature of ["answer", "chart", "summary"]) {
+        addTokens(totals.tokens, feature, bucket.tokens[feature]);
+      }
+      totals.messages += bucket.messages;
+      totals.documents += bucket.documents;
+      totals.charts += bucket.charts;
+
+      return {
+        ...bucket,
+        byChat: [...bucket.byChat].map(([chatId, tokens]) => ({
+          chatId,
+          tokens,
+        })),
+      };
+    });
+
+    res.status(200).json({
+      from,
+      to,
+      granularity,
+      totals,
+      buckets: bucketList,
+      chats: [...chats.values()]
+        .map((chat) => ({
+          ...chat,
+          title: titleById.get(chat.chatId) ?? null,
+          deleted: !titleById.has(chat.chatId),
+        }))
+        .sort((a, b) => b.tokens.total - a.tokens.total),
+    });
+  } catch (error) {
+    next(error);
   }
 };
@@ -0,0 +1,375 @@
+const crypto = require("crypto");
+const prisma = require("../../lib/prisma");
+const { hashToken } = require("../../utils/tokens");
+const { sendMail } = require("../services/mailer");
+const { workspaceInvitationEmail } = require("../services/mailer/templates");
+const { authorizeWorkspace } = require("../services/authorization");
+const { discardDocuments } = require("../services/documentCleanup");
+const { forbidden, notFound, conflict } = require("../../utils/errors");
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+const INVITATION_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+const personalWorkspace = () =>
+  conflict(
+    "PERSONAL_WORKSPACE",
+    "Personal workspaces cannot be shared or deleted."
+  );
+
+const memberNotFound = () =>
+  notFound("MEMBER_NOT_FOUND", "This user is not a member of the workspace.");
+
+const invitationNotFound = () =>
+  notFound(
+    "INVITATION_NOT_FOUND",
+    "This invitation does not exist, has expired or was already used."
+  );
+
+const toMemberView = (member) => ({
+  userId: member.user.id,
+  username: member.user.username,
+  email: member.user.email,
+  role: member.role,
+  joinedAt: member.createdAt,
+});
+
+const toInvitationView = (invitation) => ({
+  id: invitation.id,
+  email: invitation.email,
+  role: invitation.role,
+  expiresAt: invitation.expiresAt,
+  createdAt: invitation.createdAt,
+});
+
+// A workspace must always keep at least one owner.
+const ensureAnotherOwner = async (workspaceId, member) => {
+  if (member.role !== "owner") return;
+  const owners = await prisma.workspaceMember.count({
+    where: { workspaceId, role: "owner" },
+  });
+  if (owners <= 1) {
+    throw conflict(
+      "LAST_OWNER",
+      "The workspace needs another owner before this one can be removed or demoted."
+    );
+  }
+};
+
+// Share links are public, so a member's links to the workspace's chats and charts
+// stop working once the member may no longer share them.
+const revokeMemberShares = (workspaceId, userId) =>
+  prisma.share.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      OR: [{ chat: { workspaceId } }, { chart: { chat: { workspaceId } } }],
+    },
+    data: { revokedAt: new Date() },
+  });
+
+const findMember = async (workspaceId, userId) => {
+  const member = await prisma.workspaceMember.findUnique({
+    where: { workspaceId_userId: { workspaceId, userId } },
+    include: { user: true },
+  });
+  if (!member) throw memberNotFound();
+  return member;
+};
+
+const getWorkspaces = async (req, res, next) => {
+  try {
+    const memberships = await prisma.workspaceMember.findMany({
+      where: { userId: req.user.id },
+      include: {
+        workspace: { include: { _count: { select: { members: true } } } },
+      },
+      orderBy: { createdAt: "asc" },
+    });
+
+    res.status(200).json(
+      memberships.map(({ role, workspace: { _count, ...workspace } }) => ({
+        ...workspace,
+        role,
+        memberCount: _count.members,
+      }))
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createWorkspace = async (req, res, next) => {
+  try {
+    const workspace = await prisma.workspace.create({
+      data: {
+        name: req.body.name,
+        members: { create: { userId: req.user.id, role: "owner" } },
+      },
+    });
+    res.status(201).json({ ...workspace, role: "owner" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getWorkspaceById = async (req, res, next) => {
+  try {
+    const workspace = await authorizeWorkspace(req.user.id, req.params.id);
+
+    const members = await prisma.workspaceMember.findMany({
+      where: { workspaceId: workspace.id },
+      include: { user: true },
+      orderBy: { createdAt: "asc" },
+    });
+    res.status(200).json({ ...workspace, members: members.map(toMemberView) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateWorkspace = async (req, res, next) => {
+  try {
+    const { role } = await authorizeWorkspace(
+      req.user.id,
+      req.params.id,
+      "owner"
+    );
+
+    const workspace = await prisma.workspace.update({
+      where: { id: req.params.id },
+      data: { name: req.body.name },
+    });
+    res.status(200).json({ ...workspace, role });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteWorkspace = async (req, res, next) => {
+  try {
+    const workspace = await authorizeWorkspace(
+      req.user.id,
+      req.params.id,
+      "owner"
+    );
+    if (workspace.personal) {
+      return next(personalWorkspace());
+    }
+
+    const documents = await prisma.document.findMany({
+      where: { workspaceId: workspace.id },
+    });
+    await prisma.workspace.delete({ where: { id: workspace.id } });
+    await discardDocuments(documents);
+
+    res.status(200).json({ message: "Workspace deleted successfully." });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateMember = async (req, res, next) => {
+  const { id, userId } = req.params;
+
+  try {
+    await authorizeWorkspace(req.user.id, id, "owner");
+
+    const member = await findMember(id, userId);
+    if (req.body.role !== "owner") {
+      await ensureAnotherOwner(id, member);
+    }
+
+    const [updated] = await prisma.$transaction([
+      prisma.workspaceMember.update({
+        where: { id: member.id },
+        data: { role: req.body.role },
+        include: { user: true },
+      }),
+      // Viewers cannot share.
+      ...(req.body.role === "viewer" ? [revokeMemberShares(id, userId)] : []),
+    ]);
+    res.status(200).json(toMemberView(updated));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Owners can remove anyone; every member can remove themselves to leave.
+const removeMember = async (req, res, next) => {
+  const { id, userId } = req.params;
+
+  try {
+    await authorizeWorkspace(
+      req.user.id,
+      id,
+      userId === req.user.id ? "viewer" : "owner"
+    );
+
+    const member = await findMember(id, userId);
+    await ensureAnotherOwner(id, member);
+
+    await prisma.$transaction([
+      prisma.workspaceMember.delete({ where: { id: member.id } }),
+      revokeMemberShares(id, userId),
+    ]);
+    res.status(200).json({ message: "Member removed from the workspace." });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getInvitations = async (req, res, next) => {
+  try {
+    await authorizeWorkspace(req.user.id, req.params.id, "owner");
+
+    const invitations = await prisma.workspaceInvitation.findMany({
+      where: {
+        workspaceId: req.params.id,
+        acceptedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+    res.status(200).json(invitations.map(toInvitationView));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createInvitation = async (req, res, next) => {
+  const { email, role } = req.body;
+
+  try {
+    const workspace = await authorizeWorkspace(
+      req.user.id,
+      req.params.id,
+      "owner"
+    );
+    if (workspace.personal) {
+      return next(personalWorkspace());
+    }
+
+    const existingMember = await prisma.workspaceMember.findFirst({
+      where: { workspaceId: workspace.id, user: { email } },
+    });
+    if (existingMember) {
+      return next(
+        conflict("ALREADY_MEMBER", "This person is already a member.")
+      );
+    }
+
+    // A new invitation replaces any earlier one, so only the latest link works.
+    await prisma.workspaceInvitation.deleteMany({
+      where: { workspaceId: workspace.id, email, acceptedAt: null },
+    });
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    const invitation = await prisma.workspaceInvitation.create({
+      data: {
+        email,
+        role,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + INVITATION_MAX_AGE),
+        workspaceId: workspace.id,
+        invitedById: req.user.id,
+      },
+    });
+
+    await sendMail({
+      to: email,
+      ...workspaceInvitationEmail({
+        inviterName: req.user.username,
+        workspaceName: workspace.name,
+        role,
+        link: `${FRONTEND_URL}/invitations/accept?token=${encodeURIComponent(token)}`,
+      }),
+    });
+
+    res.status(201).json(toInvitationView(invitation));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const revokeInvitation = async (req, res, next) => {
+  const { id, invitationId } = req.params;
+
+  try {
+    await authorizeWorkspace(req.user.id, id, "owner");
+
+    const { count } = await prisma.workspaceInvitation.deleteMany({
+      where: { id: invitationId, workspaceId: id, acceptedAt: null },
+    });
+    if (!count) {
+      return next(invitationNotFound());
+    }
+    res.status(200).json({ message: "Invitation revoked." });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const acceptInvitation = async (req, res, next) => {
+  try {
+    const invitation = await prisma.workspaceInvitation.findFirst({
+      where: {
+        tokenHash: hashToken(req.body.token),
+        acceptedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+    });
+    if (!invitation) {
+      return next(invitationNotFound());
+    }
+
+    if (invitation.email.toLowerCase() !== req.user.email.toLowerCase()) {
+      return next(
+        forbidden(
+          "INVITATION_EMAIL_MISMATCH",
+          "This invitation was sent to a different email address."
+        )
+      );
+    }
+
+    const [member] = await prisma.$transaction([
+      prisma.workspaceMember.upsert({
+        where: {
+          workspaceId_userId: {
+            workspaceId: invitation.workspaceId,
+            userId: req.user.id,
+          },
+        },
+        // Someone who is already a member keeps their current role.
+        update: {},
+        create: {
+          workspaceId: invitation.workspaceId,
+          userId: req.user.id,
+          role: invitation.role,
+        },
+        include: { workspace: true },
+      }),
+      prisma.workspaceInvitation.update({
+        where: { id: invitation.id },
+        data: { acceptedAt: new Date() },
+      }),
+    ]);
+
+    res.status(200).json({ ...member.workspace, role: member.role });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getWorkspaces,
+  createWorkspace,
+  getWorkspaceById,
+  updateWorkspace,
+  deleteWorkspace,
+  updateMember,
+  removeMember,
+  getInvitations,
+  createInvitation,
+  revokeInvitation,
+  acceptInvitation,
+};
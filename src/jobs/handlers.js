@@ -0,0 +1,214 @@
+// jobs/handlers.js
+const prisma = require("../../lib/prisma");
+const { registerHandler } = require("./queue");
+const { FALLBACK_ANSWER } = require("../services/answerStreams");
+const storage = require("../services/storage");
+const { recordUsage } = require("../services/usage");
+const { saveChartVersion } = require("../services/chartVersions");
+const { createAnswerMessage } = require("../services/citations");
+const aiClient = require("../services/aiClient");
+const { documentIdsInChat } = require("../services/chatDocuments");
+
+// Public base URL of this API, used for the AI service's status callbacks.
+const BACKEND_URL = process.env.BACKEND_URL;
+// Turns folded into a chat's summary per "summarize-history" job
+const SUMMARY_BATCH_SIZE = 100;
+
+// Usage is recorded once the result is saved. A failure to record it must not fail
+// the job: its retry would call the AI service again and save a second result.
+const recordJobUsage = (usage) =>
+  recordUsage(usage).catch((error) =>
+    console.error("Could not record usage:", error.message)
+  );
+
+registerHandler("process-document", {
+  run: async ({ documentId, fileName, storageKey, fileContentBase64 }) => {
+    await prisma.document.update({
+      where: { id: documentId },
+      data: { status: "processing", error: null },
+    });
+
+    // Jobs queued before uploads were stored carry the file content inline.
+    const content =
+      fileContentBase64 || (await storage.get(storageKey)).toString("base64");
+
+    const { status, chunkCount, pageCount } = await aiClient.processDocument({
+      documentId,
+      fileName,
+      contentBase64: content,
+      callbackUrl:
+        BACKEND_URL &&
+        `${BACKEND_URL}/api/internal/documents/${documentId}/status`,
+    });
+
+    // Indexing in the background: the outcome comes through the callback URL.
+    if (status === "processing") {
+      return { documentId, status };
+    }
+
+    await prisma.document.update({
+      where: { id: documentId },
+      data: {
+        status: "ready",
+        chunkCount,
+        pageCount,
+        indexedAt: new Date(),
+      },
+    });
+    return { documentId, status: "ready" };
+  },
+  onFailure: async ({ documentId }, job) => {
+    await prisma.document.update({
+      where: { id: documentId },
+      data: { status: "failed", error: job.lastError },
+    });
+  },
+});
+
+registerHandler("delete-document-vectors", {
+  run: async ({ documentId }) => {
+    await aiClient.deleteDocument({ documentId });
+  },
+});
+
+registerHandler("answer-query", {
+  run: async ({ chatId, queryText, history, summary, documentIds }, job) => {
+    const { answer, tokensUsed, citations } = await aiClient.answerQuery({
+      queryText,
+      chatId,
+      history,
+      summary,
+      // Jobs queued before documents were shared between chats carry no ids.
+      documentIds: documentIds ?? (await documentIdsInChat(chatId)),
+    });
+
+    const message = await createAnswerMessage({
+      chatId,
+      text: answer,
+      tokensUsed,
+      citations,
+    });
+    await recordJobUsage({
+      userId: job.userId,
+      chatId,
+      feature: "answer",
+      tokensUsed,
+    });
+    return { messageId: message.id };
+  },
+  // Leave an answer in the conversation so the client stops waiting for one.
+  onFailure: async ({ chatId }) => {
+    await prisma.message.create({
+      data: { text: FALLBACK_ANSWER, sender: "assistant", chatId },
+    });
+  },
+});
+
+// Folds the turns before `upTo` that are not yet in the chat's rolling summary
+// into it. The AI service gets the current summary and the new turns, and returns
+// the updated summary.
+registerHandler("summarize-history", {
+  run: async ({ chatId, upTo }, job) => {
+    const chat = await prisma.chat.findUnique({ where: { id: chatId } });
+    if (!chat) return { chatId, summarized: 0 };
+
+    const messages = await prisma.message.findMany({
+      where: {
+        chatId,
+        timestamp: {
+          lt: new Date(upTo),
+          ...(chat.summaryUpTo && { gt: chat.summaryUpTo }),
+        },
+      },
+      orderBy: { timestamp: "asc" },
+      take: SUMMARY_BATCH_SIZE,
+    });
+    if (!messages.length) return { chatId, summarized: 0 };
+
+    const { summary, tokensUsed } = await aiClient.summarize({
+      chatId,
+      summary: chat.summary,
+      messages: messages.map((msg) => ({
+        role: msg.sender,
+        content: msg.text,
+      })),
+    });
+    if (typeof summary !== "string" || !summary.trim()) {
+      throw new Error("AI service returned an empty summary.");
+    }
+    // Skipped if the summary was reset meanwhile, e.g. by an edited question. The
+    // chat keeps its updatedAt, as nothing a user wrote has changed.
+    await prisma.chat.updateMany({
+      where: { id: chatId, summaryUpTo: chat.summaryUpTo },
+      data: {
+        summary,
+        summaryUpTo: messages[messages.length - 1].timestamp,
+        updatedAt: chat.updatedAt,
+      },
+    });
+    await recordJobUsage({
+      userId: job.userId,
+      chatId,
+      feature: "summary",
+      tokensUsed,
+    });
+    return { chatId, summarized: messages.length };
+  },
+});
+
+// Also used to regenerate an existing chart, in which case `regenerate` is set.
+registerHandler("generate-chart", {
+  run: async (
+    { chartId, chatId, prompt, chartType, regenerate, documentIds },
+    job
+  ) => {
+    const { chart, tokensUsed } = await aiClient.generateChart({
+      prompt,
+      chatId,
+      chartType,
+      documentIds: documentIds ?? (await documentIdsInChat(chatId)),
+    });
+
+    if (!chart || chart.error || !chart.data) {
+      const error = new Error(
+        chart?.error || "AI service returned invalid or empty chart data."
+      );
+      error.retryable = false;
+      error.expose = true;
+      throw error;
+    }
+
+    await saveChartVersion(
+      chartId,
+      {
+        type: chart.type || chartType,
+        data: JSON.stringify(chart.data),
+        config: JSON.stringify(chart.config || {}),
+        createdFrom: prompt,
+        tokensUsed: { increment: tokensUsed },
+        status: "ready",
+      },
+      {
+        source: regenerate ? "regenerated" : "generated",
+        userId: job.userId,
+        tokensUsed,
+      }
+    );
+    await recordJobUsage({
+      userId: job.userId,
+      chatId,
+      feature: "chart",
+      tokensUsed,
+    });
+    return { chartId };
+  },
+  // A chart that failed to regenerate keeps showing its current version.
+  onFailure: async ({ chartId }) => {
+    const chart = await prisma.chart.findUnique({ where: { id: chartId } });
+    if (!chart) return;
+    await prisma.chart.update({
+      where: { id: chartId },
+      data: { status: chart.version > 0 ? "ready" : "failed" },
+    });
+  },
+});
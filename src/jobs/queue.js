@@ -0,0 +1,196 @@
+// jobs/queue.js
+const prisma = require("../../lib/prisma");
+const {
+  getCorrelationId,
+  runWithCorrelationId,
+} = require("../../utils/correlation");
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 3;
+const BASE_BACKOFF_MS = parseInt(process.env.JOB_BACKOFF_MS, 10) || 5000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+
+const handlers = new Map();
+let timer = null;
+let activeJobs = 0;
+let polling = false;
+
+/**
+ * Registers the handler for a job type. `run(payload, job)` does the work and may
+ * return a JSON-serializable result; `onFailure(payload, job, error)` is called once
+ * when the job has failed for good, with `job.lastError` describing why.
+ *
+ * Throw an error with `retryable: false` from `run` to skip the remaining attempts,
+ * and with `expose: true` if its message may be shown to the user.
+ */
+const registerHandler = (type, { run, onFailure }) => {
+  handlers.set(type, { run, onFailure });
+};
+
+const enqueue = async (
+  type,
+  payload,
+  { userId, chatId, documentId, chartId, maxAttempts }
+) => {
+  const job = await prisma.job.create({
+    data: {
+      type,
+      payload: JSON.stringify(payload),
+      userId,
+      chatId,
+      documentId,
+      chartId,
+      correlationId: getCorrelationId(),
+      ...(maxAttempts && { maxAttempts }),
+    },
+  });
+  setImmediate(poll);
+  return job;
+};
+
+// Exponential backoff with jitter: 5s, 10s, 20s, ... capped at ten minutes.
+const getBackoff = (attempts) => {
+  const delay = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+const claimNextJob = async () => {
+  const job = await prisma.job.findFirst({
+    where: { status: "queued", runAt: { lte: new Date() } },
+    orderBy: { runAt: "asc" },
+  });
+  if (!job) return null;
+
+  const { count } = await prisma.job.updateMany({
+    where: { id: job.id, status: "queued" },
+    data: {
+      status: "running",
+      lockedAt: new Date(),
+      attempts: { increment: 1 },
+    },
+  });
+  if (count === 0) return claimNextJob();
+
+  return { ...job, status: "running", attempts: job.attempts + 1 };
+};
+
+const processJob = async (job) => {
+  const handler = handlers.get(job.type);
+  let payload = null;
+
+  try {
+    payload = JSON.parse(job.payload);
+    if (!handler) {
+      throw Object.assign(new Error(`No handler for job type "${job.type}"`), {
+        retryable: false,
+      });
+    }
+
+    const result = await handler.run(payload, job);
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: "completed",
+        result: result === undefined ? null : JSON.stringify(result),
+        lastError: null,
+        lockedAt: null,
+        completedAt: new Date(),
+      },
+    });
+  } catch (error) {
+    // lastError is shown to users, so only messages meant for them are kept:
+    // errors flagged with `expose`, such as the AI service's own error detail.
+    const lastError =
+      (error.expose && error.message) || "The AI service request failed.";
+    const exhausted =
+      error.retryable === false || job.attempts >= job.maxAttempts;
+
+    console.error(
+      `Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.maxAttempts} failed:`,
+      error.message
+    );
+
+    await prisma.job.update({
+      where: { id: job.id },
+      data: exhausted
+        ? {
+            status: "failed",
+            lastError,
+            lockedAt: null,
+            completedAt: new Date(),
+          }
+        : {
+            status: "queued",
+            lastError,
+            lockedAt: null,
+            runAt: new Date(Date.now() + getBackoff(job.attempts)),
+          },
+    });
+
+    if (exhausted && handler?.onFailure) {
+      try {
+        await handler.onFailure(payload, { ...job, lastError }, error);
+      } catch (e) {
+        console.error(`Failure hook for job ${job.id} threw:`, e.message);
+      }
+    }
+  }
+};
+
+async function poll() {
+  if (polling || !timer) return;
+  polling = true;
+
+  try {
+    while (activeJobs < CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      activeJobs += 1;
+      // The job's AI calls carry the id of the request that queued it.
+      runWithCorrelationId(job.correlationId || `job-${job.id}`, () =>
+        processJob(job)
+      )
+        .catch((e) => console.error(`Job ${job.id} could not be saved:`, e))
+        .finally(() => {
+          activeJobs -= 1;
+          setImmediate(poll);
+        });
+    }
+  } catch (error) {
+    console.error("Job queue poll failed:", error.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Starts the worker. Jobs left "running" belong to a process that is gone, so they
+ * are put back in the queue before polling begins.
+ */
+const start = async () => {
+  if (timer) return;
+
+  const { count } = await prisma.job.updateMany({
+    where: { status: "running" },
+    data: { status: "queued", lockedAt: null },
+  });
+  if (count > 0) {
+    console.log(`Re-queued ${count} job(s) interrupted by a restart.`);
+  }
+
+  timer = setInterval(poll, POLL_INTERVAL_MS);
+  poll();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  start,
+  stop,
+};
@@ -0,0 +1,23 @@
+// middleware/adminMiddleware.js
+const prisma = require("../../lib/prisma");
+const { forbidden } = require("../../utils/errors");
+
+// Runs after authMiddleware. The role is read from the database rather than the
+// token, so granting or withdrawing admin rights takes effect immediately.
+const adminMiddleware = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { role: true },
+    });
+
+    if (user?.role !== "admin") {
+      return next(forbidden("ADMIN_ONLY", "This action is for admins only."));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = adminMiddleware;
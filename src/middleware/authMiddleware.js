@@ -1,19 +1,46 @@
 // middleware/authMiddleware.js
 const jwt = require("jsonwebtoken");
+const prisma = require("../../lib/prisma");
 
-const authMiddleware = (req, res, next) => {
+const { unauthorized } = require("../../utils/errors");
+
+const authMiddleware = async (req, res, next) => {
   const token = req.cookies.token;
 
   if (!token) {
-    return res.status(401).json({ error: "Access denied" });
+    return next(unauthorized("UNAUTHENTICATED", "Access denied."));
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return next(unauthorized("INVALID_TOKEN", "Invalid token."));
+  }
+
+  try {
+    // Access tokens are only honoured while their session is alive, so signing
+    // out or revoking a device takes effect immediately.
+    const session =
+      decoded.sid &&
+      (await prisma.session.findUnique({
+        where: { id: decoded.sid },
+        select: { userId: true, revokedAt: true, expiresAt: true },
+      }));
+
+    if (
+      !session ||
+      session.userId !== decoded.id ||
+      session.revokedAt ||
+      session.expiresAt < new Date()
+    ) {
+      return next(unauthorized("SESSION_EXPIRED", "Session expired."));
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
-    res.status(401).json({ error: "Invalid token" });
+    next(error);
   }
 };
 
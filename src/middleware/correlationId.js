@@ -0,0 +1,20 @@
+// middleware/correlationId.js
+const crypto = require("crypto");
+const {
+  isValidCorrelationId,
+  runWithCorrelationId,
+} = require("../../utils/correlation");
+
+// Gives every request a correlation id: the caller's X-Request-Id when it has a
+// sensible one, or a new one. It is echoed back in the response and sent on to the
+// AI service.
+const correlationId = (req, res, next) => {
+  const provided = req.get("x-request-id");
+  const id = isValidCorrelationId(provided) ? provided : crypto.randomUUID();
+
+  req.id = id;
+  res.set("X-Request-Id", id);
+  runWithCorrelationId(id, next);
+};
+
+module.exports = correlationId;
@@ -0,0 +1,83 @@
+// middleware/errorHandler.js
+const multer = require("multer");
+const { AppError, toErrorBody } = require("../../utils/errors");
+
+// Maps well-known library errors onto client errors. Anything else is a bug or an
+// outage and is reported without its internal message.
+const normalizeError = (err) => {
+  if (err instanceof AppError) return err;
+
+  if (err instanceof multer.MulterError) {
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return new AppError(
+        413,
+        "FILE_TOO_LARGE",
+        "The uploaded file is too large."
+      );
+    }
+    if (err.code === "LIMIT_FILE_COUNT") {
+      return new AppError(
+        400,
+        "TOO_MANY_FILES",
+        "Too many files were uploaded at once."
+      );
+    }
+    return new AppError(400, "INVALID_UPLOAD", "The upload could not be read.");
+  }
+
+  if (err.type === "entity.parse.failed") {
+    return new AppError(
+      400,
+      "INVALID_JSON",
+      "The request body is not valid JSON."
+    );
+  }
+  if (err.type === "entity.too.large") {
+    return new AppError(
+      413,
+      "PAYLOAD_TOO_LARGE",
+      "The request body is too large."
+    );
+  }
+
+  // Prisma unique constraint violation
+  if (err.code === "P2002") {
+    return new AppError(
+      409,
+      "CONFLICT",
+      "A record with these values already exists."
+    );
+  }
+
+  return null;
+};
+
+const notFoundHandler = (req, res) => {
+  res
+    .status(404)
+    .json(
+      toErrorBody(new AppError(404, "ROUTE_NOT_FOUND", "Route not found."))
+    );
+};
+
+const errorHandler = (err, req, res, next) => {
+  const error = normalizeError(err);
+
+  if (!error) {
+    console.error(`Request ${req.id} failed:`, err.stack || err);
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const appError =
+    error ||
+    new AppError(500, "INTERNAL_ERROR", "An unexpected error occurred.");
+  res.status(appError.status).json(toErrorBody(appError));
+};
+
+module.exports = {
+  notFoundHandler,
+  errorHandler,
+};
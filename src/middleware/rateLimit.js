@@ -0,0 +1,196 @@
+// middleware/rateLimit.js
+//
+// In-memory request limits. Counters live in this process only, which matches how
+// the app is deployed (a single instance with an in-process job worker).
+const { AppError } = require("../../utils/errors");
+const { getQuota } = require("../services/usage");
+
+const minutes = (n) => n * 60 * 1000;
+
+const tooManyRequests = (res, code, message, resetAt, details = {}) => {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set("Retry-After", String(retryAfter));
+  return new AppError(429, code, message, {
+    ...details,
+    resetAt: new Date(resetAt),
+  });
+};
+
+// Fixed-window counters, one Map per limiter: key -> { count, resetAt }
+const createWindowStore = (windowMs) => {
+  const windows = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return {
+    get: (key) => {
+      const window = windows.get(key);
+      if (!window || window.resetAt <= Date.now()) {
+        const fresh = { count: 0, resetAt: Date.now() + windowMs };
+        windows.set(key, fresh);
+        return fresh;
+      }
+      return window;
+    },
+    reset: (key) => windows.delete(key),
+  };
+};
+
+/**
+ * Allows at most `max` requests per `windowMs` for each key. By default requests are
+ * keyed by the signed-in user, falling back to the client IP.
+ */
+const rateLimit = ({
+  windowMs,
+  max,
+  keyGenerator = (req) => req.user?.id || req.ip,
+}) => {
+  const store = createWindowStore(windowMs);
+
+  return (req, res, next) => {
+    const window = store.get(keyGenerator(req));
+    window.count += 1;
+
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(0, max - window.count)),
+      "RateLimit-Reset": String(
+        Math.ceil((window.resetAt - Date.now()) / 1000)
+      ),
+    });
+
+    if (window.count > max) {
+      return next(
+        tooManyRequests(
+          res,
+          "RATE_LIMITED",
+          "Too many requests, please slow down.",
+          window.resetAt,
+          { limit: max }
+        )
+      );
+    }
+    next();
+  };
+};
+
+/**
+ * Brute-force protection for sign-in: only failed attempts count, per client IP and
+ * email address and, with a higher limit, per email address from any IP. An
+ * attempt counts from the moment it starts, so parallel attempts cannot all get
+ * past the limit; it is taken back unless it fails, and a successful sign-in
+ * clears the counters.
+ */
+const loginAttemptLimiter = ({ windowMs, maxFailures, maxAccountFailures }) => {
+  const store = createWindowStore(windowMs);
+
+  return (req, res, next) => {
+    const email = String(req.body?.email || "").toLowerCase();
+    const limits = [
+      { key: `ip:${req.ip}:${email}`, max: maxFailures },
+      { key: `account:${email}`, max: maxAccountFailures },
+    ];
+
+    const windows = limits.map(({ key }) => store.get(key));
+    const full = windows.find((window, i) => window.count >= limits[i].max);
+    if (full) {
+      return next(
+        tooManyRequests(
+          res,
+          "TOO_MANY_LOGIN_ATTEMPTS",
+          "Too many failed sign-in attempts. Please try again later.",
+          full.resetAt
+        )
+      );
+    }
+
+    for (const window of windows) window.count += 1;
+    res.on("finish", () => {
+      if (res.statusCode === 401) return;
+      for (const [i, { key }] of limits.entries()) {
+        if (res.statusCode < 400) {
+          store.reset(key);
+        } else if (store.get(key) === windows[i]) {
+          windows[i].count = Math.max(0, windows[i].count - 1);
+        }
+      }
+    });
+    next();
+  };
+};
+
+// Rejects AI-backed requests once the user's daily or monthly token budget is spent.
+const tokenQuota = async (req, res, next) => {
+  try {
+    const quota = await getQuota(req.user.id);
+
+    for (const period of ["daily", "monthly"]) {
+      const { limit, used, remaining, resetAt } = quota[period];
+      if (remaining <= 0) {
+        return next(
+          tooManyRequests(
+            res,
+            "QUOTA_EXCEEDED",
+            `Your ${period} token budget has been used up.`,
+            resetAt.getTime(),
+            { period, limit, used }
+          )
+        );
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Limiters shared by the routes
+const aiRateLimit = rateLimit({
+  windowMs: minutes(1),
+  max: parseInt(process.env.AI_RATE_LIMIT_PER_MINUTE, 10) || 20,
+});
+
+const signinIpLimit = rateLimit({
+  windowMs: minutes(15),
+  max: 100,
+  keyGenerator: (req) => req.ip,
+});
+
+const signinFailureLimit = loginAttemptLimiter({
+  windowMs: minutes(15),
+  maxFailures: parseInt(process.env.SIGNIN_MAX_FAILURES, 10) || 5,
+  maxAccountFailures:
+    parseInt(process.env.SIGNIN_MAX_ACCOUNT_FAILURES, 10) || 20,
+});
+
+// Endpoints that send email, so they cannot be used to flood an inbox
+const emailRateLimit = rateLimit({
+  windowMs: minutes(60),
+  max: 5,
+  keyGenerator: (req) =>
+    req.user?.id || `${req.ip}:${String(req.body?.email || "").toLowerCase()}`,
+});
+
+// Unauthenticated routes such as public share links
+const publicRateLimit = rateLimit({
+  windowMs: minutes(1),
+  max: 60,
+  keyGenerator: (req) => req.ip,
+});
+
+module.exports = {
+  rateLimit,
+  loginAttemptLimiter,
+  tokenQuota,
+  aiRateLimit,
+  signinIpLimit,
+  signinFailureLimit,
+  emailRateLimit,
+  publicRateLimit,
+};
@@ -0,0 +1,40 @@
+// middleware/serviceAuthMiddleware.js
+const crypto = require("crypto");
+const { AppError, unauthorized } = require("../../utils/errors");
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest();
+
+// Authenticates calls made by the AI service itself (e.g. status callbacks)
+// using the shared secret both services are configured with.
+const serviceAuthMiddleware = (req, res, next) => {
+  const expected = process.env.AI_SERVICE_SECRET;
+  const provided = req.get("x-service-secret");
+
+  if (!expected) {
+    return next(
+      new AppError(
+        503,
+        "SERVICE_CALLBACKS_DISABLED",
+        "Service callbacks are disabled."
+      )
+    );
+  }
+
+  // Compared as hashes, which always have the same length, whatever was sent
+  const valid =
+    typeof provided === "string" &&
+    crypto.timingSafeEqual(sha256(provided), sha256(expected));
+
+  if (!valid) {
+    return next(
+      unauthorized(
+        "INVALID_SERVICE_CREDENTIALS",
+        "Invalid service credentials."
+      )
+    );
+  }
+
+  next();
+};
+
+module.exports = serviceAuthMiddleware;
@@ -1,14 +1,15 @@
 const multer = require("multer");
+const { MAX_FILE_SIZE, MAX_FILES } = require("../services/uploads");
 
 // Use memoryStorage to handle the file as a buffer in memory.
-// This is more efficient for this use case and avoids all file system
-// permission and pathing errors, whether running locally or in Docker.
+// The controller persists the buffer through services/storage, which decides
+// where the file actually lives (local disk or an S3-compatible bucket).
 const storage = multer.memoryStorage();
 
 // Initialize upload with the new storage engine and file size limit.
 const upload = multer({
   storage: storage,
-  limits: { fileSize: 15000000 }, // 15MB limit
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
 });
 
 module.exports = upload;
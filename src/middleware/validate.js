@@ -0,0 +1,41 @@
+// middleware/validate.js
+const { badRequest } = require("../../utils/errors");
+
+const formatIssues = (location, issues) =>
+  issues.map((issue) => ({
+    location,
+    path: issue.path.join("."),
+    message: issue.message,
+  }));
+
+/**
+ * Validates req.body, req.params and req.query against zod schemas and replaces
+ * them with the parsed values (defaults applied, strings coerced, unknown keys
+ * stripped). Any failure is reported as a single VALIDATION_ERROR.
+ *
+ *   router.post("/", validate({ body: createChatSchema }), createChat);
+ */
+const validate = (schemas) => (req, res, next) => {
+  const details = [];
+
+  for (const location of ["params", "query", "body"]) {
+    const schema = schemas[location];
+    if (!schema) continue;
+
+    const result = schema.safeParse(req[location] ?? {});
+    if (result.success) {
+      req[location] = result.data;
+    } else {
+      details.push(...formatIssues(location, result.error.issues));
+    }
+  }
+
+  if (details.length > 0) {
+    return next(
+      badRequest("VALIDATION_ERROR", "The request is invalid.", details)
+    );
+  }
+  next();
+};
+
+module.exports = validate;
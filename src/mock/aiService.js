@@ -0,0 +1,184 @@
+// mock/aiService.js
+//
+// A stand-in for the AI service, for running and testing the backend offline:
+//   npm run mock-ai    (listens on MOCK_AI_PORT, 8000 by default)
+// The test suite starts it in-process. It implements the contract that
+// services/aiClient.js expects, with canned but deterministic answers: documents
+// are "indexed" in memory, answers cite the documents in scope, and charts are built
+// from a hash of the prompt. When AI_SERVICE_SECRET is set, calls must carry it as
+// X-Service-Secret, as with the real service.
+const crypto = require("crypto");
+const express = require("express");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const PORT = process.env.MOCK_AI_PORT || 8000;
+const SECRET = process.env.AI_SERVICE_SECRET;
+// Simulated latency per streamed token
+const TOKEN_DELAY_MS = parseInt(process.env.MOCK_AI_TOKEN_DELAY_MS, 10) || 20;
+
+// Documents by id: { fileName, text }
+const documents = new Map();
+
+const hash = (text) =>
+  crypto.createHash("sha256").update(String(text)).digest();
+
+const estimateTokens = (text) => Math.ceil(String(text || "").length / 4);
+
+// The first readable passage of a file, or a placeholder for binary content
+const toPassage = (contentBase64, fileName) => {
+  const text = Buffer.from(contentBase64 || "", "base64").toString("utf8");
+  const readable = text.replace(/\s+/g, " ").trim();
+  return readable && !/[\u0000-\u0008\uFFFD]/.test(readable)
+    ? readable.slice(0, 500)
+    : `Contents of ${fileName}.`;
+};
+
+const answerFor = ({ query_text, document_ids, history, summary }) => {
+  const cited = (Array.isArray(document_ids) ? document_ids : [])
+    .map((documentId) => [
+      String(documentId),
+      documents.get(String(documentId)),
+    ])
+    .filter(([, document]) => document)
+    .slice(0, 3);
+  const context = [
+    summary && "the conversation summary",
+    history?.length && `${history.length} earlier turns`,
+    cited.length && `${cited.length} document(s)`,
+  ].filter(Boolean);
+
+  const answer =
+    `This is a mock answer to "${query_text}"` +
+    (context.length ? `, based on ${context.join(", ")}.` : ".");
+  return {
+    answer,
+    tokens_used: estimateTokens(query_text) + estimateTokens(answer),
+    citations: cited.map(([documentId, document], i) => ({
+      document_id: documentId,
+      page: 1,
+      chunk_text: document.text,
+      score: Number((0.9 - i * 0.1).toFixed(2)),
+    })),
+  };
+};
+
+const POINT_TYPES = ["scatter", "bubble"];
+
+const chartFor = ({ prompt, chart_type }) => {
+  const type = chart_type || "bar";
+  const bytes = hash(prompt);
+  const labels = ["Q1", "Q2", "Q3", "Q4"];
+  const data = POINT_TYPES.includes(type)
+    ? labels.map((_, i) => ({
+        x: bytes[i] % 50,
+        y: bytes[i + 4] % 50,
+        ...(type === "bubble" && { r: 3 + (bytes[i + 8] % 10) }),
+      }))
+    : labels.map((_, i) => 10 + (bytes[i] % 90));
+
+  return {
+    chart_json: {
+      type,
+      data: {
+        labels,
+        datasets: [{ label: String(prompt).slice(0, 40), data }],
+      },
+      config: { plugins: { title: { display: true, text: "Mock chart" } } },
+    },
+    tokens_used: estimateTokens(prompt) + 50,
+  };
+};
+
+const app = express();
+app.use(express.json({ limit: "50mb" }));
+
+app.use((req, res, next) => {
+  if (process.env.NODE_ENV !== "test") {
+    console.log(
+      `${req.method} ${req.path} [${req.get("x-request-id") || "-"}]`
+    );
+  }
+  if (SECRET && req.get("x-service-secret") !== SECRET) {
+    return res.status(401).json({ detail: "Invalid service secret." });
+  }
+  next();
+});
+
+app.get("/", (req, res) => {
+  res.json({ status: "ok", service: "mock", documents: documents.size });
+});
+
+app.post("/process-document", (req, res) => {
+  const { document_id, file_name, file_content_base64 } = req.body;
+  if (!document_id || !file_content_base64) {
+    return res
+      .status(422)
+      .json({ detail: "document_id and file_content_base64 are required." });
+  }
+
+  const text = toPassage(file_content_base64, file_name);
+  documents.set(String(document_id), {
+    fileName: file_name,
+    text,
+  });
+  res.json({
+    status: "ready",
+    chunk_count: Math.max(1, Math.ceil(text.length / 200)),
+    page_count: 1,
+  });
+});
+
+app.post("/delete-document", (req, res) => {
+  if (!documents.delete(String(req.body.document_id))) {
+    return res.status(404).json({ detail: "Document not found." });
+  }
+  res.json({ status: "deleted" });
+});
+
+app.post("/answer-query", (req, res) => {
+  if (!req.body.query_text) {
+    return res.status(422).json({ detail: "query_text is required." });
+  }
+  res.json(answerFor(req.body));
+});
+
+// Newline-delimited JSON: one "token" event per word, then "done".
+app.post("/answer-query/stream", async (req, res) => {
+  if (!req.body.query_text) {
+    return res.status(422).json({ detail: "query_text is required." });
+  }
+  const result = answerFor(req.body);
+
+  res.set("Content-Type", "application/x-ndjson");
+  for (const token of result.answer.match(/\S+\s*/g)) {
+    res.write(JSON.stringify({ type: "token", content: token }) + "\n");
+    await new Promise((resolve) => setTimeout(resolve, TOKEN_DELAY_MS));
+  }
+  res.end(JSON.stringify({ type: "done", ...result }) + "\n");
+});
+
+app.post("/generate-chart", (req, res) => {
+  if (!req.body.prompt) {
+    return res.status(422).json({ detail: "prompt is required." });
+  }
+  res.json(chartFor(req.body));
+});
+
+app.post("/summarize", (req, res) => {
+  const messages = Array.isArray(req.body.messages) ? req.body.messages : [];
+  const lines = messages.map(
+    (message) => `${message.role}: ${String(message.content).slice(0, 80)}`
+  );
+  const summary = [req.body.summary, ...lines].filter(Boolean).join("\n");
+  res.json({ summary, tokens_used: estimateTokens(summary) });
+});
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Mock AI service is running on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const { exportFeedback } = require("../controllers/feedbackController");
+const authMiddleware = require("../middleware/authMiddleware");
+const adminMiddleware = require("../middleware/adminMiddleware");
+const validate = require("../middleware/validate");
+const { feedbackExportQuery } = require("../validators/feedback");
+
+// All routes in this file are for signed-in admins
+router.use(authMiddleware, adminMiddleware);
+
+// GET /api/admin/feedback/export?format=json|csv&rating=&from=&to=
+router
+  .route("/feedback/export")
+  .get(validate({ query: feedbackExportQuery }), exportFeedback);
+
+module.exports = router;
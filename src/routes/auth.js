@@ -1,10 +1,66 @@
 const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/authController");
+const authMiddleware = require("../middleware/authMiddleware");
+const validate = require("../middleware/validate");
+const {
+  signinIpLimit,
+  signinFailureLimit,
+  emailRateLimit,
+} = require("../middleware/rateLimit");
+const {
+  signupSchema,
+  signinSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  sessionParams,
+} = require("../validators/auth");
 
-router.post("/signup", authController.signup);
-router.post("/signin", authController.signin);
-router.get("/me", authController.getCurrentUser);
+router.post("/signup", validate({ body: signupSchema }), authController.signup);
+router.post(
+  "/signin",
+  signinIpLimit,
+  validate({ body: signinSchema }),
+  signinFailureLimit,
+  authController.signin
+);
+router.post("/refresh", authController.refresh);
+router.get("/me", authMiddleware, authController.getCurrentUser);
 router.post("/signout", authController.signout);
 
+// Password reset and email verification
+router.post(
+  "/forgot-password",
+  validate({ body: forgotPasswordSchema }),
+  emailRateLimit,
+  authController.forgotPassword
+);
+router.post(
+  "/reset-password",
+  validate({ body: resetPasswordSchema }),
+  authController.resetPassword
+);
+router.post(
+  "/verify-email",
+  validate({ body: verifyEmailSchema }),
+  authController.verifyEmail
+);
+router.post(
+  "/resend-verification",
+  authMiddleware,
+  emailRateLimit,
+  authController.resendVerification
+);
+
+// Signed-in devices
+router.get("/sessions", authMiddleware, authController.getSessions);
+router.delete("/sessions", authMiddleware, authController.revokeOtherSessions);
+router.delete(
+  "/sessions/:id",
+  authMiddleware,
+  validate({ params: sessionParams }),
+  authController.revokeSession
+);
+
 module.exports = router;
@@ -6,8 +6,29 @@ const {
   createChart,
   deleteChart,
   getChartsByChat, // We need this for the older route if it's still used
+  updateChart,
+  regenerateChart,
+  getChartVersions,
+  getChartVersion,
+  diffChartVersions,
+  restoreChartVersion,
+  getChartImage,
+  getChartCsv,
 } = require("../controllers/chartController");
 const authMiddleware = require("../middleware/authMiddleware");
+const validate = require("../middleware/validate");
+const { aiRateLimit, tokenQuota } = require("../middleware/rateLimit");
+const {
+  chartIdParams,
+  chartChatParams,
+  createChartSchema,
+  chartListQuery,
+  updateChartSchema,
+  regenerateChartSchema,
+  versionParams,
+  versionDiffQuery,
+  chartImageQuery,
+} = require("../validators/charts");
 
 // Protect all chart-related routes
 router.use(authMiddleware);
@@ -15,15 +36,78 @@ router.use(authMiddleware);
 // Route for getting all charts for a user or creating a new chart
 // GET /api/charts
 // POST /api/charts
-router.route("/").get(getAllChartsForUser).post(createChart);
+router
+  .route("/")
+  .get(validate({ query: chartListQuery }), getAllChartsForUser)
+  .post(
+    aiRateLimit,
+    validate({ body: createChartSchema }),
+    tokenQuota,
+    createChart
+  );
 
-// Route for getting or deleting a single chart by its specific ID
+// Route for getting, editing or deleting a single chart by its specific ID
 // GET /api/charts/:id
+// PUT /api/charts/:id
 // DELETE /api/charts/:id
-router.route("/:id").get(getChartById).delete(deleteChart);
+router
+  .route("/:id")
+  .get(validate({ params: chartIdParams }), getChartById)
+  .put(
+    validate({ params: chartIdParams, body: updateChartSchema }),
+    updateChart
+  )
+  .delete(validate({ params: chartIdParams }), deleteChart);
+
+// Re-run the AI generation, optionally with a new prompt or chart type
+// POST /api/charts/:id/regenerate
+router
+  .route("/:id/regenerate")
+  .post(
+    aiRateLimit,
+    validate({ params: chartIdParams, body: regenerateChartSchema }),
+    tokenQuota,
+    regenerateChart
+  );
+
+// Version history
+// GET /api/charts/:id/versions
+// GET /api/charts/:id/versions/diff?from=&to=
+// GET /api/charts/:id/versions/:version
+// POST /api/charts/:id/versions/:version/restore
+router
+  .route("/:id/versions")
+  .get(validate({ params: chartIdParams }), getChartVersions);
+router
+  .route("/:id/versions/diff")
+  .get(
+    validate({ params: chartIdParams, query: versionDiffQuery }),
+    diffChartVersions
+  );
+router
+  .route("/:id/versions/:version")
+  .get(validate({ params: versionParams }), getChartVersion);
+router
+  .route("/:id/versions/:version/restore")
+  .post(validate({ params: versionParams }), restoreChartVersion);
+
+// Server-side rendering and data export
+// GET /api/charts/:id/image?format=svg|png&width=&height=
+// GET /api/charts/:id/data.csv
+router
+  .route("/:id/image")
+  .get(
+    validate({ params: chartIdParams, query: chartImageQuery }),
+    getChartImage
+  );
+router
+  .route("/:id/data.csv")
+  .get(validate({ params: chartIdParams }), getChartCsv);
 
 // Optional: Keep this route if any part of your app still uses it
 // GET /api/charts/chat/:chatId
-router.route("/chat/:chatId").get(getChartsByChat);
+router
+  .route("/chat/:chatId")
+  .get(validate({ params: chartChatParams }), getChartsByChat);
 
 module.exports = router;
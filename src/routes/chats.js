@@ -5,36 +5,175 @@ const {
   createChat,
   getChatById,
   deleteChat,
+  getMessages,
   addMessage,
+  editMessage,
+  regenerateAnswer,
+  streamAssistantReply,
   updateTitle,
+  getChatSettings,
+  updateChatSettings,
+  exportChat,
+  importChat,
   uploadDocumentAndTriggerWorkflow,
 } = require("../controllers/chatController");
+const {
+  getChatDocuments,
+  attachChatDocument,
+  detachChatDocument,
+  addChatSource,
+} = require("../controllers/documentController");
+const {
+  setFeedback,
+  deleteFeedback,
+} = require("../controllers/feedbackController");
 const authMiddleware = require("../middleware/authMiddleware");
 const upload = require("../middleware/uploadMiddleware");
+const { MAX_FILES } = require("../services/uploads");
+const validate = require("../middleware/validate");
+const { aiRateLimit, tokenQuota } = require("../middleware/rateLimit");
+const {
+  chatIdParams,
+  chatParams,
+  createChatSchema,
+  updateTitleSchema,
+  addMessageSchema,
+  editMessageSchema,
+  regenerateAnswerSchema,
+  messageParams,
+  chatSettingsSchema,
+  chatListQuery,
+  messageListQuery,
+  documentQuery,
+  exportQuery,
+  importChatSchema,
+} = require("../validators/chats");
+const { feedbackSchema } = require("../validators/feedback");
+const {
+  chatDocumentParams,
+  createSourceSchema,
+} = require("../validators/documents");
 
 // Apply protect middleware to all chat routes
 router.use(authMiddleware);
 
 // Routes for chats
-router.route("/")
-  .get(getChats)
-  .post(createChat);
-router.route("/:id")
-  .get(getChatById)
-  .delete(deleteChat);
+router
+  .route("/")
+  .get(validate({ query: chatListQuery }), getChats)
+  .post(validate({ body: createChatSchema }), createChat);
+
+// Recreate a chat from a JSON export: POST /api/chats/import
+router.route("/import").post(validate({ body: importChatSchema }), importChat);
+
+router
+  .route("/:id")
+  .get(validate({ params: chatIdParams }), getChatById)
+  .delete(validate({ params: chatIdParams }), deleteChat);
 
 // Route for updating a chat's title
-router.route("/:id").put(updateTitle);
+router
+  .route("/:id")
+  .put(
+    validate({ params: chatIdParams, body: updateTitleSchema }),
+    updateTitle
+  );
+
+// History settings and the rolling summary: GET/PATCH /api/chats/:id/settings
+router
+  .route("/:id/settings")
+  .get(validate({ params: chatIdParams }), getChatSettings)
+  .patch(
+    validate({ params: chatIdParams, body: chatSettingsSchema }),
+    updateChatSettings
+  );
+
+// Download a chat: GET /api/chats/:id/export?format=json|md|pdf
+router
+  .route("/:id/export")
+  .get(validate({ params: chatIdParams, query: exportQuery }), exportChat);
 
 // Route for messages within a chat
-router.route("/:chatId/messages").post(addMessage);
+router
+  .route("/:chatId/messages")
+  .get(validate({ params: chatParams, query: messageListQuery }), getMessages)
+  .post(
+    aiRateLimit,
+    validate({ params: chatParams, body: addMessageSchema }),
+    tokenQuota,
+    addMessage
+  );
+
+// Editing a question and asking it again
+// PATCH /api/chats/:chatId/messages/:messageId
+router
+  .route("/:chatId/messages/:messageId")
+  .patch(
+    aiRateLimit,
+    validate({ params: messageParams, body: editMessageSchema }),
+    tokenQuota,
+    editMessage
+  );
+
+// Replacing the latest answer with a new one
+// POST /api/chats/:chatId/messages/:messageId/regenerate
+router
+  .route("/:chatId/messages/:messageId/regenerate")
+  .post(
+    aiRateLimit,
+    validate({ params: messageParams, body: regenerateAnswerSchema }),
+    tokenQuota,
+    regenerateAnswer
+  );
+
+// Rating an answer
+// PUT /api/chats/:chatId/messages/:messageId/feedback
+// DELETE /api/chats/:chatId/messages/:messageId/feedback
+router
+  .route("/:chatId/messages/:messageId/feedback")
+  .put(validate({ params: messageParams, body: feedbackSchema }), setFeedback)
+  .delete(validate({ params: messageParams }), deleteFeedback);
 
-// Route for deleting a chat
-router.route("/:id").delete(deleteChat);
+// Server-Sent Events stream of the assistant's answer to a user message
+router
+  .route("/:chatId/messages/:messageId/stream")
+  .get(
+    aiRateLimit,
+    validate({ params: messageParams }),
+    tokenQuota,
+    streamAssistantReply
+  );
 
-// Route for uploading documents to a chat
+// Routes for listing and uploading documents in a chat. Uploads take files, or
+// zip archives of them, in "documents" (or a single file in "document").
 router
   .route("/:chatId/documents")
-  .post(upload.single("document"), uploadDocumentAndTriggerWorkflow);
+  .get(validate({ params: chatParams, query: documentQuery }), getChatDocuments)
+  .post(
+    aiRateLimit,
+    validate({ params: chatParams }),
+    upload.fields([
+      { name: "document", maxCount: 1 },
+      { name: "documents", maxCount: MAX_FILES },
+    ]),
+    uploadDocumentAndTriggerWorkflow
+  );
+
+// Attach a document from the workspace's library to the chat, or detach it
+// PUT /api/chats/:chatId/documents/:documentId
+// DELETE /api/chats/:chatId/documents/:documentId
+router
+  .route("/:chatId/documents/:documentId")
+  .put(validate({ params: chatDocumentParams }), attachChatDocument)
+  .delete(validate({ params: chatDocumentParams }), detachChatDocument);
+
+// POST /api/chats/:chatId/sources - add a web page or pasted text as a document
+router
+  .route("/:chatId/sources")
+  .post(
+    aiRateLimit,
+    validate({ params: chatParams, body: createSourceSchema }),
+    addChatSource
+  );
 
 module.exports = router;
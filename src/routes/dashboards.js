@@ -0,0 +1,53 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getDashboards,
+  createDashboard,
+  getDashboardById,
+  updateDashboard,
+  deleteDashboard,
+  addTile,
+  removeTile,
+} = require("../controllers/dashboardController");
+const authMiddleware = require("../middleware/authMiddleware");
+const validate = require("../middleware/validate");
+const {
+  dashboardIdParams,
+  createDashboardSchema,
+  updateDashboardSchema,
+  addTileSchema,
+  tileParams,
+  dashboardListQuery,
+} = require("../validators/dashboards");
+
+// All routes in this file are protected
+router.use(authMiddleware);
+
+// GET /api/dashboards lists the dashboards in the user's workspaces
+// POST /api/dashboards creates a dashboard, optionally with its tiles
+router
+  .route("/")
+  .get(validate({ query: dashboardListQuery }), getDashboards)
+  .post(validate({ body: createDashboardSchema }), createDashboard);
+
+// GET /api/dashboards/:id returns the dashboard with its tiles and their charts
+// PATCH /api/dashboards/:id changes the title, description or the whole layout
+// DELETE /api/dashboards/:id
+router
+  .route("/:id")
+  .get(validate({ params: dashboardIdParams }), getDashboardById)
+  .patch(
+    validate({ params: dashboardIdParams, body: updateDashboardSchema }),
+    updateDashboard
+  )
+  .delete(validate({ params: dashboardIdParams }), deleteDashboard);
+
+// Adding a single chart, or removing one tile
+router
+  .route("/:id/tiles")
+  .post(validate({ params: dashboardIdParams, body: addTileSchema }), addTile);
+router
+  .route("/:id/tiles/:tileId")
+  .delete(validate({ params: tileParams }), removeTile);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getDocuments,
+  uploadDocuments,
+  getDocumentById,
+  downloadDocument,
+  deleteDocument,
+} = require("../controllers/documentController");
+const authMiddleware = require("../middleware/authMiddleware");
+const upload = require("../middleware/uploadMiddleware");
+const { MAX_FILES } = require("../services/uploads");
+const validate = require("../middleware/validate");
+const { aiRateLimit } = require("../middleware/rateLimit");
+const {
+  documentIdParams,
+  documentListQuery,
+  uploadDocumentsSchema,
+} = require("../validators/documents");
+
+// All routes in this file are protected
+router.use(authMiddleware);
+
+// The document library. Uploads take files, or zip archives of them, in
+// "documents", and an optional "workspaceId" form field.
+router
+  .route("/")
+  .get(validate({ query: documentListQuery }), getDocuments)
+  .post(
+    aiRateLimit,
+    upload.fields([{ name: "documents", maxCount: MAX_FILES }]),
+    validate({ body: uploadDocumentsSchema }),
+    uploadDocuments
+  );
+
+// GET /api/documents/:id
+// DELETE /api/documents/:id - removes the document from the library and every chat
+router
+  .route("/:id")
+  .get(validate({ params: documentIdParams }), getDocumentById)
+  .delete(validate({ params: documentIdParams }), deleteDocument);
+
+// GET /api/documents/:id/download
+router
+  .route("/:id/download")
+  .get(validate({ params: documentIdParams }), downloadDocument);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const { updateDocumentStatus } = require("../controllers/documentController");
+const serviceAuthMiddleware = require("../middleware/serviceAuthMiddleware");
+const validate = require("../middleware/validate");
+const {
+  documentIdParams,
+  documentStatusSchema,
+} = require("../validators/documents");
+
+// Routes in this file are called by the AI service, not by users
+router.use(serviceAuthMiddleware);
+
+// POST /api/internal/documents/:id/status
+router
+  .route("/documents/:id/status")
+  .post(
+    validate({ params: documentIdParams, body: documentStatusSchema }),
+    updateDocumentStatus
+  );
+
+module.exports = router;
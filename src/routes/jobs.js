@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const { getJobs, getJobById } = require("../controllers/jobController");
+const authMiddleware = require("../middleware/authMiddleware");
+const validate = require("../middleware/validate");
+const { jobIdParams, jobQuery } = require("../validators/jobs");
+
+// All routes in this file are protected
+router.use(authMiddleware);
+
+// GET /api/jobs?chatId=&documentId=&chartId=&status=
+router.route("/").get(validate({ query: jobQuery }), getJobs);
+
+// GET /api/jobs/:id
+router.route("/:id").get(validate({ params: jobIdParams }), getJobById);
+
+module.exports = router;
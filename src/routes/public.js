@@ -0,0 +1,16 @@
+const express = require("express");
+const router = express.Router();
+const { getPublicShare } = require("../controllers/shareController");
+const validate = require("../middleware/validate");
+const { publicRateLimit } = require("../middleware/rateLimit");
+const { shareTokenParams } = require("../validators/shares");
+
+// Routes in this file need no account; they are limited per client IP instead.
+router.use(publicRateLimit);
+
+// Read-only view of a shared chat or chart: GET /api/public/shares/:token
+router
+  .route("/shares/:token")
+  .get(validate({ params: shareTokenParams }), getPublicShare);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const { search } = require("../controllers/searchController");
+const authMiddleware = require("../middleware/authMiddleware");
+const validate = require("../middleware/validate");
+const { searchQuery } = require("../validators/search");
+
+// All routes in this file are protected
+router.use(authMiddleware);
+
+// Full-text search: GET /api/search?q=&types=message,chat,document,chart
+router.route("/").get(validate({ query: searchQuery }), search);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createShare,
+  getShares,
+  revokeShare,
+} = require("../controllers/shareController");
+const authMiddleware = require("../middleware/authMiddleware");
+const validate = require("../middleware/validate");
+const { createShareSchema, shareIdParams } = require("../validators/shares");
+
+// All routes in this file are protected
+router.use(authMiddleware);
+
+// GET /api/shares lists the user's active share links
+// POST /api/shares creates one for a chat or a chart
+router
+  .route("/")
+  .get(getShares)
+  .post(validate({ body: createShareSchema }), createShare);
+
+// DELETE /api/shares/:id revokes a link
+router.route("/:id").delete(validate({ params: shareIdParams }), revokeShare);
+
+module.exports = router;
@@ -1,7 +1,13 @@
 const express = require("express");
 const router = express.Router();
-const { getStats } = require("../controllers/statsController");
+const {
+  getStats,
+  getQuota,
+  getUsage,
+} = require("../controllers/statsController");
 const authMiddleware = require("../middleware/authMiddleware");
+const validate = require("../middleware/validate");
+const { usageQuery } = require("../validators/stats");
 
 // All routes in this file are protected
 router.use(authMiddleware);
@@ -9,4 +15,10 @@ router.use(authMiddleware);
 // Defines the GET endpoint at the root of this router (which will be /api/stats)
 router.route("/").get(getStats);
 
+// Remaining token allowance for the current day and month
+router.route("/quota").get(getQuota);
+
+// Usage over time: GET /api/stats/usage?from=&to=&granularity=day|week|month
+router.route("/usage").get(validate({ query: usageQuery }), getUsage);
+
 module.exports = router;
@@ -0,0 +1,75 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getWorkspaces,
+  createWorkspace,
+  getWorkspaceById,
+  updateWorkspace,
+  deleteWorkspace,
+  updateMember,
+  removeMember,
+  getInvitations,
+  createInvitation,
+  revokeInvitation,
+  acceptInvitation,
+} = require("../controllers/workspaceController");
+const authMiddleware = require("../middleware/authMiddleware");
+const validate = require("../middleware/validate");
+const { emailRateLimit } = require("../middleware/rateLimit");
+const {
+  workspaceIdParams,
+  workspaceSchema,
+  memberParams,
+  updateMemberSchema,
+  invitationParams,
+  createInvitationSchema,
+  acceptInvitationSchema,
+} = require("../validators/workspaces");
+
+// All routes in this file are protected
+router.use(authMiddleware);
+
+// GET /api/workspaces lists the user's workspaces with their role in each
+// POST /api/workspaces creates a workspace owned by the user
+router
+  .route("/")
+  .get(getWorkspaces)
+  .post(validate({ body: workspaceSchema }), createWorkspace);
+
+// POST /api/workspaces/invitations/accept joins the workspace of an emailed invitation
+router
+  .route("/invitations/accept")
+  .post(validate({ body: acceptInvitationSchema }), acceptInvitation);
+
+router
+  .route("/:id")
+  .get(validate({ params: workspaceIdParams }), getWorkspaceById)
+  .patch(
+    validate({ params: workspaceIdParams, body: workspaceSchema }),
+    updateWorkspace
+  )
+  .delete(validate({ params: workspaceIdParams }), deleteWorkspace);
+
+// Changing a member's role, removing a member or leaving the workspace
+router
+  .route("/:id/members/:userId")
+  .patch(
+    validate({ params: memberParams, body: updateMemberSchema }),
+    updateMember
+  )
+  .delete(validate({ params: memberParams }), removeMember);
+
+// Pending invitations
+router
+  .route("/:id/invitations")
+  .get(validate({ params: workspaceIdParams }), getInvitations)
+  .post(
+    validate({ params: workspaceIdParams, body: createInvitationSchema }),
+    emailRateLimit,
+    createInvitation
+  );
+router
+  .route("/:id/invitations/:invitationId")
+  .delete(validate({ params: invitationParams }), revokeInvitation);
+
+module.exports = router;
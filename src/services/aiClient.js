@@ -0,0 +1,275 @@
+// services/aiClient.js
+//
+// The one client for the AI service. Every call has a timeout, sends the shared
+// secret (AI_SERVICE_SECRET) as X-Service-Secret and the current correlation id as
+// X-Request-Id, and goes through a circuit breaker: after AI_BREAKER_THRESHOLD
+// failed calls in a row, calls fail fast for AI_BREAKER_COOLDOWN_MS, after which a
+// single trial call decides whether the service is back.
+//
+// The AI service speaks snake_case; the methods below take and return camelCase.
+// src/mock/aiService.js (`npm run mock-ai`) implements the same contract for running
+// offline.
+const axios = require("axios");
+const { getCorrelationId } = require("../../utils/correlation");
+
+const AI_SERVICE_URL = process.env.AI_SERVICE_URL || "http://localhost:8000";
+const AI_SERVICE_SECRET = process.env.AI_SERVICE_SECRET;
+const REQUEST_TIMEOUT_MS =
+  parseInt(process.env.AI_REQUEST_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+const HEALTH_TIMEOUT_MS = 5000;
+const BREAKER_THRESHOLD = parseInt(process.env.AI_BREAKER_THRESHOLD, 10) || 5;
+const BREAKER_COOLDOWN_MS =
+  parseInt(process.env.AI_BREAKER_COOLDOWN_MS, 10) || 30 * 1000;
+
+/**
+ * A failed call to the AI service. `retryable` is false for client errors, which
+ * will not go away by retrying; `expose` is set when the message is the AI
+ * service's own explanation, which may be shown to users.
+ */
+class AiServiceError extends Error {
+  constructor(message, { status, retryable = true, expose = false } = {}) {
+    super(message);
+    this.name = "AiServiceError";
+    this.status = status;
+    this.retryable = retryable;
+    this.expose = expose;
+  }
+}
+
+const http = axios.create({ baseURL: AI_SERVICE_URL });
+
+const breaker = { failures: 0, openUntil: 0, trialRunning: false };
+
+const breakerState = () => {
+  if (!breaker.openUntil) return "closed";
+  return Date.now() < breaker.openUntil ? "open" : "half-open";
+};
+
+const beforeCall = () => {
+  const state = breakerState();
+  if (state === "open" || (state === "half-open" && breaker.trialRunning)) {
+    throw new AiServiceError(
+      "The AI service is unavailable after repeated failures; calls are paused.",
+      { status: 503 }
+    );
+  }
+  if (state === "half-open") breaker.trialRunning = true;
+};
+
+const recordSuccess = () => {
+  breaker.failures = 0;
+  breaker.openUntil = 0;
+  breaker.trialRunning = false;
+};
+
+const recordFailure = () => {
+  const failedTrial = breakerState() === "half-open";
+  breaker.failures += 1;
+  breaker.trialRunning = false;
+  if (failedTrial || breaker.failures >= BREAKER_THRESHOLD) {
+    breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+  }
+};
+
+// Only outages count against the breaker: no response at all, or a 5xx. Any other
+// answer shows the service is up, even if it refused this request.
+const toAiServiceError = (error) => {
+  const status = error.response?.status;
+  if (!status || status >= 500) {
+    recordFailure();
+  } else {
+    recordSuccess();
+  }
+
+  const detail = error.response?.data?.detail;
+  const isClientError =
+    status >= 400 && status < 500 && status !== 408 && status !== 429;
+  return new AiServiceError(
+    typeof detail === "string"
+      ? detail
+      : status
+        ? `AI service responded with status ${status}.`
+        : `AI service request failed: ${error.code || error.message}`,
+    {
+      status,
+      retryable: !isClientError,
+      expose: typeof detail === "string",
+    }
+  );
+};
+
+const call = async (
+  method,
+  url,
+  { data, timeout = REQUEST_TIMEOUT_MS, responseType } = {}
+) => {
+  beforeCall();
+  try {
+    const response = await http.request({
+      method,
+      url,
+      data,
+      timeout,
+      responseType,
+      headers: {
+        ...(AI_SERVICE_SECRET && { "X-Service-Secret": AI_SERVICE_SECRET }),
+        ...(getCorrelationId() && { "X-Request-Id": getCorrelationId() }),
+      },
+    });
+    recordSuccess();
+    return response.data;
+  } catch (error) {
+    throw toAiServiceError(error);
+  }
+};
+
+/**
+ * @typedef {{ role: "user" | "assistant", content: string }} Turn
+ * @typedef {{ documentId: string, page: number | null, chunkText: string,
+ *   score: number | null }} Citation
+ */
+
+/**
+ * Indexes a document. An AI service that indexes in the background answers
+ * `status: "processing"` and reports the outcome to `callbackUrl` later.
+ * @returns {Promise<{ status: "ready" | "processing", chunkCount: number | null,
+ *   pageCount: number | null }>}
+ */
+const processDocument = async ({
+  documentId,
+  fileName,
+  contentBase64,
+  callbackUrl,
+}) => {
+  const data = await call("post", "/process-document", {
+    data: {
+      document_id: documentId,
+      file_name: fileName,
+      file_content_base64: contentBase64,
+      ...(callbackUrl && { callback_url: callbackUrl }),
+    },
+  });
+  return {
+    status: data?.status === "processing" ? "processing" : "ready",
+    chunkCount: data?.chunk_count ?? null,
+    pageCount: data?.page_count ?? null,
+  };
+};
+
+// Removes a document's vectors. A document that was never indexed is not an error.
+const deleteDocument = async ({ documentId }) => {
+  try {
+    await call("post", "/delete-document", {
+      data: { document_id: documentId },
+    });
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+};
+
+// `documentIds` are the documents the AI service may search: those attached to the
+// chat.
+const toAnswerRequest = ({
+  queryText,
+  chatId,
+  history,
+  summary,
+  documentIds,
+}) => ({
+  query_text: queryText,
+  chat_id: chatId,
+  document_ids: documentIds,
+  history,
+  summary,
+});
+
+/**
+ * Maps the AI service's citations ({ document_id, page, chunk_text, score }).
+ * @returns {Citation[]}
+ */
+const toCitations = (citations) =>
+  (Array.isArray(citations) ? citations : [])
+    .filter(Boolean)
+    .map((citation) => ({
+      documentId: citation.document_id,
+      page: citation.page,
+      chunkText: citation.chunk_text,
+      score: citation.score,
+    }));
+
+/**
+ * @param {{ queryText: string, chatId: string, history: Turn[], summary?: string,
+ *   documentIds: string[] }} query
+ * @returns {Promise<{ answer: string, tokensUsed: number, citations: Citation[] }>}
+ */
+const answerQuery = async (query) => {
+  const data = await call("post", "/answer-query", {
+    data: toAnswerRequest(query),
+  });
+  return {
+    answer: data.answer,
+    tokensUsed: data.tokens_used || 0,
+    citations: toCitations(data.citations),
+  };
+};
+
+/**
+ * Starts a streamed answer and resolves to the response body: newline-delimited
+ * JSON events, read by services/answerStreams.js.
+ */
+const streamAnswer = (query) =>
+  call("post", "/answer-query/stream", {
+    data: toAnswerRequest(query),
+    responseType: "stream",
+  });
+
+/**
+ * Generates a chart from `prompt`, drawing on the documents in `documentIds`.
+ * @returns {Promise<{ chart: { type?: string, data?: object, config?: object,
+ *   error?: string } | null, tokensUsed: number }>}
+ */
+const generateChart = async ({ prompt, chatId, chartType, documentIds }) => {
+  const data = await call("post", "/generate-chart", {
+    data: {
+      prompt,
+      chat_id: chatId,
+      chart_type: chartType,
+      document_ids: documentIds,
+    },
+  });
+  return { chart: data.chart_json || null, tokensUsed: data.tokens_used || 0 };
+};
+
+/**
+ * Folds `messages` into the running `summary` of a conversation.
+ * @param {{ chatId: string, summary: string | null, messages: Turn[] }} request
+ * @returns {Promise<{ summary: string, tokensUsed: number }>}
+ */
+const summarize = async ({ chatId, summary, messages }) => {
+  const data = await call("post", "/summarize", {
+    data: { chat_id: chatId, summary, messages },
+  });
+  return { summary: data.summary, tokensUsed: data.tokens_used || 0 };
+};
+
+// The AI service's own status report
+const health = () => call("get", "/", { timeout: HEALTH_TIMEOUT_MS });
+
+const getBreakerStatus = () => ({
+  state: breakerState(),
+  failures: breaker.failures,
+  ...(breaker.openUntil && { openUntil: new Date(breaker.openUntil) }),
+});
+
+module.exports = {
+  AiServiceError,
+  processDocument,
+  deleteDocument,
+  answerQuery,
+  streamAnswer,
+  toCitations,
+  generateChart,
+  summarize,
+  health,
+  getBreakerStatus,
+};
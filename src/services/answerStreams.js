@@ -0,0 +1,161 @@
+// services/answerStreams.js
+const { EventEmitter } = require("events");
+const { StringDecoder } = require("string_decoder");
+const prisma = require("../../lib/prisma");
+const { recordUsage } = require("./usage");
+const { createAnswerMessage } = require("./citations");
+const aiClient = require("./aiClient");
+
+const FALLBACK_ANSWER =
+  "Sorry, the AI assistant is unavailable right now. Please try again later.";
+
+// Generations currently running, keyed by the id of the user message they answer.
+// A generation keeps running when its client disconnects, so a refreshed page can
+// re-attach to it and the finished answer is always persisted exactly once.
+const inFlight = new Map();
+
+// The AI service streams newline-delimited JSON from /answer-query/stream:
+//   {"type": "token", "content": "..."}
+//   {"type": "done", "answer": "...", "tokens_used": 123, "citations": [...]}
+//   {"type": "error", "detail": "..."}
+const readAnswerStream = async (stream, onToken) => {
+  const decoder = new StringDecoder("utf8");
+  let buffer = "";
+  let result = null;
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    const event = JSON.parse(line);
+    if (event.type === "token") {
+      onToken(event.content || "");
+    } else if (event.type === "done") {
+      result = {
+        answer: event.answer,
+        tokensUsed: event.tokens_used || 0,
+        citations: aiClient.toCitations(event.citations),
+      };
+    } else if (event.type === "error") {
+      throw new Error(event.detail || "AI service reported a stream error.");
+    }
+  };
+
+  for await (const chunk of stream) {
+    buffer += decoder.write(chunk);
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      handleLine(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+    }
+  }
+  handleLine(buffer + decoder.end());
+
+  return result;
+};
+
+const runGeneration = async (
+  generation,
+  { userId, chatId, queryText, history, summary, documentIds }
+) => {
+  try {
+    const stream = await aiClient.streamAnswer({
+      queryText,
+      chatId,
+      history,
+      summary,
+      documentIds,
+    });
+
+    const result = await readAnswerStream(stream, (content) => {
+      generation.text += content;
+      generation.emitter.emit("token", content);
+    });
+
+    const message = await createAnswerMessage({
+      chatId,
+      text: result?.answer ?? generation.text,
+      tokensUsed: result?.tokensUsed,
+      citations: result?.citations,
+    });
+    await recordUsage({
+      userId,
+      chatId,
+      feature: "answer",
+      tokensUsed: message.tokensUsed,
+    }).catch((e) => console.error("Could not record usage:", e.message));
+    generation.result = {
+      event: "done",
+      data: { message, tokensUsed: message.tokensUsed },
+    };
+  } catch (error) {
+    console.error("Error streaming answer from AI service:", error.message);
+    const message = await prisma.message
+      .create({ data: { text: FALLBACK_ANSWER, sender: "assistant", chatId } })
+      .catch((e) => {
+        console.error("Could not save fallback answer:", e.message);
+        return null;
+      });
+    generation.result = {
+      event: "error",
+      data: {
+        error: {
+          code: "AI_SERVICE_ERROR",
+          message: "The AI assistant could not complete this answer.",
+        },
+        message,
+      },
+    };
+  }
+
+  generation.emitter.emit("end", generation.result);
+};
+
+/**
+ * Attaches a listener to the generation answering `messageId`, starting one if none
+ * is running. Tokens produced before the listener attached are replayed as a single
+ * token event. Returns a function that detaches the listener.
+ */
+const subscribe = (messageId, params, listener) => {
+  let generation = inFlight.get(messageId);
+
+  if (!generation) {
+    generation = {
+      chatId: params.chatId,
+      emitter: new EventEmitter(),
+      text: "",
+      result: null,
+    };
+    inFlight.set(messageId, generation);
+    runGeneration(generation, params).finally(() => inFlight.delete(messageId));
+  }
+
+  if (generation.result) {
+    listener(generation.result.event, generation.result.data);
+    return () => {};
+  }
+
+  if (generation.text) {
+    listener("token", { content: generation.text });
+  }
+
+  const onToken = (content) => listener("token", { content });
+  const onEnd = (result) => listener(result.event, result.data);
+  generation.emitter.on("token", onToken);
+  generation.emitter.once("end", onEnd);
+
+  return () => {
+    generation.emitter.off("token", onToken);
+    generation.emitter.off("end", onEnd);
+  };
+};
+
+// Whether an answer is being streamed into the chat right now
+const isAnswering = (chatId) =>
+  [...inFlight.values()].some(
+    (generation) => generation.chatId === chatId && !generation.result
+  );
+
+module.exports = {
+  FALLBACK_ANSWER,
+  subscribe,
+  isAnswering,
+};
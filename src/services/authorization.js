@@ -0,0 +1,155 @@
+// services/authorization.js
+//
+// The one place that decides who may do what. Chats, documents and dashboards
+// belong to a workspace (charts through their chat), and a member's role there
+// decides what they can do:
+//   viewer  reads chats, messages, documents, charts and dashboards, and exports them
+//   editor  also asks questions, uploads documents, creates charts and dashboards
+//           and shares links
+//   owner   also deletes chats and manages the workspace and its members
+// Records in workspaces the user is not a member of are reported as not found, so
+// their existence does not leak; a role that is too low is reported as forbidden.
+const prisma = require("../../lib/prisma");
+const { forbidden, notFound } = require("../../utils/errors");
+
+const ROLES = ["viewer", "editor", "owner"];
+
+const hasRole = (role, minRole) =>
+  ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+
+const rolesAtLeast = (minRole) => ROLES.slice(ROLES.indexOf(minRole));
+
+// Prisma filters for the records a user can reach with at least `minRole`
+const workspaceScope = (userId, minRole = "viewer") => ({
+  members: { some: { userId, role: { in: rolesAtLeast(minRole) } } },
+});
+
+const chatScope = (userId, minRole = "viewer") => ({
+  workspace: workspaceScope(userId, minRole),
+});
+
+const documentScope = chatScope;
+
+const dashboardScope = chatScope;
+
+const chartScope = (userId, minRole = "viewer") => ({
+  chat: chatScope(userId, minRole),
+});
+
+// Selects the user's own membership, to read their role from
+const membershipOf = (userId) => ({
+  members: { where: { userId }, select: { role: true } },
+});
+
+const ensureRole = (role, minRole) => {
+  if (!hasRole(role, minRole)) {
+    throw forbidden(
+      "INSUFFICIENT_ROLE",
+      `This action needs the ${minRole} role in the workspace.`
+    );
+  }
+  return role;
+};
+
+// Each authorize* function resolves to the record plus the user's `role` in its
+// workspace, or throws the AppError to pass to `next`.
+const authorizeWorkspace = async (userId, workspaceId, minRole = "viewer") => {
+  const workspace = await prisma.workspace.findFirst({
+    where: { id: workspaceId, ...workspaceScope(userId) },
+    include: membershipOf(userId),
+  });
+  if (!workspace) {
+    throw notFound(
+      "WORKSPACE_NOT_FOUND",
+      "Workspace not found or not authorized."
+    );
+  }
+
+  const { members, ...rest } = workspace;
+  return { ...rest, role: ensureRole(members[0].role, minRole) };
+};
+
+const authorizeChat = async (userId, chatId, minRole = "viewer") => {
+  const chat = await prisma.chat.findFirst({
+    where: { id: chatId, ...chatScope(userId) },
+    include: { workspace: { select: membershipOf(userId) } },
+  });
+  if (!chat) {
+    throw notFound("CHAT_NOT_FOUND", "Chat not found or not authorized.");
+  }
+
+  const { workspace, ...rest } = chat;
+  return { ...rest, role: ensureRole(workspace.members[0].role, minRole) };
+};
+
+const authorizeDocument = async (userId, documentId, minRole = "viewer") => {
+  const document = await prisma.document.findFirst({
+    where: { id: documentId, ...documentScope(userId) },
+    include: { workspace: { select: membershipOf(userId) } },
+  });
+  if (!document) {
+    throw notFound(
+      "DOCUMENT_NOT_FOUND",
+      "Document not found or not authorized."
+    );
+  }
+
+  const { workspace, ...rest } = document;
+  return { ...rest, role: ensureRole(workspace.members[0].role, minRole) };
+};
+
+const authorizeDashboard = async (userId, dashboardId, minRole = "viewer") => {
+  const dashboard = await prisma.dashboard.findFirst({
+    where: { id: dashboardId, ...dashboardScope(userId) },
+    include: { workspace: { select: membershipOf(userId) } },
+  });
+  if (!dashboard) {
+    throw notFound(
+      "DASHBOARD_NOT_FOUND",
+      "Dashboard not found or not authorized."
+    );
+  }
+
+  const { workspace, ...rest } = dashboard;
+  return { ...rest, role: ensureRole(workspace.members[0].role, minRole) };
+};
+
+const authorizeChart = async (userId, chartId, minRole = "viewer") => {
+  const chart = await prisma.chart.findFirst({
+    where: { id: chartId, ...chartScope(userId) },
+    include: {
+      chat: {
+        select: {
+          id: true,
+          title: true,
+          workspace: { select: membershipOf(userId) },
+        },
+      },
+    },
+  });
+  if (!chart) {
+    throw notFound("CHART_NOT_FOUND", "Chart not found or not authorized.");
+  }
+
+  const { workspace, ...chat } = chart.chat;
+  return {
+    ...chart,
+    chat,
+    role: ensureRole(workspace.members[0].role, minRole),
+  };
+};
+
+module.exports = {
+  ROLES,
+  hasRole,
+  workspaceScope,
+  chatScope,
+  documentScope,
+  chartScope,
+  dashboardScope,
+  authorizeWorkspace,
+  authorizeChat,
+  authorizeDocument,
+  authorizeChart,
+  authorizeDashboard,
+};
@@ -0,0 +1,118 @@
+// services/chartData.js
+//
+// Reads the JSON stored in Chart.data and Chart.config: parsed as is for API
+// responses, and, for the server-side renderer and the CSV export, as plain series
+// from the Chart.js-style shape ({ labels, datasets: [{ label, data }] }).
+
+// Point charts plot { x, y } (and for bubbles { r }) objects instead of one value per label.
+const POINT_TYPES = ["scatter", "bubble"];
+
+const parseJson = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return {};
+  }
+};
+
+const toNumber = (value) => {
+  if (value !== null && typeof value === "object") value = value.y;
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toPoint = (value, index) => {
+  if (value !== null && typeof value === "object") {
+    const x = toNumber({ y: value.x });
+    const y = toNumber(value.y);
+    const r = toNumber({ y: value.r });
+    return x === null || y === null ? null : { x, y, r };
+  }
+  // A bare number is plotted against its position.
+  const y = toNumber(value);
+  return y === null ? null : { x: index, y, r: null };
+};
+
+// A Chart (or ChartVersion) row with `data` and `config` parsed, as the API returns it
+const parseChart = (chart) => {
+  try {
+    return {
+      ...chart,
+      data: JSON.parse(chart.data),
+      config: JSON.parse(chart.config),
+    };
+  } catch (e) {
+    console.error(
+      `Failed to parse chart data for chart ID: ${chart.id}`,
+      e.message
+    );
+    return { ...chart, data: {}, config: {} };
+  }
+};
+
+// `chart` is a Chart row. Returns { type, labels, datasets: [{ label, values,
+// points, style }] }, where `values` has one number (or null) per label and
+// `points` the plottable { x, y, r } points.
+const toSeries = (chart) => {
+  const data = parseJson(chart.data);
+  const datasets = Array.isArray(data?.datasets) ? data.datasets : [];
+  const length = Math.max(
+    Array.isArray(data?.labels) ? data.labels.length : 0,
+    ...datasets.map((set) => (Array.isArray(set?.data) ? set.data.length : 0))
+  );
+  const labels = Array.from({ length }, (_, i) =>
+    String(data?.labels?.[i] ?? i + 1)
+  );
+
+  return {
+    type: chart.type,
+    config: parseJson(chart.config),
+    labels,
+    datasets: datasets.map((set, i) => {
+      const raw = Array.isArray(set?.data) ? set.data : [];
+      return {
+        label: set?.label ? String(set.label) : `Series ${i + 1}`,
+        values: labels.map((_, row) => toNumber(raw[row])),
+        points: raw.map(toPoint).filter(Boolean),
+        style: set || {},
+      };
+    }),
+  };
+};
+
+// The chart's data as rows of cells, header row first: one row per label for most
+// charts, and one row per point for scatter and bubble charts.
+const toTable = (chart) => {
+  const { type, labels, datasets } = toSeries(chart);
+
+  if (POINT_TYPES.includes(type)) {
+    const bubble = type === "bubble";
+    return [
+      ["series", "x", "y", ...(bubble ? ["r"] : [])],
+      ...datasets.flatMap((set) =>
+        set.points.map((point) => [
+          set.label,
+          point.x,
+          point.y,
+          ...(bubble ? [point.r] : []),
+        ])
+      ),
+    ];
+  }
+
+  return [
+    ["label", ...datasets.map((set) => set.label)],
+    ...labels.map((label, row) => [
+      label,
+      ...datasets.map((set) => set.values[row]),
+    ]),
+  ];
+};
+
+module.exports = {
+  POINT_TYPES,
+  parseChart,
+  toSeries,
+  toTable,
+};
@@ -0,0 +1,485 @@
+// services/chartRender.js
+//
+// Draws a stored chart as SVG, without a browser, and rasterizes that to PNG with
+// resvg. It follows the frontend's Chart.js look closely enough for reports and
+// emails: colors set on a dataset are used, everything else falls back to PALETTE.
+const { Resvg } = require("@resvg/resvg-js");
+const { toSeries } = require("./chartData");
+const { AppError } = require("../../utils/errors");
+
+const PALETTE = [
+  "#4e79a7",
+  "#f28e2b",
+  "#e15759",
+  "#76b7b2",
+  "#59a14f",
+  "#edc948",
+  "#b07aa1",
+  "#ff9da7",
+  "#9c755f",
+  "#bab0ac",
+];
+const FONT = "Helvetica, Arial, sans-serif";
+const TEXT_COLOR = "#333333";
+const GRID_COLOR = "#e5e5e5";
+const TITLE_HEIGHT = 36;
+const LEGEND_ROW_HEIGHT = 18;
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Text is measured roughly, as there is no font engine to ask.
+const textWidth = (text, size) => String(text).length * size * 0.6;
+
+const truncate = (text, maxWidth, size) => {
+  const maxChars = Math.max(1, Math.floor(maxWidth / (size * 0.6)));
+  return text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+};
+
+const text = (x, y, content, { size = 11, anchor = "middle", weight } = {}) =>
+  `<text x="${round(x)}" y="${round(y)}" font-size="${size}" text-anchor="${anchor}"${
+    weight ? ` font-weight="${weight}"` : ""
+  } fill="${TEXT_COLOR}">${escapeXml(content)}</text>`;
+
+const line = (x1, y1, x2, y2, color = GRID_COLOR) =>
+  `<line x1="${round(x1)}" y1="${round(y1)}" x2="${round(x2)}" y2="${round(y2)}" stroke="${color}" stroke-width="1"/>`;
+
+const formatNumber = (value) => {
+  const abs = Math.abs(value);
+  for (const [limit, suffix] of [
+    [1e9, "B"],
+    [1e6, "M"],
+    [1e3, "k"],
+  ]) {
+    if (abs >= limit)
+      return `${Number((value / limit).toPrecision(3))}${suffix}`;
+  }
+  return String(Number(value.toPrecision(6)));
+};
+
+// Colors come from stored chart data, so only plain CSS color values are let
+// into the markup.
+const COLOR = /^(#[0-9a-f]{3,8}|[a-z]+|(rgb|hsl)a?\([\d\s.,%]+\))$/i;
+
+const pickColor = (color, index) =>
+  typeof color === "string" && COLOR.test(color.trim())
+    ? color.trim()
+    : PALETTE[index % PALETTE.length];
+
+// A dataset's own color, if it sets one as a plain string, or the palette's.
+const colorOf = (style, index, key = "backgroundColor") =>
+  pickColor(style[key] || style.borderColor || style.backgroundColor, index);
+
+// Enough for any axis; a cap, so no domain can keep the tick loop going
+const MAX_TICKS = 50;
+
+// Evenly spaced, round tick values covering [min, max]
+const ticks = (min, max, count = 5) => {
+  // Equal values, or values closer than floating point can step between at their
+  // magnitude, get a domain around them instead.
+  const magnitudeOfValues = Math.max(Math.abs(min), Math.abs(max));
+  if (max - min <= magnitudeOfValues * 1e-9) {
+    const padding = Math.max(1, magnitudeOfValues * 1e-6);
+    min -= padding;
+    max += padding;
+  }
+  const rough = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step =
+    [1, 2, 2.5, 5, 10].find((factor) => factor * magnitude >= rough) *
+    magnitude;
+  const first = Math.floor(min / step) * step;
+  const last = Math.ceil(max / step) * step + step / 2;
+  const values = [];
+  for (let i = 0; i < MAX_TICKS; i += 1) {
+    const value = first + i * step;
+    if (!(value <= last)) break;
+    values.push(Number(value.toPrecision(12)));
+  }
+  return values;
+};
+
+const linearScale = (domain, [from, to]) => {
+  const min = domain[0];
+  const span = domain[domain.length - 1] - min || 1;
+  return (value) => from + ((value - min) / span) * (to - from);
+};
+
+// Items wrapped into centered rows along the bottom edge
+const legendRows = (items, width) => {
+  const rows = [[]];
+  let rowWidth = 0;
+  for (const item of items) {
+    const itemWidth = 18 + textWidth(item.label, 11) + 14;
+    if (rowWidth + itemWidth > width - 20 && rows[rows.length - 1].length) {
+      rows.push([]);
+      rowWidth = 0;
+    }
+    rows[rows.length - 1].push({ ...item, width: itemWidth });
+    rowWidth += itemWidth;
+  }
+  return rows;
+};
+
+const drawLegend = (rows, width, height) =>
+  rows
+    .flatMap((row, r) => {
+      const rowWidth = row.reduce((sum, item) => sum + item.width, 0);
+      let x = (width - rowWidth) / 2;
+      const y = height - (rows.length - r) * LEGEND_ROW_HEIGHT - 4;
+      return row.map((item) => {
+        const svg =
+          `<rect x="${round(x)}" y="${round(y)}" width="12" height="12" fill="${item.color}"/>` +
+          text(x + 18, y + 10, item.label, { anchor: "start" });
+        x += item.width;
+        return svg;
+      });
+    })
+    .join("");
+
+const allValues = (datasets) =>
+  datasets.flatMap((set) => set.values).filter((value) => value !== null);
+
+// Bar, line and area charts: one category per label and a value axis.
+const drawCategoryChart = (series, box) => {
+  const { labels, datasets, type, config } = series;
+  const horizontal = type === "bar" && config.indexAxis === "y";
+  const values = allValues(datasets);
+  const axis = ticks(Math.min(0, ...values), Math.max(0, ...values));
+
+  const plot = {
+    left: box.left + (horizontal ? 90 : 48),
+    right: box.right - 12,
+    top: box.top + 8,
+    bottom: box.bottom - 24,
+  };
+  const valueScale = horizontal
+    ? linearScale(axis, [plot.left, plot.right])
+    : linearScale(axis, [plot.bottom, plot.top]);
+  const categoryLength = horizontal
+    ? plot.bottom - plot.top
+    : plot.right - plot.left;
+  const band = categoryLength / Math.max(1, labels.length);
+  const bandStart = (i) => (horizontal ? plot.top : plot.left) + i * band;
+  const parts = [];
+
+  for (const value of axis) {
+    const at = valueScale(value);
+    parts.push(
+      horizontal
+        ? line(at, plot.top, at, plot.bottom) +
+            text(at, plot.bottom + 16, formatNumber(value))
+        : line(plot.left, at, plot.right, at) +
+            text(plot.left - 6, at + 4, formatNumber(value), { anchor: "end" })
+    );
+  }
+
+  // Labels that would overlap are thinned out.
+  const every = horizontal ? Math.ceil(14 / band) : Math.ceil(40 / band);
+  labels.forEach((label, i) => {
+    if (i % every) return;
+    const center = bandStart(i) + band / 2;
+    parts.push(
+      horizontal
+        ? text(plot.left - 6, center + 4, truncate(label, 80, 11), {
+            anchor: "end",
+          })
+        : text(center, plot.bottom + 16, truncate(label, band * every, 11))
+    );
+  });
+
+  const zero = valueScale(0);
+  if (type === "bar") {
+    const group = band * 0.8;
+    const barSize = group / Math.max(1, datasets.length);
+    datasets.forEach((set, d) => {
+      const color = colorOf(set.style, d);
+      set.values.forEach((value, i) => {
+        if (value === null) return;
+        const at = valueScale(value);
+        const offset = bandStart(i) + (band - group) / 2 + d * barSize;
+        const [x, y, w, h] = horizontal
+          ? [Math.min(zero, at), offset, Math.abs(at - zero), barSize]
+          : [offset, Math.min(zero, at), barSize, Math.abs(at - zero)];
+        parts.push(
+          `<rect x="${round(x)}" y="${round(y)}" width="${round(w)}" height="${round(h)}" fill="${color}"/>`
+        );
+      });
+    });
+  } else {
+    const fill = type === "area";
+    datasets.forEach((set, d) => {
+      const color = colorOf(set.style, d, "borderColor");
+      const points = set.values
+        .map((value, i) =>
+          value === null
+            ? null
+            : [bandStart(i) + band / 2, valueScale(value)].map(round)
+        )
+        .filter(Boolean);
+      if (!points.length) return;
+      const path = points.map(([x, y]) => `${x},${y}`).join(" ");
+      if (fill || set.style.fill) {
+        const first = points[0][0];
+        const last = points[points.length - 1][0];
+        parts.push(
+          `<polygon points="${first},${round(zero)} ${path} ${last},${round(zero)}" fill="${color}" fill-opacity="0.25"/>`
+        );
+      }
+      parts.push(
+        `<polyline points="${path}" fill="none" stroke="${color}" stroke-width="2"/>`,
+        ...points.map(
+          ([x, y]) => `<circle cx="${x}" cy="${y}" r="3" fill="${color}"/>`
+        )
+      );
+    });
+  }
+
+  parts.push(
+    horizontal
+      ? line(zero, plot.top, zero, plot.bottom, "#999999")
+      : line(plot.left, zero, plot.right, zero, "#999999")
+  );
+  return parts.join("");
+};
+
+// Slices take their colors from the first dataset's backgroundColor array.
+const sliceColors = ({ labels, datasets }) =>
+  labels.map((_, i) => {
+    const colors = datasets[0].style.backgroundColor;
+    return pickColor(Array.isArray(colors) ? colors[i] : undefined, i);
+  });
+
+const arcPath = (cx, cy, outer, inner, start, end) => {
+  // A full circle cannot be drawn as a single arc.
+  if (end - start >= Math.PI * 2 - 1e-6) end = start + Math.PI * 2 - 1e-4;
+  const point = (radius, angle) =>
+    `${round(cx + radius * Math.sin(angle))},${round(cy - radius * Math.cos(angle))}`;
+  const large = end - start > Math.PI ? 1 : 0;
+  return inner > 0
+    ? `M${point(outer, start)} A${outer},${outer} 0 ${large} 1 ${point(outer, end)} ` +
+        `L${point(inner, end)} A${inner},${inner} 0 ${large} 0 ${point(inner, start)} Z`
+    : `M${cx},${cy} L${point(outer, start)} A${outer},${outer} 0 ${large} 1 ${point(outer, end)} Z`;
+};
+
+// Pie, doughnut and polar area charts show the first dataset, one slice per label.
+const drawRadialChart = (series, box) => {
+  const { labels, datasets, type } = series;
+  const set = datasets[0];
+  const values = set.values.map((value) => Math.max(0, value || 0));
+  const total = values.reduce((sum, value) => sum + value, 0);
+  const max = Math.max(...values);
+  const cx = (box.left + box.right) / 2;
+  const cy = (box.top + box.bottom) / 2;
+  const radius = Math.max(
+    10,
+    Math.min(box.right - box.left, box.bottom - box.top) / 2 - 8
+  );
+  const colors = sliceColors(series);
+
+  let angle = 0;
+  const parts = values.map((value, i) => {
+    if (!value) return "";
+    const polar = type === "polarArea";
+    const sweep = polar
+      ? (Math.PI * 2) / values.length
+      : (value / total) * Math.PI * 2;
+    const outer = polar ? (radius * value) / max : radius;
+    const inner = type === "doughnut" ? radius * 0.5 : 0;
+    const path = arcPath(cx, cy, outer, inner, angle, angle + sweep);
+    angle += sweep;
+    return `<path d="${path}" fill="${colors[i]}" stroke="#ffffff" stroke-width="1"/>`;
+  });
+
+  return parts.join("");
+};
+
+// Radar charts: one spoke per label, one polygon per dataset.
+const drawRadarChart = (series, box) => {
+  const { labels, datasets } = series;
+  const values = allValues(datasets);
+  const axis = ticks(Math.min(0, ...values), Math.max(0, ...values), 4);
+  const cx = (box.left + box.right) / 2;
+  const cy = (box.top + box.bottom) / 2 + 4;
+  const radius = Math.max(
+    10,
+    Math.min(box.right - box.left - 160, box.bottom - box.top - 48) / 2
+  );
+  const scale = linearScale(axis, [0, radius]);
+  const at = (i, distance) => {
+    const angle = (i / labels.length) * Math.PI * 2;
+    return [
+      cx + distance * Math.sin(angle),
+      cy - distance * Math.cos(angle),
+    ].map(round);
+  };
+  const parts = [];
+
+  for (const value of axis.slice(1)) {
+    const ring = labels.map((_, i) => at(i, scale(value)).join(",")).join(" ");
+    parts.push(
+      `<polygon points="${ring}" fill="none" stroke="${GRID_COLOR}"/>`
+    );
+  }
+  labels.forEach((label, i) => {
+    const [x, y] = at(i, radius);
+    const [lx, ly] = at(i, radius + 14);
+    const anchor = Math.abs(lx - cx) < 1 ? "middle" : lx > cx ? "start" : "end";
+    parts.push(
+      line(cx, cy, x, y),
+      text(lx, ly + 4, truncate(label, 80, 11), { anchor })
+    );
+  });
+
+  datasets.forEach((set, d) => {
+    const color = colorOf(set.style, d, "borderColor");
+    const points = set.values
+      .map((value, i) => at(i, scale(value || 0)).join(","))
+      .join(" ");
+    parts.push(
+      `<polygon points="${points}" fill="${color}" fill-opacity="0.2" stroke="${color}" stroke-width="2"/>`
+    );
+  });
+
+  return parts.join("");
+};
+
+// Scatter and bubble charts: { x, y } points on two linear axes.
+const drawPointChart = (series, box) => {
+  const { datasets, type } = series;
+  const points = datasets.flatMap((set) => set.points);
+  const xAxis = ticks(
+    ...[Math.min, Math.max].map((f) => f(...points.map((p) => p.x)))
+  );
+  const yAxis = ticks(
+    ...[Math.min, Math.max].map((f) => f(...points.map((p) => p.y)))
+  );
+  const plot = {
+    left: box.left + 48,
+    right: box.right - 12,
+    top: box.top + 8,
+    bottom: box.bottom - 24,
+  };
+  const x = linearScale(xAxis, [plot.left, plot.right]);
+  const y = linearScale(yAxis, [plot.bottom, plot.top]);
+  const parts = [
+    ...xAxis.map(
+      (value) =>
+        line(x(value), plot.top, x(value), plot.bottom) +
+        text(x(value), plot.bottom + 16, formatNumber(value))
+    ),
+    ...yAxis.map(
+      (value) =>
+        line(plot.left, y(value), plot.right, y(value)) +
+        text(plot.left - 6, y(value) + 4, formatNumber(value), {
+          anchor: "end",
+        })
+    ),
+  ];
+
+  datasets.forEach((set, d) => {
+    const color = colorOf(set.style, d);
+    for (const point of set.points) {
+      const r = type === "bubble" ? Math.min(40, Math.max(2, point.r || 5)) : 4;
+      parts.push(
+        `<circle cx="${round(x(point.x))}" cy="${round(y(point.y))}" r="${r}" fill="${color}" fill-opacity="${type === "bubble" ? 0.6 : 1}"/>`
+      );
+    }
+  });
+
+  return parts.join("");
+};
+
+const RENDERERS = {
+  bar: drawCategoryChart,
+  line: drawCategoryChart,
+  area: drawCategoryChart,
+  pie: drawRadialChart,
+  doughnut: drawRadialChart,
+  polarArea: drawRadialChart,
+  radar: drawRadarChart,
+  scatter: drawPointChart,
+  bubble: drawPointChart,
+};
+
+const RENDERABLE_TYPES = Object.keys(RENDERERS);
+
+const legendItems = (series) => {
+  if (RENDERERS[series.type] === drawRadialChart) {
+    const colors = sliceColors(series);
+    return series.labels.map((label, i) => ({ label, color: colors[i] }));
+  }
+  // Lines are drawn in their border color, shapes in their fill color.
+  const key = ["line", "area", "radar"].includes(series.type)
+    ? "borderColor"
+    : "backgroundColor";
+  return series.datasets.map((set, d) => ({
+    label: set.label,
+    color: colorOf(set.style, d, key),
+  }));
+};
+
+const hasData = ({ type, datasets }) =>
+  datasets.some((set) =>
+    RENDERERS[type] === drawPointChart
+      ? set.points.length
+      : set.values.some((value) => value !== null)
+  );
+
+// `chart` is a Chart row; returns the SVG document as a string.
+const renderSvg = (chart, { width = 800, height = 500 } = {}) => {
+  const series = toSeries(chart);
+  const draw = RENDERERS[series.type];
+  if (!draw) {
+    throw new AppError(
+      422,
+      "UNSUPPORTED_CHART_TYPE",
+      `Charts of type "${series.type}" cannot be rendered on the server.`,
+      { supported: RENDERABLE_TYPES }
+    );
+  }
+
+  const title = text(width / 2, 24, truncate(chart.label, width - 20, 16), {
+    size: 16,
+    weight: "bold",
+  });
+  const box = {
+    left: 10,
+    right: width - 10,
+    top: TITLE_HEIGHT,
+    bottom: height - 10,
+  };
+  let body;
+
+  if (!hasData(series)) {
+    body = text(width / 2, height / 2, "No data", { size: 14 });
+  } else {
+    const rows = legendRows(legendItems(series), width);
+    box.bottom -= rows.length * LEGEND_ROW_HEIGHT + 4;
+    body = draw(series, box) + drawLegend(rows, width, height);
+  }
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT}">` +
+    `<rect width="100%" height="100%" fill="#ffffff"/>${title}${body}</svg>`
+  );
+};
+
+const renderPng = (chart, size) =>
+  new Resvg(renderSvg(chart, size), {
+    font: { loadSystemFonts: true, defaultFontFamily: "Arial" },
+  })
+    .render()
+    .asPng();
+
+module.exports = {
+  RENDERABLE_TYPES,
+  renderSvg,
+  renderPng,
+};
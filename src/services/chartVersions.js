@@ -0,0 +1,41 @@
+// services/chartVersions.js
+//
+// Every change to a chart's content goes through here, so the chart and its
+// version history cannot drift apart.
+const prisma = require("../../lib/prisma");
+
+/**
+ * Applies `changes` to the chart and records the result as its next version, in one
+ * transaction. Resolves to the updated chart.
+ */
+const saveChartVersion = (
+  chartId,
+  changes,
+  { source, userId, tokensUsed = 0, restoredFrom }
+) =>
+  prisma.$transaction(async (tx) => {
+    const chart = await tx.chart.update({
+      where: { id: chartId },
+      data: { ...changes, version: { increment: 1 } },
+    });
+    await tx.chartVersion.create({
+      data: {
+        chartId,
+        version: chart.version,
+        source,
+        type: chart.type,
+        label: chart.label,
+        data: chart.data,
+        config: chart.config,
+        prompt: chart.createdFrom,
+        tokensUsed,
+        restoredFrom,
+        userId,
+      },
+    });
+    return chart;
+  });
+
+module.exports = {
+  saveChartVersion,
+};
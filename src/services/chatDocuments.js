@@ -0,0 +1,57 @@
+// services/chatDocuments.js
+//
+// Documents live in their workspace's library and are attached to any number of
+// its chats. The documents attached to a chat are the ones the AI service searches
+// for the chat's answers and charts.
+const prisma = require("../../lib/prisma");
+const { badRequest } = require("../../utils/errors");
+
+// Include for a chat's documents in the order they were attached, optionally with
+// an include of their own. Flatten the result with toDocuments().
+const attachedDocumentsInclude = (include) => ({
+  orderBy: { attachedAt: "asc" },
+  include: { document: include ? { include } : true },
+});
+
+const toDocuments = (attachments) =>
+  attachments.map((attachment) => attachment.document);
+
+// The ids of the documents in scope for questions and charts in a chat
+const documentIdsInChat = async (chatId) => {
+  const attachments = await prisma.chatDocument.findMany({
+    where: { chatId },
+    orderBy: { attachedAt: "asc" },
+    select: { documentId: true },
+  });
+  return attachments.map((attachment) => attachment.documentId);
+};
+
+/**
+ * Attaches a library document to a chat of the same workspace. Resolves to false
+ * when it was already attached.
+ */
+const attachDocument = async (chat, document) => {
+  if (document.workspaceId !== chat.workspaceId) {
+    throw badRequest(
+      "WORKSPACE_MISMATCH",
+      "Documents can only be attached to chats in their own workspace."
+    );
+  }
+
+  try {
+    await prisma.chatDocument.create({
+      data: { chatId: chat.id, documentId: document.id },
+    });
+    return true;
+  } catch (error) {
+    if (error.code === "P2002") return false;
+    throw error;
+  }
+};
+
+module.exports = {
+  attachedDocumentsInclude,
+  toDocuments,
+  documentIdsInChat,
+  attachDocument,
+};
@@ -0,0 +1,208 @@
+// services/chatExport.js
+//
+// Renders a chat, with its messages, documents and charts, as JSON, Markdown or PDF.
+// The JSON form is also what POST /api/chats/import accepts.
+const PDFDocument = require("pdfkit");
+
+const EXPORT_FORMAT = "oracyn-chat";
+const EXPORT_VERSION = 1;
+
+const parseJson = (value, fallback) => {
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+// `chat` is a Chat with its messages, documents and charts included.
+const toJson = (chat) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  chat: {
+    title: chat.title,
+    createdAt: chat.createdAt,
+    updatedAt: chat.updatedAt,
+  },
+  messages: chat.messages.map((message) => ({
+    sender: message.sender,
+    text: message.text,
+    timestamp: message.timestamp,
+    tokensUsed: message.tokensUsed,
+  })),
+  documents: chat.documents.map((document) => ({
+    fileName: document.fileName,
+    fileType: document.fileType,
+    fileSize: document.fileSize,
+    uploadedAt: document.uploadedAt,
+    status: document.status,
+  })),
+  charts: chat.charts.map((chart) => ({
+    type: chart.type,
+    label: chart.label,
+    createdFrom: chart.createdFrom,
+    status: chart.status,
+    data: parseJson(chart.data, {}),
+    config: parseJson(chart.config, {}),
+    createdAt: chart.createdAt,
+  })),
+});
+
+const formatDate = (date) =>
+  new Date(date).toISOString().replace("T", " ").slice(0, 16) + " UTC";
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+const senderName = (sender) => (sender === "user" ? "You" : "Assistant");
+
+// Chart.js-style data ({ labels, datasets: [{ label, data }] }) as a table, or
+// null for any other shape.
+const chartTable = (data) => {
+  if (!Array.isArray(data?.labels) || !Array.isArray(data?.datasets)) {
+    return null;
+  }
+  return {
+    columns: [
+      "",
+      ...data.datasets.map((set, i) => set.label || `Series ${i + 1}`),
+    ],
+    rows: data.labels.map((label, row) => [
+      String(label),
+      ...data.datasets.map((set) => String(set.data?.[row] ?? "")),
+    ]),
+  };
+};
+
+const escapeCell = (value) => value.replace(/\|/g, "\\|").replace(/\n/g, " ");
+
+const toMarkdown = (chat) => {
+  const { messages, documents, charts } = toJson(chat);
+  const lines = [`# ${chat.title}`, "", `_Exported ${formatDate(new Date())}_`];
+
+  if (documents.length) {
+    lines.push("", "## Documents", "");
+    for (const document of documents) {
+      lines.push(
+        `- ${document.fileName} (${document.fileType}, ${formatSize(document.fileSize)})`
+      );
+    }
+  }
+
+  lines.push("", "## Conversation");
+  for (const message of messages) {
+    lines.push(
+      "",
+      `**${senderName(message.sender)}** · ${formatDate(message.timestamp)}`,
+      "",
+      message.text
+    );
+  }
+
+  if (charts.length) {
+    lines.push("", "## Charts");
+    for (const chart of charts) {
+      lines.push(
+        "",
+        `### ${chart.label}`,
+        "",
+        `${chart.type} chart, created ${formatDate(chart.createdAt)} from: ${chart.createdFrom}`,
+        ""
+      );
+      const table = chartTable(chart.data);
+      if (table) {
+        lines.push(
+          `| ${table.columns.map(escapeCell).join(" | ")} |`,
+          `|${table.columns.map(() => " --- ").join("|")}|`,
+          ...table.rows.map((row) => `| ${row.map(escapeCell).join(" | ")} |`)
+        );
+      } else {
+        lines.push("```json", JSON.stringify(chart.data, null, 2), "```");
+      }
+    }
+  }
+
+  return lines.join("\n") + "\n";
+};
+
+/**
+ * Writes the chat as a PDF to `stream` (e.g. the response) and ends it.
+ */
+const writePdf = (chat, stream) => {
+  const { messages, documents, charts } = toJson(chat);
+  const pdf = new PDFDocument({ margin: 50, info: { Title: chat.title } });
+  pdf.pipe(stream);
+
+  const heading = (text) =>
+    pdf.moveDown().font("Helvetica-Bold").fontSize(14).text(text).moveDown(0.5);
+  const body = (text) => pdf.font("Helvetica").fontSize(10).text(text);
+  const muted = (text) =>
+    pdf
+      .font("Helvetica-Oblique")
+      .fontSize(9)
+      .fillColor("#666666")
+      .text(text)
+      .fillColor("black");
+
+  pdf.font("Helvetica-Bold").fontSize(20).text(chat.title);
+  muted(`Exported ${formatDate(new Date())}`);
+
+  if (documents.length) {
+    heading("Documents");
+    for (const document of documents) {
+      body(
+        `• ${document.fileName} (${document.fileType}, ${formatSize(document.fileSize)})`
+      );
+    }
+  }
+
+  heading("Conversation");
+  for (const message of messages) {
+    pdf
+      .font("Helvetica-Bold")
+      .fontSize(10)
+      .text(`${senderName(message.sender)} `, { continued: true })
+      .font("Helvetica")
+      .fillColor("#666666")
+      .text(formatDate(message.timestamp))
+      .fillColor("black");
+    body(message.text);
+    pdf.moveDown(0.5);
+  }
+
+  if (charts.length) {
+    heading("Charts");
+    for (const chart of charts) {
+      pdf.font("Helvetica-Bold").fontSize(11).text(chart.label);
+      muted(`${chart.type} chart, created from: ${chart.createdFrom}`);
+      const table = chartTable(chart.data);
+      if (table) {
+        for (const row of table.rows) {
+          const values = row
+            .slice(1)
+            .map((value, i) => `${table.columns[i + 1]}: ${value}`);
+          body(`${row[0]} — ${values.join(", ")}`);
+        }
+      } else {
+        pdf
+          .font("Courier")
+          .fontSize(8)
+          .text(JSON.stringify(chart.data, null, 2));
+      }
+      pdf.moveDown(0.5);
+    }
+  }
+
+  pdf.end();
+};
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  toJson,
+  toMarkdown,
+  writePdf,
+};
@@ -0,0 +1,93 @@
+// services/chatHistory.js
+//
+// The conversation context sent to the AI service with each question. Each chat
+// keeps a window of its latest turns, sized by its history settings; turns that
+// fall out of the window are folded into the chat's rolling summary by the
+// "summarize-history" job, so long conversations keep their earlier context.
+const prisma = require("../../lib/prisma");
+const jobQueue = require("../jobs/queue");
+
+// A rough estimate of ~4 characters per token; the AI service does the real count.
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+const toTurn = (message) => ({ role: message.sender, content: message.text });
+
+// Queues a summary of the turns before `upTo`, unless one is already on its way.
+const queueSummary = async (chatId, upTo, userId) => {
+  const pending = await prisma.job.findFirst({
+    where: {
+      chatId,
+      type: "summarize-history",
+      status: { in: ["queued", "running"] },
+    },
+  });
+  if (pending) return;
+
+  await jobQueue.enqueue(
+    "summarize-history",
+    { chatId, upTo: upTo.toISOString() },
+    { userId, chatId }
+  );
+};
+
+/**
+ * Resolves to `{ history, summary }` for a question in `chatId`: the latest turns
+ * written before `before` that fit the chat's window, oldest first, and the summary
+ * of the turns before them (or null). `userId` is who the question is asked for; a
+ * summary update is queued on their behalf when turns have left the window.
+ */
+const getHistoryForAI = async (chatId, { before, userId }) => {
+  const chat = await prisma.chat.findUnique({
+    where: { id: chatId },
+    select: {
+      historyMessages: true,
+      historyTokenBudget: true,
+      summarizeHistory: true,
+      summary: true,
+      summaryUpTo: true,
+    },
+  });
+
+  const recentMessages = await prisma.message.findMany({
+    where: { chatId, ...(before && { timestamp: { lt: before } }) },
+    orderBy: { timestamp: "desc" },
+    take: chat.historyMessages,
+  });
+
+  // Newest first, so the budget is spent on the latest turns.
+  const window = [];
+  let tokens = 0;
+  for (const message of recentMessages) {
+    tokens += estimateTokens(message.text);
+    if (chat.historyTokenBudget && tokens > chat.historyTokenBudget) break;
+    window.push(message);
+  }
+  window.reverse();
+
+  if (!chat.summarizeHistory) {
+    return { history: window.map(toTurn), summary: null };
+  }
+
+  const windowStart = window[0]?.timestamp || before || new Date();
+  const unsummarized = await prisma.message.count({
+    where: {
+      chatId,
+      timestamp: {
+        lt: windowStart,
+        ...(chat.summaryUpTo && { gt: chat.summaryUpTo }),
+      },
+    },
+  });
+  if (unsummarized) {
+    // The question is answered with the older summary meanwhile.
+    await queueSummary(chatId, windowStart, userId).catch((e) =>
+      console.error("Could not queue history summary:", e.message)
+    );
+  }
+
+  return { history: window.map(toTurn), summary: chat.summary };
+};
+
+module.exports = {
+  getHistoryForAI,
+};
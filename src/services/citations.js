@@ -0,0 +1,82 @@
+// services/citations.js
+//
+// Source passages that come with an answer from the AI service, as mapped by
+// services/aiClient.js: [{ documentId, page, chunkText, score }].
+const prisma = require("../../lib/prisma");
+
+const MAX_CITATIONS = 20;
+const MAX_CHUNK_LENGTH = 10000;
+
+// Include for a message's citations, in the order the AI service gave them
+const citationInclude = {
+  orderBy: { position: "asc" },
+  select: {
+    id: true,
+    page: true,
+    chunkText: true,
+    score: true,
+    document: { select: { id: true, fileName: true, fileType: true } },
+  },
+};
+
+const toInt = (value) =>
+  Number.isInteger(Number(value)) && value !== null && value !== ""
+    ? Number(value)
+    : null;
+
+const toFloat = (value) =>
+  value !== null && value !== "" && Number.isFinite(Number(value))
+    ? Number(value)
+    : null;
+
+/**
+ * Nested `citations` create for an assistant message in `chatId`. Citations without
+ * passage text are dropped; a document id is only linked when the document is
+ * attached to the chat, as the AI service's ids are not otherwise checked.
+ */
+const citationsCreate = async (chatId, citations) => {
+  const passages = (Array.isArray(citations) ? citations : [])
+    .filter((citation) => citation && typeof citation.chunkText === "string")
+    .filter((citation) => citation.chunkText.trim())
+    .slice(0, MAX_CITATIONS);
+  if (!passages.length) return undefined;
+
+  const documents = await prisma.document.findMany({
+    where: {
+      chats: { some: { chatId } },
+      id: { in: passages.map((citation) => String(citation.documentId)) },
+    },
+    select: { id: true },
+  });
+  const known = new Set(documents.map((document) => document.id));
+
+  return {
+    create: passages.map((citation, position) => ({
+      position,
+      documentId: known.has(String(citation.documentId))
+        ? String(citation.documentId)
+        : null,
+      page: toInt(citation.page),
+      chunkText: citation.chunkText.slice(0, MAX_CHUNK_LENGTH),
+      score: toFloat(citation.score),
+    })),
+  };
+};
+
+// Saves the AI service's answer with its citations.
+const createAnswerMessage = async ({ chatId, text, tokensUsed, citations }) =>
+  prisma.message.create({
+    data: {
+      text,
+      sender: "assistant",
+      chatId,
+      tokensUsed: tokensUsed || 0,
+      citations: await citationsCreate(chatId, citations),
+    },
+    include: { citations: citationInclude },
+  });
+
+module.exports = {
+  citationInclude,
+  createAnswerMessage,
+};
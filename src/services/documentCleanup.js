@@ -0,0 +1,35 @@
+// services/documentCleanup.js
+const storage = require("./storage");
+const jobQueue = require("../jobs/queue");
+
+// Documents uploaded before persistent storage existed were never saved.
+const isStored = (document) => document.filePath !== "in-memory";
+
+/**
+ * Removes everything a deleted document leaves behind outside the database: the
+ * stored original file and, through a retried job, its vectors in the AI service.
+ * Call it after the Document rows themselves have been deleted.
+ */
+const discardDocuments = async (documents) => {
+  for (const document of documents) {
+    if (isStored(document)) {
+      await storage.remove(document.filePath).catch((error) => {
+        console.error(
+          `Could not remove stored file for document ${document.id}:`,
+          error.message
+        );
+      });
+    }
+
+    await jobQueue.enqueue(
+      "delete-document-vectors",
+      { documentId: document.id },
+      { userId: document.userId }
+    );
+  }
+};
+
+module.exports = {
+  isStored,
+  discardDocuments,
+};
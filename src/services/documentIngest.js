@@ -0,0 +1,129 @@
+// services/documentIngest.js
+const crypto = require("crypto");
+const prisma = require("../../lib/prisma");
+const storage = require("./storage");
+const jobQueue = require("../jobs/queue");
+const { attachDocument } = require("./chatDocuments");
+const { expandUploads } = require("./uploads");
+
+const sha256 = (buffer) =>
+  crypto.createHash("sha256").update(buffer).digest("hex");
+
+const duplicateOf = (document, chat) => ({
+  status: "duplicate",
+  document,
+  error: {
+    code: "DUPLICATE_DOCUMENT",
+    message: chat
+      ? "This file has already been added to the chat."
+      : "This file is already in the document library.",
+  },
+});
+
+// The outcome for a file the library already has: attached to `chat` if it was not
+// yet, otherwise a duplicate.
+const reuseDocument = async (document, chat) =>
+  chat && (await attachDocument(chat, document))
+    ? { status: "attached", document }
+    : duplicateOf(document, chat);
+
+/**
+ * Stores a file in the document library of `workspaceId` and queues it for
+ * indexing, attached to `chat` when one is given. Files that did not come from an
+ * upload name their `sourceType` ("url" or "text") and, for web pages, the
+ * `sourceUrl`. A file already in the library is not stored or indexed again.
+ * Resolves to the outcome:
+ * - `{ status: "queued", document, jobId }` for a new document,
+ * - `{ status: "attached", document }` when the library's copy was attached to
+ *   `chat`,
+ * - `{ status: "duplicate", document, error }` when the library, or `chat`,
+ *   already had it.
+ */
+const ingestDocument = async (
+  { userId, workspaceId, chat },
+  { fileName, buffer, mimeType, extension, sourceType = "file", sourceUrl }
+) => {
+  const hash = sha256(buffer);
+  const findCopy = () =>
+    prisma.document.findFirst({ where: { workspaceId, sha256: hash } });
+
+  const existing = await findCopy();
+  if (existing) return reuseDocument(existing, chat);
+
+  const documentId = crypto.randomUUID();
+  const storageKey = `documents/${userId}/${documentId}${extension}`;
+  await storage.put(storageKey, buffer, { contentType: mimeType });
+
+  let document;
+  try {
+    document = await prisma.document.create({
+      data: {
+        id: documentId,
+        fileName,
+        filePath: storageKey,
+        fileType: mimeType,
+        fileSize: buffer.length,
+        sha256: hash,
+        sourceType,
+        sourceUrl,
+        userId,
+        workspaceId,
+        ...(chat && { chats: { create: { chatId: chat.id } } }),
+      },
+    });
+  } catch (error) {
+    await storage.remove(storageKey).catch(() => {});
+    // The same file, uploaded by a concurrent request
+    if (error.code === "P2002") {
+      const copy = await findCopy();
+      if (copy) return reuseDocument(copy, chat);
+    }
+    throw error;
+  }
+
+  const job = await jobQueue.enqueue(
+    "process-document",
+    { documentId, fileName, storageKey },
+    { userId, chatId: chat?.id, documentId }
+  );
+  return { status: "queued", document, jobId: job.id };
+};
+
+/**
+ * Ingests the files of an upload into `target` (as for ingestDocument()), archives
+ * expanded. Resolves to a result for each file: `{ fileName, archive?, status,
+ * ... }` with the outcome of ingestDocument(), or `status: "rejected"` and the
+ * `error` that kept it out.
+ */
+const ingestUploads = async (target, files) => {
+  const results = [];
+  for (const candidate of expandUploads(files)) {
+    const { fileName, archive, error } = candidate;
+    const outcome = error
+      ? { status: "rejected", error }
+      : await ingestDocument(target, candidate);
+    results.push({ fileName, ...(archive && { archive }), ...outcome });
+  }
+  return results;
+};
+
+// The response to an upload with these results
+const uploadResponse = (results) => {
+  const queued = results.filter((result) => result.status === "queued");
+  return {
+    status: queued.length > 0 ? 202 : 200,
+    body: {
+      message:
+        queued.length > 0
+          ? `${queued.length} of ${results.length} file(s) queued for processing.`
+          : "No new files were queued for processing.",
+      results,
+    },
+  };
+};
+
+module.exports = {
+  ingestDocument,
+  ingestUploads,
+  uploadResponse,
+};
@@ -0,0 +1,10 @@
+// services/mailer/consoleTransport.js
+const createConsoleTransport = () => ({
+  send: async ({ from, to, subject, text }) => {
+    console.log(
+      `--- Email ---\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n-------------`
+    );
+  },
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,23 @@
+// services/mailer/fileTransport.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Writes every message to its own file, so tests and local setups can read the
+// links out of emails without a mail server.
+const createFileTransport = ({ outboxDir }) => {
+  const root = path.resolve(outboxDir);
+
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(root, { recursive: true });
+      const fileName = `${Date.now()}-${crypto.randomUUID()}.json`;
+      await fs.promises.writeFile(
+        path.join(root, fileName),
+        JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+      );
+    },
+  };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,44 @@
+// services/mailer/index.js
+//
+// Sends email through the transport selected by MAIL_TRANSPORT:
+//   "console" (default) - prints each message to stdout
+//   "file"              - writes each message as JSON into MAIL_OUTBOX_DIR
+//   "smtp"              - delivers through SMTP_URL with nodemailer
+//
+// Every transport implements send({ from, to, subject, text, html }) -> Promise.
+const createConsoleTransport = require("./consoleTransport");
+const createFileTransport = require("./fileTransport");
+
+const createTransport = () => {
+  const transport = process.env.MAIL_TRANSPORT || "console";
+
+  if (transport === "console") {
+    return createConsoleTransport();
+  }
+
+  if (transport === "file") {
+    return createFileTransport({
+      outboxDir: process.env.MAIL_OUTBOX_DIR || "temp/mail",
+    });
+  }
+
+  if (transport === "smtp") {
+    // Loaded lazily so nodemailer is only required when it is actually used.
+    const createSmtpTransport = require("./smtpTransport");
+    return createSmtpTransport({ url: process.env.SMTP_URL });
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT "${transport}"`);
+};
+
+const transport = createTransport();
+
+const sendMail = (message) =>
+  transport.send({
+    from: process.env.MAIL_FROM || "ORACYN <no-reply@oracyn.local>",
+    ...message,
+  });
+
+module.exports = {
+  sendMail,
+};
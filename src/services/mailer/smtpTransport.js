@@ -0,0 +1,16 @@
+// services/mailer/smtpTransport.js
+const nodemailer = require("nodemailer");
+
+const createSmtpTransport = ({ url }) => {
+  if (!url) {
+    throw new Error("SMTP_URL must be set when MAIL_TRANSPORT is smtp");
+  }
+
+  const transporter = nodemailer.createTransport(url);
+
+  return {
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+module.exports = createSmtpTransport;
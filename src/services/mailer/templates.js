@@ -0,0 +1,60 @@
+// services/mailer/templates.js
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const linkEmail = ({ greeting, intro, actionText, link, outro }) => ({
+  text: `${greeting}\n\n${intro}\n\n${link}\n\n${outro}`,
+  html: `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(intro)}</p><p><a href="${escapeHtml(link)}">${escapeHtml(actionText)}</a></p><p>${escapeHtml(outro)}</p>`,
+});
+
+const passwordResetEmail = ({ username, link }) => ({
+  subject: "Reset your ORACYN password",
+  ...linkEmail({
+    greeting: `Hi ${username},`,
+    intro: "Someone asked to reset the password for your ORACYN account.",
+    actionText: "Choose a new password",
+    link,
+    outro:
+      "The link expires in one hour. If you did not ask for this, you can ignore this email.",
+  }),
+});
+
+const emailVerificationEmail = ({ username, link }) => ({
+  subject: "Verify your ORACYN email address",
+  ...linkEmail({
+    greeting: `Hi ${username},`,
+    intro: "Please confirm that this is your email address.",
+    actionText: "Verify email address",
+    link,
+    outro: "The link expires in 24 hours.",
+  }),
+});
+
+const workspaceInvitationEmail = ({
+  inviterName,
+  workspaceName,
+  role,
+  link,
+}) => ({
+  subject: `${inviterName} invited you to ${workspaceName} on ORACYN`,
+  ...linkEmail({
+    greeting: "Hi,",
+    intro: `${inviterName} invited you to join the "${workspaceName}" workspace as ${
+      role === "viewer" ? "a" : "an"
+    } ${role}.`,
+    actionText: "Accept the invitation",
+    link,
+    outro:
+      "The invitation expires in 7 days. Sign in or create an account with this email address to accept it.",
+  }),
+});
+
+module.exports = {
+  passwordResetEmail,
+  emailVerificationEmail,
+  workspaceInvitationEmail,
+};
@@ -0,0 +1,193 @@
+// services/searchIndex.js
+//
+// Full-text index over message text, chat titles, document file names and chart
+// prompts, backed by an SQLite FTS5 table that triggers keep in sync. Documents
+// belong to no single chat, so their rows have no chatId and are matched to the
+// user's workspaces through the document itself.
+//
+// Prisma cannot describe virtual tables, so the index lives outside schema.prisma and
+// is created here on startup. Creation is idempotent, and an empty index is rebuilt
+// from the source tables (e.g. after `prisma db push` recreated the database).
+const prisma = require("../../lib/prisma");
+
+// What gets indexed for each table, as SQL over a row alias (NEW in triggers,
+// the table itself when rebuilding).
+const SOURCES = [
+  {
+    kind: "message",
+    table: "Message",
+    content: (row) => `${row}."text"`,
+    chatId: (row) => `${row}."chatId"`,
+    userId: (row) =>
+      `(SELECT "userId" FROM "Chat" WHERE "id" = ${row}."chatId")`,
+  },
+  {
+    kind: "chat",
+    table: "Chat",
+    content: (row) => `${row}."title"`,
+    chatId: (row) => `${row}."id"`,
+    userId: (row) => `${row}."userId"`,
+  },
+  {
+    kind: "document",
+    table: "Document",
+    content: (row) => `${row}."fileName"`,
+    chatId: () => "NULL",
+    userId: (row) => `${row}."userId"`,
+  },
+  {
+    kind: "chart",
+    table: "Chart",
+    content: (row) => `${row}."label" || char(10) || ${row}."createdFrom"`,
+    chatId: (row) => `${row}."chatId"`,
+    userId: (row) => `${row}."userId"`,
+  },
+];
+
+const indexedColumns = (source, row) =>
+  `${source.content(row)}, '${source.kind}', ${row}."id", ${source.chatId(
+    row
+  )}, ${source.userId(row)}`;
+
+const buildStatements = () => {
+  const statements = [
+    `CREATE VIRTUAL TABLE IF NOT EXISTS "SearchIndex" USING fts5(
+      content, kind UNINDEXED, entityId UNINDEXED, chatId UNINDEXED, userId UNINDEXED,
+      tokenize = 'porter unicode61'
+    )`,
+  ];
+
+  for (const source of SOURCES) {
+    const insert = `INSERT INTO "SearchIndex" (content, kind, entityId, chatId, userId)
+      VALUES (${indexedColumns(source, "NEW")});`;
+    const remove = `DELETE FROM "SearchIndex" WHERE kind = '${source.kind}' AND entityId = OLD."id";`;
+    const trigger = (event, body) =>
+      `CREATE TRIGGER IF NOT EXISTS "${source.table}_search_${event.toLowerCase()}"
+       AFTER ${event} ON "${source.table}" BEGIN ${body} END`;
+
+    statements.push(
+      trigger("INSERT", insert),
+      trigger("UPDATE", `${remove} ${insert}`),
+      trigger("DELETE", remove)
+    );
+  }
+
+  return statements;
+};
+
+const rebuildIfEmpty = async () => {
+  const [{ count }] = await prisma.$queryRawUnsafe(
+    `SELECT count(*) AS count FROM "SearchIndex"`
+  );
+  if (Number(count) > 0) return;
+
+  for (const source of SOURCES) {
+    await prisma.$executeRawUnsafe(
+      `INSERT INTO "SearchIndex" (content, kind, entityId, chatId, userId)
+       SELECT ${indexedColumns(source, `"${source.table}"`)} FROM "${source.table}"`
+    );
+  }
+};
+
+let ready = null;
+
+// Creates the index and its triggers once per process.
+const ensureSearchIndex = () => {
+  if (!ready) {
+    ready = (async () => {
+      for (const statement of buildStatements()) {
+        await prisma.$executeRawUnsafe(statement);
+      }
+      await rebuildIfEmpty();
+    })().catch((error) => {
+      ready = null;
+      throw error;
+    });
+  }
+  return ready;
+};
+
+// Turns free text into an FTS5 query: every word must match, the last one as a
+// prefix so results appear while the user is still typing.
+const toMatchQuery = (text) => {
+  const terms = text
+    .split(/\s+/)
+    .map((term) => term.replace(/"/g, ""))
+    .filter(Boolean);
+  return terms
+    .map((term, i) => `"${term}"${i === terms.length - 1 ? "*" : ""}`)
+    .join(" ");
+};
+
+// Markers FTS5 wraps around matches. Control characters cannot appear in the HTML
+// the snippet is escaped into, so they are safe to swap for <mark> afterwards.
+const MATCH_START = "\u0002";
+const MATCH_END = "\u0003";
+
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const toHighlightedHtml = (snippet) =>
+  escapeHtml(snippet)
+    .split(MATCH_START)
+    .join("<mark>")
+    .split(MATCH_END)
+    .join("</mark>");
+
+/**
+ * Searches the chats and document libraries of every workspace the user belongs
+ * to, best matches first. Each result has the kind of entity that matched, its id,
+ * the chat it belongs to (null for documents) and an HTML snippet with the matching
+ * words wrapped in <mark>.
+ */
+const search = async (userId, text, { kinds, limit, offset }) => {
+  await ensureSearchIndex();
+
+  const match = toMatchQuery(text);
+  if (!match) return [];
+
+  const rows = await prisma.$queryRawUnsafe(
+    `SELECT s.kind, s.entityId, c."id" AS chatId, c."title" AS chatTitle,
+            COALESCE(c."workspaceId", d."workspaceId") AS workspaceId,
+            snippet("SearchIndex", 0, ?, ?, '…', 16) AS snippet,
+            bm25("SearchIndex") AS rank
+     FROM "SearchIndex" AS s
+     LEFT JOIN "Chat" AS c ON s.kind <> 'document' AND c."id" = s.chatId
+     LEFT JOIN "Document" AS d ON s.kind = 'document' AND d."id" = s.entityId
+     JOIN "WorkspaceMember" AS m
+       ON m."workspaceId" = COALESCE(c."workspaceId", d."workspaceId")
+      AND m."userId" = ?
+     WHERE "SearchIndex" MATCH ?
+       AND s.kind IN (${kinds.map(() => "?").join(", ")})
+     ORDER BY rank
+     LIMIT ? OFFSET ?`,
+    MATCH_START,
+    MATCH_END,
+    userId,
+    match,
+    ...kinds,
+    limit,
+    offset
+  );
+
+  return rows.map((row) => ({
+    type: row.kind,
+    id: row.entityId,
+    chatId: row.chatId,
+    chatTitle: row.chatTitle,
+    workspaceId: row.workspaceId,
+    snippet: toHighlightedHtml(row.snippet),
+    // bm25 is lower-is-better; flip it so a higher score means a better match
+    score: -Number(row.rank),
+  }));
+};
+
+module.exports = {
+  SEARCHABLE_KINDS: SOURCES.map((source) => source.kind),
+  ensureSearchIndex,
+  search,
+};
@@ -0,0 +1,39 @@
+// services/storage/index.js
+//
+// Stores uploaded files behind a small adapter interface so the backing store can
+// be swapped through STORAGE_DRIVER:
+//   "local" (default) - files on disk under STORAGE_LOCAL_DIR
+//   "s3"              - any S3-compatible bucket (AWS, MinIO, ...)
+//
+// Every adapter implements:
+//   put(key, buffer, { contentType }) -> Promise<void>
+//   get(key)                          -> Promise<Buffer>
+//   createReadStream(key)             -> Promise<stream.Readable>
+//   remove(key)                       -> Promise<void>, no error if the key is missing
+const createLocalStorage = require("./localStorage");
+
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || "local";
+
+  if (driver === "local") {
+    return createLocalStorage({
+      rootDir: process.env.STORAGE_LOCAL_DIR || "uploads",
+    });
+  }
+
+  if (driver === "s3") {
+    // Loaded lazily so the AWS SDK is only required when it is actually used.
+    const createS3Storage = require("./s3Storage");
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+};
+
+module.exports = createStorage();
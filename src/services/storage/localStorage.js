@@ -0,0 +1,38 @@
+// services/storage/localStorage.js
+const fs = require("fs");
+const path = require("path");
+
+const createLocalStorage = ({ rootDir }) => {
+  const root = path.resolve(rootDir);
+
+  // Keys are generated by the server, but never let one escape the storage root.
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    get: async (key) => fs.promises.readFile(resolveKey(key)),
+
+    createReadStream: async (key) => {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,61 @@
+// services/storage/s3Storage.js
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+const createS3Storage = ({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+}) => {
+  if (!bucket) {
+    throw new Error("S3_BUCKET must be set when STORAGE_DRIVER is s3");
+  }
+
+  const client = new S3Client({
+    region,
+    // Self-hosted S3-compatible servers such as MinIO need path-style URLs.
+    ...(endpoint && { endpoint, forcePathStyle: true }),
+    ...(accessKeyId && {
+      credentials: { accessKeyId, secretAccessKey },
+    }),
+  });
+
+  const getObjectBody = async (key) => {
+    const response = await client.send(
+      new GetObjectCommand({ Bucket: bucket, Key: key })
+    );
+    return response.Body;
+  };
+
+  return {
+    put: async (key, buffer, { contentType } = {}) => {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+        })
+      );
+    },
+
+    get: async (key) => {
+      const body = await getObjectBody(key);
+      return Buffer.from(await body.transformToByteArray());
+    },
+
+    createReadStream: getObjectBody,
+
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+module.exports = createS3Storage;
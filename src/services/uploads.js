@@ -0,0 +1,215 @@
+// services/uploads.js
+//
+// Turns the files of a document upload into the documents to index. Zip archives
+// are expanded into their entries, and every file is checked against the types
+// the AI service can index by its content, not the name or MIME type the client
+// claims for it.
+const path = require("path");
+const AdmZip = require("adm-zip");
+
+const MAX_FILE_SIZE = 15000000; // 15MB, per file and per archive entry
+const MAX_FILES = 20;
+const MAX_ARCHIVE_ENTRIES = 100;
+const MAX_ARCHIVE_SIZE = 100000000; // 100MB of expanded entries per archive
+
+const DOCX_TYPE =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+// Plain-text formats have no signature; they are recognised by their extension
+// and must decode as UTF-8.
+const TEXT_TYPES = {
+  ".txt": "text/plain",
+  ".md": "text/markdown",
+  ".markdown": "text/markdown",
+  ".csv": "text/csv",
+};
+
+const startsWith = (buffer, signature) =>
+  buffer.subarray(0, signature.length).equals(Buffer.from(signature));
+
+const isZip = (buffer) =>
+  startsWith(buffer, "PK\x03\x04") || startsWith(buffer, "PK\x05\x06");
+
+const openZip = (buffer) => {
+  try {
+    return new AdmZip(buffer);
+  } catch (error) {
+    return null;
+  }
+};
+
+const isUtf8Text = (buffer) => {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * The supported type of a file's content, as `{ mimeType, extension }`, or null
+ * when the AI service cannot index it. Zip archives other than Word documents are
+ * not a document type; see expandUploads().
+ */
+const detectFileType = (buffer, fileName) => {
+  if (startsWith(buffer, "%PDF-")) {
+    return { mimeType: "application/pdf", extension: ".pdf" };
+  }
+
+  if (isZip(buffer)) {
+    const zip = openZip(buffer);
+    const isDocx =
+      zip?.getEntry("[Content_Types].xml") && zip.getEntry("word/document.xml");
+    return isDocx ? { mimeType: DOCX_TYPE, extension: ".docx" } : null;
+  }
+
+  const extension = path.extname(fileName).toLowerCase();
+  if (TEXT_TYPES[extension] && isUtf8Text(buffer)) {
+    return { mimeType: TEXT_TYPES[extension], extension };
+  }
+  return null;
+};
+
+const rejection = (fileName, code, message, archive) => ({
+  fileName,
+  ...(archive && { archive }),
+  error: { code, message },
+});
+
+// A file or archive entry, checked: `{ fileName, buffer, mimeType, extension }`,
+// or a rejection with an `error`.
+const toCandidate = (fileName, buffer, archive) => {
+  if (buffer.length === 0) {
+    return rejection(fileName, "EMPTY_FILE", "The file is empty.", archive);
+  }
+
+  const type = detectFileType(buffer, fileName);
+  if (!type) {
+    return rejection(
+      fileName,
+      "UNSUPPORTED_FILE_TYPE",
+      "Only PDF, Word (.docx), text, Markdown and CSV files are supported.",
+      archive
+    );
+  }
+  return { fileName, ...(archive && { archive }), buffer, ...type };
+};
+
+// Entries that archivers add for themselves, which are skipped without a result.
+const isArchiveMetadata = (entryName) =>
+  entryName.startsWith("__MACOSX/") ||
+  path.posix.basename(entryName).startsWith(".");
+
+// The candidates in a zip archive. Nested archives are not expanded, and limits on
+// the entries guard against archives that expand far beyond their upload size.
+const expandArchive = (fileName, zip) => {
+  const entries = zip
+    .getEntries()
+    .filter(
+      (entry) => !entry.isDirectory && !isArchiveMetadata(entry.entryName)
+    );
+
+  if (entries.length === 0) {
+    return [rejection(fileName, "EMPTY_ARCHIVE", "The archive has no files.")];
+  }
+  if (entries.length > MAX_ARCHIVE_ENTRIES) {
+    return [
+      rejection(
+        fileName,
+        "ARCHIVE_TOO_LARGE",
+        `An archive can hold at most ${MAX_ARCHIVE_ENTRIES} files.`
+      ),
+    ];
+  }
+
+  const candidates = [];
+  let expandedSize = 0;
+  for (const entry of entries) {
+    const entryName = entry.entryName;
+
+    if (entry.header.encrypted) {
+      candidates.push(
+        rejection(
+          entryName,
+          "ENCRYPTED_FILE",
+          "Encrypted archive entries are not supported.",
+          fileName
+        )
+      );
+      continue;
+    }
+    if (entry.header.size > MAX_FILE_SIZE) {
+      candidates.push(
+        rejection(
+          entryName,
+          "FILE_TOO_LARGE",
+          "The file is too large.",
+          fileName
+        )
+      );
+      continue;
+    }
+
+    expandedSize += entry.header.size;
+    if (expandedSize > MAX_ARCHIVE_SIZE) {
+      return [
+        rejection(
+          fileName,
+          "ARCHIVE_TOO_LARGE",
+          "The archive expands to more than the allowed size."
+        ),
+      ];
+    }
+
+    let buffer;
+    try {
+      buffer = entry.getData();
+    } catch (error) {
+      candidates.push(
+        rejection(
+          entryName,
+          "INVALID_ARCHIVE",
+          "The file could not be extracted.",
+          fileName
+        )
+      );
+      continue;
+    }
+    candidates.push(toCandidate(entryName, buffer, fileName));
+  }
+  return candidates;
+};
+
+/**
+ * Expands uploaded files (multer files with buffers) into the documents they
+ * contain, in upload order. Each item is either `{ fileName, archive?, buffer,
+ * mimeType, extension }` or `{ fileName, archive?, error: { code, message } }`;
+ * `archive` names the zip a file came from.
+ */
+const expandUploads = (files) =>
+  files.flatMap((file) => {
+    const fileName = file.originalname;
+
+    if (isZip(file.buffer) && !detectFileType(file.buffer, fileName)) {
+      const zip = openZip(file.buffer);
+      return zip
+        ? expandArchive(fileName, zip)
+        : [
+            rejection(
+              fileName,
+              "INVALID_ARCHIVE",
+              "The archive could not be read."
+            ),
+          ];
+    }
+    return [toCandidate(fileName, file.buffer)];
+  });
+
+module.exports = {
+  MAX_FILE_SIZE,
+  MAX_FILES,
+  detectFileType,
+  expandUploads,
+};
@@ -0,0 +1,86 @@
+// services/usage.js
+const prisma = require("../../lib/prisma");
+
+const DEFAULT_DAILY_TOKENS =
+  parseInt(process.env.QUOTA_DAILY_TOKENS, 10) || 100000;
+const DEFAULT_MONTHLY_TOKENS =
+  parseInt(process.env.QUOTA_MONTHLY_TOKENS, 10) || 2000000;
+
+// Budgets reset at midnight UTC and on the first day of each month (UTC).
+const getPeriodBounds = (now = new Date()) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const day = now.getUTCDate();
+
+  return {
+    daily: {
+      start: new Date(Date.UTC(year, month, day)),
+      resetAt: new Date(Date.UTC(year, month, day + 1)),
+    },
+    monthly: {
+      start: new Date(Date.UTC(year, month, 1)),
+      resetAt: new Date(Date.UTC(year, month + 1, 1)),
+    },
+  };
+};
+
+/**
+ * Adds an entry to the usage ledger. `feature` is "answer", "chart" or "summary".
+ */
+const recordUsage = async ({ userId, chatId, feature, tokensUsed }) => {
+  if (!tokensUsed) return;
+
+  await prisma.usageEvent.create({
+    data: { userId, chatId, feature, tokensUsed },
+  });
+};
+
+const sumTokensSince = async (userId, since) => {
+  const { _sum } = await prisma.usageEvent.aggregate({
+    where: { userId, createdAt: { gte: since } },
+    _sum: { tokensUsed: true },
+  });
+  return _sum.tokensUsed || 0;
+};
+
+/**
+ * Returns the user's daily and monthly token allowance:
+ *   { daily: { limit, used, remaining, resetAt }, monthly: { ... } }
+ */
+const getQuota = async (userId) => {
+  const bounds = getPeriodBounds();
+
+  const [user, usedToday, usedThisMonth] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: { dailyTokenLimit: true, monthlyTokenLimit: true },
+    }),
+    sumTokensSince(userId, bounds.daily.start),
+    sumTokensSince(userId, bounds.monthly.start),
+  ]);
+
+  const describe = (limit, used, resetAt) => ({
+    limit,
+    used,
+    remaining: Math.max(0, limit - used),
+    resetAt,
+  });
+
+  return {
+    daily: describe(
+      user?.dailyTokenLimit ?? DEFAULT_DAILY_TOKENS,
+      usedToday,
+      bounds.daily.resetAt
+    ),
+    monthly: describe(
+      user?.monthlyTokenLimit ?? DEFAULT_MONTHLY_TOKENS,
+      usedThisMonth,
+      bounds.monthly.resetAt
+    ),
+  };
+};
+
+module.exports = {
+  recordUsage,
+  getQuota,
+};
@@ -0,0 +1,252 @@
+// services/webSources.js
+//
+// Fetches the web pages added to chats as sources and extracts their readable text.
+// Pages are only fetched from public addresses: every host a fetch connects to,
+// redirects included, is resolved and checked against private, loopback and
+// link-local ranges, and the connection goes to the address that was checked.
+const dns = require("dns");
+const net = require("net");
+const path = require("path");
+const axios = require("axios");
+const cheerio = require("cheerio");
+const { MAX_FILE_SIZE, detectFileType } = require("./uploads");
+const { AppError, badRequest } = require("../../utils/errors");
+
+const FETCH_TIMEOUT_MS =
+  parseInt(process.env.SOURCE_FETCH_TIMEOUT_MS, 10) || 15000;
+const MAX_REDIRECTS = 5;
+
+// Hosts exempt from the address check, for deployments that index an intranet
+const ALLOWED_HOSTS = (process.env.SOURCE_URL_ALLOWED_HOSTS || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Addresses that are not on the public internet. IPv4-mapped IPv6 addresses are
+// checked against the IPv4 ranges.
+const privateRanges = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  privateRanges.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  privateRanges.addSubnet(network, prefix, "ipv6");
+}
+
+const isPrivateAddress = (address) =>
+  privateRanges.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+const urlNotAllowed = () =>
+  badRequest(
+    "URL_NOT_ALLOWED",
+    "The URL must point to a public web page over http or https."
+  );
+
+const isAllowedHost = (hostname) => ALLOWED_HOSTS.includes(hostname);
+
+// A dns.lookup() that fails for host names resolving to a private address
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (
+      !isAllowedHost(hostname.toLowerCase()) &&
+      addresses.some(({ address }) => isPrivateAddress(address))
+    ) {
+      return callback(urlNotAllowed());
+    }
+    options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Rejects URLs that can be refused before connecting: other schemes, and hosts
+// given as private IP addresses, which are never looked up.
+const checkUrl = (url) => {
+  if (!["http:", "https:"].includes(url.protocol)) throw urlNotAllowed();
+  if (url.username || url.password) throw urlNotAllowed();
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  if (isAllowedHost(hostname)) return;
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) throw urlNotAllowed();
+};
+
+const fetchFailed = (message) =>
+  new AppError(502, "SOURCE_FETCH_FAILED", message);
+
+// GETs `url`, following redirects through checkUrl(). Resolves to the response and
+// the URL it finally came from.
+const fetchPage = async (startUrl) => {
+  let url = new URL(startUrl);
+
+  for (let redirects = 0; ; redirects += 1) {
+    checkUrl(url);
+
+    let response;
+    try {
+      response = await axios.get(url.href, {
+        responseType: "arraybuffer",
+        timeout: FETCH_TIMEOUT_MS,
+        maxContentLength: MAX_FILE_SIZE,
+        maxRedirects: 0,
+        proxy: false,
+        lookup: publicLookup,
+        headers: {
+          Accept: "text/html, text/plain, application/pdf;q=0.9, */*;q=0.5",
+        },
+        validateStatus: (status) => status < 400,
+      });
+    } catch (error) {
+      if (error.cause instanceof AppError) throw error.cause;
+      if (error.message?.includes("maxContentLength")) {
+        throw new AppError(
+          413,
+          "SOURCE_TOO_LARGE",
+          "The page is larger than the allowed file size."
+        );
+      }
+      throw fetchFailed(
+        error.response
+          ? `The page could not be fetched (HTTP ${error.response.status}).`
+          : "The page could not be reached."
+      );
+    }
+
+    if (response.status < 300) {
+      return { response, url };
+    }
+    if (!response.headers.location) {
+      throw fetchFailed(
+        `The page could not be fetched (HTTP ${response.status}).`
+      );
+    }
+    if (redirects >= MAX_REDIRECTS) {
+      throw fetchFailed("The page redirects too many times.");
+    }
+    url = new URL(response.headers.location, url);
+  }
+};
+
+// Elements that are page furniture rather than content
+const NON_CONTENT =
+  "script, style, noscript, template, iframe, svg, canvas, form, nav, header, footer, aside";
+
+// Elements whose end is a line break in the extracted text
+const BLOCKS =
+  "p, div, section, article, li, dt, dd, tr, br, pre, blockquote, h1, h2, h3, h4, h5, h6";
+
+/**
+ * The readable text of an HTML page, as `{ title, text }`: the page's main content
+ * without scripts, navigation and other page furniture, one paragraph per line.
+ */
+const extractReadableText = (html) => {
+  const $ = cheerio.load(html);
+  $(NON_CONTENT).remove();
+
+  const title = ($("title").first().text() || $("h1").first().text())
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 200);
+
+  const root = [$("article"), $("main"), $("body")].find(
+    (candidate) => candidate.length > 0
+  );
+  if (!root) return { title, text: "" };
+
+  root.first().find(BLOCKS).after("\n");
+  const text = root
+    .first()
+    .text()
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+  return { title, text };
+};
+
+const safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const HTML_TYPES = ["text/html", "application/xhtml+xml"];
+
+// Extensions for text responses whose URL does not end in one
+const TEXT_EXTENSIONS = {
+  "text/plain": ".txt",
+  "text/markdown": ".md",
+  "text/csv": ".csv",
+};
+
+/**
+ * Fetches a web page for indexing. Resolves to a document like those of
+ * expandUploads() (`{ fileName, buffer, mimeType, extension }`), plus `sourceUrl`:
+ * HTML pages become their readable text, and files of a supported type are kept
+ * as they are.
+ */
+const fetchUrlSource = async (sourceUrl) => {
+  const { response, url } = await fetchPage(sourceUrl);
+  const buffer = Buffer.from(response.data);
+  const contentType = String(response.headers["content-type"] || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+
+  if (HTML_TYPES.includes(contentType)) {
+    const { title, text } = extractReadableText(buffer.toString("utf8"));
+    if (!text) {
+      throw new AppError(
+        422,
+        "NO_READABLE_CONTENT",
+        "No readable text was found on the page."
+      );
+    }
+    return {
+      fileName: `${title || url.hostname}.txt`,
+      buffer: Buffer.from(text),
+      mimeType: "text/plain",
+      extension: ".txt",
+      sourceUrl: url.href,
+    };
+  }
+
+  let fileName = safeDecode(path.posix.basename(url.pathname)) || url.hostname;
+  if (TEXT_EXTENSIONS[contentType] && !path.extname(fileName)) {
+    fileName += TEXT_EXTENSIONS[contentType];
+  }
+  const type = buffer.length > 0 && detectFileType(buffer, fileName);
+  if (!type) {
+    throw new AppError(
+      415,
+      "UNSUPPORTED_FILE_TYPE",
+      "The page is not HTML, PDF, Word (.docx), text, Markdown or CSV."
+    );
+  }
+  return { fileName, buffer, ...type, sourceUrl: url.href };
+};
+
+module.exports = {
+  extractReadableText,
+  fetchUrlSource,
+};
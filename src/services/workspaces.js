@@ -0,0 +1,40 @@
+// services/workspaces.js
+const prisma = require("../../lib/prisma");
+const { authorizeWorkspace } = require("./authorization");
+
+// Nested `memberships` create for a new user: a personal workspace they own.
+const personalMembership = (username) => ({
+  role: "owner",
+  workspace: { create: { name: `${username}'s workspace`, personal: true } },
+});
+
+// The user's personal workspace, created if the account somehow has none.
+const getPersonalWorkspace = async (user) => {
+  const workspace = await prisma.workspace.findFirst({
+    where: {
+      personal: true,
+      members: { some: { userId: user.id, role: "owner" } },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+  if (workspace) return workspace;
+
+  const membership = await prisma.workspaceMember.create({
+    data: { userId: user.id, ...personalMembership(user.username) },
+    include: { workspace: true },
+  });
+  return membership.workspace;
+};
+
+// Where new content goes: the requested workspace, which needs the editor role, or
+// the user's personal workspace.
+const resolveTargetWorkspace = async (user, workspaceId) =>
+  workspaceId
+    ? authorizeWorkspace(user.id, workspaceId, "editor")
+    : getPersonalWorkspace(user);
+
+module.exports = {
+  personalMembership,
+  getPersonalWorkspace,
+  resolveTargetWorkspace,
+};
@@ -0,0 +1,54 @@
+// validators/auth.js
+const { z } = require("zod");
+const { idParams } = require("./common");
+
+// Stored and looked up in one form, so an address matches however it is typed
+const email = z
+  .string()
+  .trim()
+  .toLowerCase()
+  .email("Must be a valid email address.");
+
+const password = z
+  .string()
+  .min(8, "Password must be at least 8 characters long.")
+  .max(128, "Password must be at most 128 characters long.")
+  .regex(/[A-Za-z]/, "Password must contain a letter.")
+  .regex(/[0-9]/, "Password must contain a number.");
+
+const token = z.string().min(1, "Token is required.");
+
+const signupSchema = z.object({
+  username: z
+    .string()
+    .trim()
+    .min(3, "Username must be at least 3 characters long.")
+    .max(32, "Username must be at most 32 characters long.")
+    .regex(
+      /^[A-Za-z0-9_.-]+$/,
+      "Username may only contain letters, numbers, dots, dashes and underscores."
+    ),
+  email,
+  password,
+});
+
+// Sign-in does not re-check password strength, so older accounts can still sign in.
+const signinSchema = z.object({
+  email,
+  password: z.string().min(1, "Password is required."),
+});
+
+const forgotPasswordSchema = z.object({ email });
+
+const resetPasswordSchema = z.object({ token, password });
+
+const verifyEmailSchema = z.object({ token });
+
+module.exports = {
+  signupSchema,
+  signinSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  sessionParams: idParams,
+};
@@ -0,0 +1,84 @@
+// validators/charts.js
+const { z } = require("zod");
+const { id, idParams, pageQuery } = require("./common");
+
+const prompt = z
+  .string()
+  .trim()
+  .min(1, "A prompt is required.")
+  .max(4000, "Prompt must be at most 4000 characters long.");
+
+const chartType = z.string().trim().min(1, "A chart type is required.").max(50);
+
+const label = z.string().trim().min(1).max(200);
+
+const createChartSchema = z.object({
+  chatId: id,
+  prompt,
+  chartType,
+  label: label.optional(),
+});
+
+// Manual edits; `data` and `config` replace the stored objects as a whole.
+const updateChartSchema = z
+  .object({
+    label: label.optional(),
+    data: z.record(z.unknown()).optional(),
+    config: z.record(z.unknown()).optional(),
+  })
+  .refine(
+    (body) => Object.values(body).some((value) => value !== undefined),
+    "Provide a label, data or config to change."
+  );
+
+// Without a prompt or type, the chart is regenerated from its current ones.
+const regenerateChartSchema = z.object({
+  prompt: prompt.optional(),
+  chartType: chartType.optional(),
+});
+
+const version = z.coerce.number().int().min(1);
+
+const versionParams = z.object({ id, version });
+
+const versionDiffQuery = z.object({
+  from: version,
+  to: version.optional(),
+});
+
+const imageSize = (min, max, fallback) =>
+  z.coerce.number().int().min(min).max(max).default(fallback);
+
+const chartImageQuery = z.object({
+  format: z.enum(["svg", "png"]).default("png"),
+  width: imageSize(200, 4000, 800),
+  height: imageSize(150, 4000, 500),
+});
+
+// Filters and sort order for GET /api/charts
+const chartListQuery = pageQuery()
+  .extend({
+    chatId: id.optional(),
+    type: z.string().trim().min(1).max(50).optional(),
+    status: z.enum(["pending", "ready", "failed"]).optional(),
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+    sort: z.enum(["createdAt", "label"]).default("createdAt"),
+    order: z.enum(["asc", "desc"]).optional(),
+  })
+  .transform((query) => ({
+    ...query,
+    order: query.order || (query.sort === "label" ? "asc" : "desc"),
+  }));
+
+module.exports = {
+  chartIdParams: idParams,
+  chartChatParams: z.object({ chatId: id }),
+  createChartSchema,
+  chartListQuery,
+  updateChartSchema,
+  regenerateChartSchema,
+  versionParams,
+  versionDiffQuery,
+  chartImageQuery,
+};
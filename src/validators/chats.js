@@ -0,0 +1,140 @@
+// validators/chats.js
+const { z } = require("zod");
+const { id, idParams, booleanString, pageQuery } = require("./common");
+const { EXPORT_FORMAT, EXPORT_VERSION } = require("../services/chatExport");
+
+const title = z
+  .string()
+  .trim()
+  .min(1, "A title is required for the chat.")
+  .max(200, "Title must be at most 200 characters long.");
+
+const chatParams = z.object({ chatId: id });
+
+// Chats go to the user's personal workspace unless another one is given.
+const createChatSchema = z.object({ title, workspaceId: id.optional() });
+
+const updateTitleSchema = z.object({ title });
+
+const messageText = z
+  .string()
+  .trim()
+  .min(1, "Message text cannot be empty.")
+  .max(20000, "Message text must be at most 20000 characters long.");
+
+const addMessageSchema = z.object({
+  text: messageText,
+  shouldRenameChat: z.boolean().optional(),
+  stream: z.boolean().optional(),
+});
+
+// "truncate" drops the messages after the edited one; "branch" keeps them and
+// continues in a new chat.
+const editMessageSchema = z.object({
+  text: messageText,
+  mode: z.enum(["truncate", "branch"]).default("truncate"),
+  stream: z.boolean().optional(),
+});
+
+const regenerateAnswerSchema = z.object({
+  stream: z.boolean().optional(),
+});
+
+const messageParams = z.object({ chatId: id, messageId: id });
+
+// How much history goes with each question. A null token budget means only the
+// message count applies.
+const chatSettingsSchema = z
+  .object({
+    historyMessages: z.number().int().min(0).max(50).optional(),
+    historyTokenBudget: z
+      .number()
+      .int()
+      .min(100)
+      .max(100000)
+      .nullable()
+      .optional(),
+    summarizeHistory: z.boolean().optional(),
+    resetSummary: z.boolean().optional(),
+  })
+  .refine(
+    (body) => Object.values(body).some((value) => value !== undefined),
+    "Provide at least one setting to change."
+  );
+
+// Filters and sort order for GET /api/chats. Titles sort A-Z by default, dates
+// newest first.
+const chatListQuery = pageQuery()
+  .extend({
+    workspaceId: id.optional(),
+    q: z.string().trim().min(1).max(200).optional(),
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+    hasDocuments: booleanString.optional(),
+    sort: z.enum(["updatedAt", "createdAt", "title"]).default("updatedAt"),
+    order: z.enum(["asc", "desc"]).optional(),
+  })
+  .transform((query) => ({
+    ...query,
+    order: query.order || (query.sort === "title" ? "asc" : "desc"),
+  }));
+
+const messageListQuery = pageQuery(30);
+
+const documentQuery = z.object({
+  status: z.enum(["pending", "processing", "ready", "failed"]).optional(),
+});
+
+const exportQuery = z.object({
+  format: z.enum(["json", "md", "pdf"]).default("json"),
+});
+
+// The JSON produced by GET /api/chats/:id/export. Documents are listed for
+// reference only; their files are not part of the export.
+const importChatSchema = z.object({
+  workspaceId: id.optional(),
+  format: z.literal(EXPORT_FORMAT),
+  version: z.literal(EXPORT_VERSION),
+  chat: z.object({ title }),
+  messages: z
+    .array(
+      z.object({
+        sender: z.enum(["user", "assistant"]),
+        text: z.string().min(1).max(100000),
+        timestamp: z.coerce.date(),
+      })
+    )
+    .max(10000),
+  documents: z.array(z.unknown()).default([]),
+  charts: z
+    .array(
+      z.object({
+        type: z.string().trim().min(1).max(50),
+        label: z.string().trim().min(1).max(200),
+        createdFrom: z.string().max(4000),
+        status: z.enum(["pending", "ready", "failed"]).default("ready"),
+        data: z.unknown(),
+        config: z.unknown().optional(),
+        createdAt: z.coerce.date(),
+      })
+    )
+    .max(500)
+    .default([]),
+});
+
+module.exports = {
+  chatIdParams: idParams,
+  chatParams,
+  createChatSchema,
+  updateTitleSchema,
+  addMessageSchema,
+  editMessageSchema,
+  regenerateAnswerSchema,
+  messageParams,
+  chatSettingsSchema,
+  chatListQuery,
+  messageListQuery,
+  documentQuery,
+  exportQuery,
+  importChatSchema,
+};
@@ -0,0 +1,26 @@
+// validators/common.js
+const { z } = require("zod");
+
+const id = z.string().uuid("Must be a valid id.");
+
+// Params schema for routes with a single `:id`
+const idParams = z.object({ id });
+
+// Query-string booleans: "true" or "false"
+const booleanString = z
+  .enum(["true", "false"])
+  .transform((value) => value === "true");
+
+// `limit` and `cursor` for endpoints paginated with utils/pagination.js
+const pageQuery = (defaultLimit = 20) =>
+  z.object({
+    limit: z.coerce.number().int().min(1).max(100).default(defaultLimit),
+    cursor: z.string().max(1000).optional(),
+  });
+
+module.exports = {
+  id,
+  idParams,
+  booleanString,
+  pageQuery,
+};
@@ -0,0 +1,110 @@
+// validators/dashboards.js
+const { z } = require("zod");
+const { id, idParams, pageQuery } = require("./common");
+
+// Dashboards are laid out on a grid this many columns wide.
+const GRID_COLUMNS = 12;
+
+const title = z
+  .string()
+  .trim()
+  .min(1, "A title is required for the dashboard.")
+  .max(200, "Title must be at most 200 characters long.");
+
+const description = z
+  .string()
+  .trim()
+  .max(2000, "Description must be at most 2000 characters long.");
+
+const width = z.number().int().min(1).max(GRID_COLUMNS);
+
+const height = z.number().int().min(1).max(24);
+
+const tile = z
+  .object({
+    chartId: id,
+    x: z
+      .number()
+      .int()
+      .min(0)
+      .max(GRID_COLUMNS - 1),
+    y: z.number().int().min(0).max(1000),
+    width,
+    height,
+  })
+  .refine((tile) => tile.x + tile.width <= GRID_COLUMNS, {
+    message: `Tiles must fit within the ${GRID_COLUMNS} grid columns.`,
+    path: ["width"],
+  });
+
+const overlaps = (a, b) =>
+  a.x < b.x + b.width &&
+  b.x < a.x + a.width &&
+  a.y < b.y + b.height &&
+  b.y < a.y + a.height;
+
+// The full layout, in display order. Tiles may not cover each other.
+const tiles = z
+  .array(tile)
+  .max(50, "A dashboard can hold at most 50 tiles.")
+  .superRefine((tiles, ctx) => {
+    tiles.forEach((tile, i) => {
+      const other = tiles.findIndex((b, j) => j < i && overlaps(tile, b));
+      if (other !== -1) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: `Tile ${i} overlaps tile ${other}.`,
+          path: [i],
+        });
+      }
+    });
+  });
+
+// Dashboards go to the user's personal workspace unless another one is given.
+const createDashboardSchema = z.object({
+  title,
+  description: description.optional(),
+  workspaceId: id.optional(),
+  tiles: tiles.default([]),
+});
+
+// `tiles`, when given, replaces the whole layout; a null description clears it.
+const updateDashboardSchema = z
+  .object({
+    title: title.optional(),
+    description: description.nullable().optional(),
+    tiles: tiles.optional(),
+  })
+  .refine(
+    (body) => Object.values(body).some((value) => value !== undefined),
+    "Provide a title, description or tiles to change."
+  );
+
+// A single chart added below the existing tiles
+const addTileSchema = z.object({
+  chartId: id,
+  width: width.default(6),
+  height: height.default(4),
+});
+
+const tileParams = z.object({ id, tileId: id });
+
+const dashboardListQuery = pageQuery()
+  .extend({
+    workspaceId: id.optional(),
+    sort: z.enum(["updatedAt", "createdAt", "title"]).default("updatedAt"),
+    order: z.enum(["asc", "desc"]).optional(),
+  })
+  .transform((query) => ({
+    ...query,
+    order: query.order || (query.sort === "title" ? "asc" : "desc"),
+  }));
+
+module.exports = {
+  dashboardIdParams: idParams,
+  createDashboardSchema,
+  updateDashboardSchema,
+  addTileSchema,
+  tileParams,
+  dashboardListQuery,
+};
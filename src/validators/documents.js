@@ -0,0 +1,68 @@
+// validators/documents.js
+const { z } = require("zod");
+const { id, idParams, pageQuery } = require("./common");
+
+const status = z.enum(["pending", "processing", "ready", "failed"]);
+
+const count = z.number().int().nonnegative().nullable().optional();
+
+// Filters for the document library, GET /api/documents
+const documentListQuery = pageQuery().extend({
+  workspaceId: id.optional(),
+  status: status.optional(),
+  sourceType: z.enum(["file", "url", "text"]).optional(),
+  q: z.string().trim().min(1).max(200).optional(),
+});
+
+// Form fields of a library upload. Files go to the user's personal workspace
+// unless another one is given.
+const uploadDocumentsSchema = z.object({ workspaceId: id.optional() });
+
+const chatDocumentParams = z.object({ chatId: id, documentId: id });
+
+// Status reports sent by the AI service
+const documentStatusSchema = z.object({
+  status,
+  chunk_count: count,
+  page_count: count,
+  error: z.string().max(2000).optional(),
+});
+
+// Names the document; by default it is named after the page or "Pasted text".
+const sourceTitle = z
+  .string()
+  .trim()
+  .min(1, "The title cannot be empty.")
+  .max(200, "The title must be at most 200 characters long.")
+  .optional();
+
+// Knowledge added to a chat without uploading a file: a web page, or pasted text
+const createSourceSchema = z.discriminatedUnion("type", [
+  z.object({
+    type: z.literal("url"),
+    url: z
+      .string()
+      .trim()
+      .max(2000, "The URL must be at most 2000 characters long.")
+      .url("Must be a valid URL."),
+    title: sourceTitle,
+  }),
+  z.object({
+    type: z.literal("text"),
+    text: z
+      .string()
+      .trim()
+      .min(1, "The text cannot be empty.")
+      .max(1000000, "The text must be at most 1000000 characters long."),
+    title: sourceTitle,
+  }),
+]);
+
+module.exports = {
+  documentIdParams: idParams,
+  documentListQuery,
+  uploadDocumentsSchema,
+  chatDocumentParams,
+  documentStatusSchema,
+  createSourceSchema,
+};
@@ -0,0 +1,23 @@
+// validators/feedback.js
+const { z } = require("zod");
+
+const feedbackSchema = z.object({
+  rating: z.enum(["up", "down"]),
+  comment: z
+    .string()
+    .trim()
+    .max(2000, "Comment must be at most 2000 characters long.")
+    .optional(),
+});
+
+const feedbackExportQuery = z.object({
+  format: z.enum(["json", "csv"]).default("json"),
+  rating: z.enum(["up", "down"]).optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+});
+
+module.exports = {
+  feedbackSchema,
+  feedbackExportQuery,
+};
@@ -0,0 +1,15 @@
+// validators/jobs.js
+const { z } = require("zod");
+const { id, idParams } = require("./common");
+
+const jobQuery = z.object({
+  chatId: id.optional(),
+  documentId: id.optional(),
+  chartId: id.optional(),
+  status: z.enum(["queued", "running", "completed", "failed"]).optional(),
+});
+
+module.exports = {
+  jobIdParams: idParams,
+  jobQuery,
+};
@@ -0,0 +1,21 @@
+// validators/search.js
+const { z } = require("zod");
+const { SEARCHABLE_KINDS } = require("../services/searchIndex");
+
+// `types` is a comma-separated subset of the searchable kinds, e.g. "message,chart".
+const searchQuery = z.object({
+  q: z.string().trim().min(1, "Enter something to search for.").max(200),
+  types: z
+    .string()
+    .optional()
+    .transform((value) =>
+      value ? value.split(",").map((type) => type.trim()) : SEARCHABLE_KINDS
+    )
+    .pipe(z.array(z.enum(SEARCHABLE_KINDS)).min(1)),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+  offset: z.coerce.number().int().min(0).default(0),
+});
+
+module.exports = {
+  searchQuery,
+};
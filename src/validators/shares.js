@@ -0,0 +1,28 @@
+// validators/shares.js
+const { z } = require("zod");
+const { id, idParams } = require("./common");
+
+// A share points at exactly one chat or chart.
+const createShareSchema = z
+  .object({
+    chatId: id.optional(),
+    chartId: id.optional(),
+    expiresAt: z.coerce
+      .date()
+      .refine((date) => date > new Date(), "Expiry must be in the future.")
+      .optional(),
+  })
+  .refine(({ chatId, chartId }) => Boolean(chatId) !== Boolean(chartId), {
+    message: "Provide either a chatId or a chartId.",
+    path: ["chatId"],
+  });
+
+const shareTokenParams = z.object({
+  token: z.string().min(1).max(200),
+});
+
+module.exports = {
+  shareIdParams: idParams,
+  createShareSchema,
+  shareTokenParams,
+};
@@ -0,0 +1,37 @@
+// validators/stats.js
+const { z } = require("zod");
+const { countBuckets } = require("../../utils/dateBuckets");
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_BUCKETS = 400;
+
+const usageQuery = z
+  .object({
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+    granularity: z.enum(["day", "week", "month"]).default("day"),
+  })
+  .transform(({ from, to, granularity }) => {
+    const end = to || new Date();
+    return {
+      from: from || new Date(end.getTime() - 30 * DAY),
+      to: end,
+      granularity,
+    };
+  })
+  .refine(({ from, to }) => from < to, {
+    message: "`from` must be before `to`.",
+    path: ["from"],
+  })
+  .refine(
+    ({ from, to, granularity }) =>
+      countBuckets(from, to, granularity) <= MAX_BUCKETS,
+    {
+      message: `The range is too long for this granularity (at most ${MAX_BUCKETS} buckets).`,
+      path: ["granularity"],
+    }
+  );
+
+module.exports = {
+  usageQuery,
+};
@@ -0,0 +1,43 @@
+// validators/workspaces.js
+const { z } = require("zod");
+const { id, idParams } = require("./common");
+const { ROLES } = require("../services/authorization");
+
+const name = z
+  .string()
+  .trim()
+  .min(1, "A workspace name is required.")
+  .max(100, "Name must be at most 100 characters long.");
+
+const role = z.enum(ROLES);
+
+const workspaceSchema = z.object({ name });
+
+const memberParams = z.object({ id, userId: id });
+
+const updateMemberSchema = z.object({ role });
+
+const invitationParams = z.object({ id, invitationId: id });
+
+const createInvitationSchema = z.object({
+  email: z
+    .string()
+    .trim()
+    .toLowerCase()
+    .email("Must be a valid email address."),
+  role: role.default("editor"),
+});
+
+const acceptInvitationSchema = z.object({
+  token: z.string().min(1, "An invitation token is required.").max(200),
+});
+
+module.exports = {
+  workspaceIdParams: idParams,
+  workspaceSchema,
+  memberParams,
+  updateMemberSchema,
+  invitationParams,
+  createInvitationSchema,
+  acceptInvitationSchema,
+};
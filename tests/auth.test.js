@@ -0,0 +1,326 @@
+const crypto = require("crypto");
+const { app, request, signUp, readMail, tokenFromMail } = require("./helpers");
+
+// The raw "name=value" of a cookie set by a response
+const cookieFrom = (res, name) =>
+  res.headers["set-cookie"]
+    .find((cookie) => cookie.startsWith(`${name}=`))
+    .split(";")[0];
+
+describe("POST /api/auth/signup", () => {
+  it("creates an account and signs it in", async () => {
+    const { agent, user, email } = await signUp();
+
+    expect(user).toMatchObject({ email, emailVerified: false, role: "user" });
+    expect(user).not.toHaveProperty("password");
+
+    const res = await agent.get("/api/auth/me").expect(200);
+    expect(res.body.user.id).toBe(user.id);
+  });
+
+  it("rejects an email address that is already taken", async () => {
+    const { email } = await signUp();
+
+    const res = await request(app)
+      .post("/api/auth/signup")
+      .send({ username: "someone_else", email, password: "another-pass-1" })
+      .expect(409);
+    expect(res.body.error.code).toBe("USER_EXISTS");
+  });
+
+  it("stores the email address trimmed and in lower case", async () => {
+    const username = `mixed_${crypto.randomUUID().slice(0, 8)}`;
+    const res = await request(app)
+      .post("/api/auth/signup")
+      .send({
+        username,
+        email: ` ${username.toUpperCase()}@Example.COM `,
+        password: "mixed-case-pass-1",
+      })
+      .expect(201);
+    const email = `${username}@example.com`;
+    expect(res.body.user.email).toBe(email);
+
+    await request(app)
+      .post("/api/auth/signin")
+      .send({ email: `${username}@EXAMPLE.com`, password: "mixed-case-pass-1" })
+      .expect(200);
+    await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: email.toUpperCase() })
+      .expect(200);
+    await tokenFromMail(email, /Reset your/);
+  });
+
+  it("rejects a weak password", async () => {
+    const res = await request(app)
+      .post("/api/auth/signup")
+      .send({
+        username: "weak_pw",
+        email: "weak@example.com",
+        password: "short",
+      })
+      .expect(400);
+    expect(res.body.error.code).toBe("VALIDATION_ERROR");
+    expect(res.body.error.details[0]).toMatchObject({
+      location: "body",
+      path: "password",
+    });
+  });
+});
+
+describe("POST /api/auth/signin", () => {
+  it("signs in with the right password", async () => {
+    const { email, password, user } = await signUp();
+    const agent = request.agent(app);
+
+    await agent.post("/api/auth/signin").send({ email, password }).expect(200);
+    const res = await agent.get("/api/auth/me").expect(200);
+    expect(res.body.user.id).toBe(user.id);
+  });
+
+  it("rejects a wrong password", async () => {
+    const { email } = await signUp();
+
+    const res = await request(app)
+      .post("/api/auth/signin")
+      .send({ email, password: "not-the-password-1" })
+      .expect(401);
+    expect(res.body.error.code).toBe("INVALID_CREDENTIALS");
+  });
+});
+
+describe("GET /api/auth/me", () => {
+  it("requires a signed-in user", async () => {
+    const res = await request(app).get("/api/auth/me").expect(401);
+    expect(res.body.error.code).toBe("UNAUTHENTICATED");
+  });
+});
+
+describe("POST /api/auth/refresh", () => {
+  it("rotates the refresh token", async () => {
+    const { agent } = await signUp();
+
+    await agent.post("/api/auth/refresh").expect(200);
+    await agent.post("/api/auth/refresh").expect(200);
+    await agent.get("/api/auth/me").expect(200);
+  });
+
+  it("revokes the session when a rotated token is used again", async () => {
+    const { email, password } = await signUp();
+    const signin = await request(app)
+      .post("/api/auth/signin")
+      .send({ email, password })
+      .expect(200);
+    const oldRefreshToken = cookieFrom(signin, "refreshToken");
+
+    const rotated = await request(app)
+      .post("/api/auth/refresh")
+      .set("Cookie", oldRefreshToken)
+      .expect(200);
+    const refreshed = await request(app)
+      .post("/api/auth/refresh")
+      .set("Cookie", cookieFrom(rotated, "refreshToken"))
+      .expect(200);
+
+    // Two rotations old, the token is past its grace period.
+    const reuse = await request(app)
+      .post("/api/auth/refresh")
+      .set("Cookie", oldRefreshToken)
+      .expect(401);
+    expect(reuse.body.error.code).toBe("SESSION_REVOKED");
+
+    // The legitimate holder of the rotated token is signed out as well.
+    await request(app)
+      .post("/api/auth/refresh")
+      .set("Cookie", cookieFrom(refreshed, "refreshToken"))
+      .expect(401);
+  });
+
+  it("accepts a token another tab has just rotated", async () => {
+    const { email, password } = await signUp();
+    const signin = await request(app)
+      .post("/api/auth/signin")
+      .send({ email, password })
+      .expect(200);
+    const refreshToken = cookieFrom(signin, "refreshToken");
+
+    const responses = await Promise.all(
+      [1, 2].map(() =>
+        request(app)
+          .post("/api/auth/refresh")
+          .set("Cookie", refreshToken)
+          .expect(200)
+      )
+    );
+
+    // Only one of them rotated the token; the other got an access token.
+    const rotated = responses.filter((res) =>
+      res.headers["set-cookie"].some((cookie) =>
+        cookie.startsWith("refreshToken=")
+      )
+    );
+    expect(rotated).toHaveLength(1);
+    await request(app)
+      .get("/api/auth/me")
+      .set("Cookie", cookieFrom(responses[0], "token"))
+      .expect(200);
+    await request(app)
+      .post("/api/auth/refresh")
+      .set("Cookie", cookieFrom(rotated[0], "refreshToken"))
+      .expect(200);
+  });
+
+  it("requires a refresh token", async () => {
+    await request(app).post("/api/auth/refresh").expect(401);
+  });
+});
+
+describe("POST /api/auth/signout", () => {
+  it("ends the session", async () => {
+    const { email, password } = await signUp();
+    const signin = await request(app)
+      .post("/api/auth/signin")
+      .send({ email, password })
+      .expect(200);
+    const cookies = ["token", "refreshToken"]
+      .map((name) => cookieFrom(signin, name))
+      .join("; ");
+
+    await request(app)
+      .post("/api/auth/signout")
+      .set("Cookie", cookies)
+      .expect(200);
+
+    // The tokens stop working even where a copy of them survived.
+    const me = await request(app)
+      .get("/api/auth/me")
+      .set("Cookie", cookies)
+      .expect(401);
+    expect(me.body.error.code).toBe("SESSION_EXPIRED");
+    await request(app)
+      .post("/api/auth/refresh")
+      .set("Cookie", cookies)
+      .expect(401);
+  });
+});
+
+describe("password reset", () => {
+  it("resets the password with the emailed token, once", async () => {
+    const { agent, email } = await signUp();
+
+    await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email })
+      .expect(200);
+    const token = await tokenFromMail(email, /Reset your/);
+
+    const newPassword = "brand-new-pass-7";
+    await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token, password: newPassword })
+      .expect(200);
+
+    // Every session is signed out, and only the new password works.
+    await agent.get("/api/auth/me").expect(401);
+    await request(app)
+      .post("/api/auth/signin")
+      .send({ email, password: newPassword })
+      .expect(200);
+
+    const reuse = await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token, password: "yet-another-pass-8" })
+      .expect(400);
+    expect(reuse.body.error.code).toBe("INVALID_OR_EXPIRED_TOKEN");
+  });
+
+  it("answers the same for unknown addresses", async () => {
+    await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "nobody@example.com" })
+      .expect(200);
+    expect(readMail("nobody@example.com", /./)).toHaveLength(0);
+  });
+});
+
+describe("email verification", () => {
+  it("verifies the address with the emailed token", async () => {
+    const { agent, email } = await signUp();
+    const token = await tokenFromMail(email, /Verify your/);
+
+    await request(app)
+      .post("/api/auth/verify-email")
+      .send({ token })
+      .expect(200);
+
+    const me = await agent.get("/api/auth/me").expect(200);
+    expect(me.body.user.emailVerified).toBe(true);
+
+    const resend = await agent
+      .post("/api/auth/resend-verification")
+      .expect(409);
+    expect(resend.body.error.code).toBe("EMAIL_ALREADY_VERIFIED");
+  });
+
+  it("sends a new verification email on request", async () => {
+    const { agent, email } = await signUp();
+    await tokenFromMail(email, /Verify your/);
+
+    await agent.post("/api/auth/resend-verification").expect(200);
+    expect(readMail(email, /Verify your/)).toHaveLength(2);
+  });
+
+  it("rejects an invalid token", async () => {
+    const res = await request(app)
+      .post("/api/auth/verify-email")
+      .send({ token: "not-a-token" })
+      .expect(400);
+    expect(res.body.error.code).toBe("INVALID_OR_EXPIRED_TOKEN");
+  });
+});
+
+describe("sessions", () => {
+  it("lists and revokes the user's devices", async () => {
+    const { agent, email, password } = await signUp();
+    const otherDevice = request.agent(app);
+    await otherDevice
+      .post("/api/auth/signin")
+      .send({ email, password })
+      .expect(200);
+
+    const { body } = await agent.get("/api/auth/sessions").expect(200);
+    expect(body.sessions).toHaveLength(2);
+    const other = body.sessions.find((session) => !session.current);
+
+    await agent.delete(`/api/auth/sessions/${other.id}`).expect(200);
+    await otherDevice.get("/api/auth/me").expect(401);
+    await agent.get("/api/auth/me").expect(200);
+  });
+
+  it("signs out every other device", async () => {
+    const { agent, email, password } = await signUp();
+    const otherDevice = request.agent(app);
+    await otherDevice
+      .post("/api/auth/signin")
+      .send({ email, password })
+      .expect(200);
+
+    const res = await agent.delete("/api/auth/sessions").expect(200);
+    expect(res.body.revoked).toBe(1);
+    await otherDevice.get("/api/auth/me").expect(401);
+    await agent.get("/api/auth/me").expect(200);
+  });
+
+  it("does not let a user revoke someone else's session", async () => {
+    const alice = await signUp();
+    const bob = await signUp();
+    const { body } = await bob.agent.get("/api/auth/sessions").expect(200);
+
+    const res = await alice.agent
+      .delete(`/api/auth/sessions/${body.sessions[0].id}`)
+      .expect(404);
+    expect(res.body.error.code).toBe("SESSION_NOT_FOUND");
+    await bob.agent.get("/api/auth/me").expect(200);
+  });
+});
@@ -0,0 +1,296 @@
+const {
+  jobQueue,
+  signUp,
+  waitFor,
+  createChat,
+  shareWorkspace,
+  ask,
+  createReadyChart,
+} = require("./helpers");
+
+// Charts are generated by the "generate-chart" job, against the mock AI service.
+beforeAll(() => jobQueue.start());
+afterAll(() => jobQueue.stop());
+
+describe("charts", () => {
+  let user;
+  let chat;
+
+  beforeAll(async () => {
+    user = await signUp();
+    chat = await createChat(user.agent);
+  });
+
+  it("generates a chart from a prompt", async () => {
+    const { body: pending } = await user.agent
+      .post("/api/charts")
+      .send({ chatId: chat.id, prompt: "Sales by region", chartType: "line" })
+      .expect(202);
+    expect(pending).toMatchObject({
+      status: "pending",
+      label: "Sales by region",
+      jobId: expect.any(String),
+    });
+
+    const chart = await waitFor(async () => {
+      const res = await user.agent.get(`/api/charts/${pending.id}`).expect(200);
+      return res.body.status === "ready" && res.body;
+    });
+    expect(chart).toMatchObject({ type: "line", version: 1 });
+    expect(chart.data.labels).toHaveLength(4);
+    expect(chart.data.datasets[0].data).toHaveLength(4);
+    expect(chart.tokensUsed).toBeGreaterThan(0);
+  });
+
+  it("lists the user's charts and a chat's charts", async () => {
+    const chart = await createReadyChart(user.agent, chat.id, {
+      chartType: "pie",
+    });
+
+    const list = await user.agent
+      .get("/api/charts")
+      .query({ type: "pie", status: "ready" })
+      .expect(200);
+    expect(list.body.items.map((item) => item.id)).toEqual([chart.id]);
+
+    const byChat = await user.agent
+      .get(`/api/charts/chat/${chat.id}`)
+      .expect(200);
+    expect(byChat.body.map((item) => item.id)).toContain(chart.id);
+  });
+
+  it("keeps a version for every change and restores old ones", async () => {
+    const chart = await createReadyChart(user.agent, chat.id);
+
+    const { body: edited } = await user.agent
+      .put(`/api/charts/${chart.id}`)
+      .send({ label: "Edited by hand" })
+      .expect(200);
+    expect(edited).toMatchObject({ label: "Edited by hand", version: 2 });
+
+    const { body: versions } = await user.agent
+      .get(`/api/charts/${chart.id}/versions`)
+      .expect(200);
+    expect(versions.map((v) => [v.version, v.source])).toEqual([
+      [2, "edited"],
+      [1, "generated"],
+    ]);
+
+    const { body: first } = await user.agent
+      .get(`/api/charts/${chart.id}/versions/1`)
+      .expect(200);
+    expect(first.label).toBe(chart.label);
+
+    const { body: diff } = await user.agent
+      .get(`/api/charts/${chart.id}/versions/diff`)
+      .query({ from: 1 })
+      .expect(200);
+    expect(diff).toMatchObject({ from: 1, to: 2 });
+    expect(diff.changes).toEqual([
+      {
+        op: "changed",
+        path: "label",
+        from: chart.label,
+        to: "Edited by hand",
+      },
+    ]);
+
+    const { body: restored } = await user.agent
+      .post(`/api/charts/${chart.id}/versions/1/restore`)
+      .expect(200);
+    expect(restored).toMatchObject({ label: chart.label, version: 3 });
+
+    const missing = await user.agent
+      .get(`/api/charts/${chart.id}/versions/99`)
+      .expect(404);
+    expect(missing.body.error.code).toBe("CHART_VERSION_NOT_FOUND");
+  });
+
+  it("regenerates a chart with a new type", async () => {
+    const chart = await createReadyChart(user.agent, chat.id);
+
+    // Paused, so the chart stays pending until both requests are in.
+    jobQueue.stop();
+    const { body } = await user.agent
+      .post(`/api/charts/${chart.id}/regenerate`)
+      .send({ chartType: "scatter" })
+      .expect(202);
+    expect(body.status).toBe("pending");
+
+    // Only one generation runs at a time.
+    const busy = await user.agent
+      .post(`/api/charts/${chart.id}/regenerate`)
+      .send({})
+      .expect(409);
+    expect(busy.body.error.code).toBe("CHART_PENDING");
+    await jobQueue.start();
+
+    const regenerated = await waitFor(async () => {
+      const res = await user.agent.get(`/api/charts/${chart.id}`).expect(200);
+      return res.body.status === "ready" && res.body;
+    });
+    expect(regenerated).toMatchObject({ type: "scatter", version: 2 });
+    expect(regenerated.data.datasets[0].data[0]).toEqual({
+      x: expect.any(Number),
+      y: expect.any(Number),
+    });
+  });
+
+  it("renders the chart as SVG and PNG", async () => {
+    const chart = await createReadyChart(user.agent, chat.id, {
+      label: "Quarterly revenue",
+    });
+
+    const svg = await user.agent
+      .get(`/api/charts/${chart.id}/image`)
+      .query({ format: "svg", width: 400, height: 300 })
+      .expect(200)
+      .expect("Content-Type", /image\/svg\+xml/)
+      .expect("Content-Disposition", /quarterly-revenue\.svg/);
+    expect(svg.body.toString()).toMatch(/^<svg[^>]+width="400"/);
+
+    const png = await user.agent
+      .get(`/api/charts/${chart.id}/image`)
+      .expect(200)
+      .expect("Content-Type", "image/png");
+    expect(png.body.subarray(0, 4).toString("hex")).toBe("89504e47");
+
+    await user.agent
+      .get(`/api/charts/${chart.id}/image`)
+      .query({ width: 10 })
+      .expect(400);
+  });
+
+  it("renders points too close together to step between", async () => {
+    const chart = await createReadyChart(user.agent, chat.id, {
+      chartType: "scatter",
+    });
+    await user.agent
+      .put(`/api/charts/${chart.id}`)
+      .send({
+        data: {
+          datasets: [
+            {
+              label: "Nearly equal",
+              data: [
+                { x: 1e6, y: 1e6 },
+                { x: 1e6 + 1e-10, y: 1e6 + 1e-10 },
+              ],
+            },
+          ],
+        },
+      })
+      .expect(200);
+
+    const svg = await user.agent
+      .get(`/api/charts/${chart.id}/image`)
+      .query({ format: "svg" })
+      .expect(200);
+    expect(svg.body.toString()).toMatch(/^<svg/);
+  });
+
+  it("exports the chart data as CSV", async () => {
+    const chart = await createReadyChart(user.agent, chat.id);
+
+    const res = await user.agent
+      .get(`/api/charts/${chart.id}/data.csv`)
+      .expect(200)
+      .expect("Content-Type", /text\/csv/);
+    const rows = res.text.trim().split(/\r?\n/);
+    expect(rows[0]).toBe(`label,${chart.data.datasets[0].label}`);
+    expect(rows.slice(1).map((row) => row.split(",")[0])).toEqual(
+      chart.data.labels
+    );
+  });
+
+  it("deletes a chart", async () => {
+    const chart = await createReadyChart(user.agent, chat.id);
+
+    await user.agent.delete(`/api/charts/${chart.id}`).expect(200);
+    const res = await user.agent.get(`/api/charts/${chart.id}`).expect(404);
+    expect(res.body.error.code).toBe("CHART_NOT_FOUND");
+  });
+});
+
+describe("authorization", () => {
+  let alice;
+  let bob;
+  let chart;
+
+  beforeAll(async () => {
+    alice = await signUp();
+    bob = await signUp();
+    const chat = await createChat(alice.agent);
+    chart = await createReadyChart(alice.agent, chat.id);
+  });
+
+  it("does not let user B read user A's chart", async () => {
+    const paths = [
+      `/api/charts/${chart.id}`,
+      `/api/charts/${chart.id}/versions`,
+      `/api/charts/${chart.id}/versions/1`,
+      `/api/charts/${chart.id}/versions/diff?from=1`,
+      `/api/charts/${chart.id}/image`,
+      `/api/charts/${chart.id}/data.csv`,
+    ];
+    for (const path of paths) {
+      const res = await bob.agent.get(path).expect(404);
+      expect(res.body.error.code).toBe("CHART_NOT_FOUND");
+    }
+
+    const list = await bob.agent.get("/api/charts").expect(200);
+    expect(list.body.items).toEqual([]);
+    await bob.agent.get(`/api/charts/chat/${chart.chatId}`).expect(404);
+  });
+
+  it("does not let user B change user A's chart", async () => {
+    await bob.agent
+      .put(`/api/charts/${chart.id}`)
+      .send({ label: "Hijacked" })
+      .expect(404);
+    await bob.agent
+      .post(`/api/charts/${chart.id}/regenerate`)
+      .send({})
+      .expect(404);
+    await bob.agent
+      .post(`/api/charts/${chart.id}/versions/1/restore`)
+      .expect(404);
+    await bob.agent.delete(`/api/charts/${chart.id}`).expect(404);
+
+    const { body } = await alice.agent
+      .get(`/api/charts/${chart.id}`)
+      .expect(200);
+    expect(body).toMatchObject({ label: chart.label, version: 1 });
+  });
+
+  it("does not let user B add a chart to user A's chat", async () => {
+    const res = await bob.agent
+      .post("/api/charts")
+      .send({ chatId: chart.chatId, prompt: "Mine", chartType: "bar" })
+      .expect(404);
+    expect(res.body.error.code).toBe("CHAT_NOT_FOUND");
+  });
+
+  it("lets a workspace viewer read but not change charts", async () => {
+    const owner = await signUp();
+    const viewer = await signUp();
+    const workspace = await shareWorkspace(owner, viewer, "viewer");
+    const chat = await createChat(owner.agent, { workspaceId: workspace.id });
+    await ask(owner.agent, chat.id);
+    const shared = await createReadyChart(owner.agent, chat.id);
+
+    await viewer.agent.get(`/api/charts/${shared.id}`).expect(200);
+    await viewer.agent.get(`/api/charts/${shared.id}/data.csv`).expect(200);
+
+    const edit = await viewer.agent
+      .put(`/api/charts/${shared.id}`)
+      .send({ label: "Viewer edit" })
+      .expect(403);
+    expect(edit.body.error.code).toBe("INSUFFICIENT_ROLE");
+    await viewer.agent.delete(`/api/charts/${shared.id}`).expect(403);
+    await viewer.agent
+      .post("/api/charts")
+      .send({ chatId: chat.id, prompt: "Viewer chart", chartType: "bar" })
+      .expect(403);
+  });
+});
@@ -0,0 +1,707 @@
+const http = require("http");
+const AdmZip = require("adm-zip");
+const {
+  app,
+  request,
+  jobQueue,
+  signUp,
+  waitFor,
+  createChat,
+  shareWorkspace,
+  streamAnswer,
+  ask,
+  createReadyChart,
+} = require("./helpers");
+
+// Answers to non-streamed questions and document indexing run as background jobs.
+beforeAll(() => jobQueue.start());
+afterAll(() => jobQueue.stop());
+
+describe("chats", () => {
+  let alice;
+
+  beforeAll(async () => {
+    alice = await signUp();
+  });
+
+  it("creates, lists, renames and deletes a chat", async () => {
+    const chat = await createChat(alice.agent, { title: "Quarterly report" });
+    expect(chat).toMatchObject({
+      title: "Quarterly report",
+      userId: alice.user.id,
+    });
+
+    const list = await alice.agent
+      .get("/api/chats")
+      .query({ q: "Quarterly" })
+      .expect(200);
+    expect(list.body.items.map((item) => item.id)).toContain(chat.id);
+
+    const renamed = await alice.agent
+      .put(`/api/chats/${chat.id}`)
+      .send({ title: "Annual report" })
+      .expect(200);
+    expect(renamed.body.title).toBe("Annual report");
+
+    const fetched = await alice.agent.get(`/api/chats/${chat.id}`).expect(200);
+    expect(fetched.body).toMatchObject({
+      id: chat.id,
+      role: "owner",
+      messages: [],
+    });
+
+    await alice.agent.delete(`/api/chats/${chat.id}`).expect(200);
+    await alice.agent.get(`/api/chats/${chat.id}`).expect(404);
+  });
+
+  it("allows only one empty chat at a time", async () => {
+    const user = await signUp();
+    await createChat(user.agent);
+
+    const res = await user.agent
+      .post("/api/chats")
+      .send({ title: "Another one" })
+      .expect(409);
+    expect(res.body.error.code).toBe("EMPTY_CHAT_EXISTS");
+  });
+
+  it("rejects a duplicate title in the same workspace", async () => {
+    const user = await signUp();
+    const first = await createChat(user.agent, { title: "Taken" });
+    await ask(user.agent, first.id);
+    const second = await createChat(user.agent, { title: "Free" });
+
+    const res = await user.agent
+      .put(`/api/chats/${second.id}`)
+      .send({ title: "Taken" })
+      .expect(409);
+    expect(res.body.error.code).toBe("DUPLICATE_CHAT_TITLE");
+  });
+
+  it("validates the request body", async () => {
+    const res = await alice.agent
+      .post("/api/chats")
+      .send({ title: "" })
+      .expect(400);
+    expect(res.body.error.code).toBe("VALIDATION_ERROR");
+  });
+
+  it("requires a signed-in user", async () => {
+    await request(app).get("/api/chats").expect(401);
+  });
+});
+
+describe("messages", () => {
+  let user;
+  let chat;
+
+  beforeAll(async () => {
+    user = await signUp();
+    chat = await createChat(user.agent);
+  });
+
+  it("answers a question in the background", async () => {
+    const { body: question } = await user.agent
+      .post(`/api/chats/${chat.id}/messages`)
+      .send({ text: "Summarize the findings" })
+      .expect(201);
+    expect(question).toMatchObject({
+      sender: "user",
+      jobId: expect.any(String),
+    });
+
+    const messages = await waitFor(async () => {
+      const res = await user.agent
+        .get(`/api/chats/${chat.id}/messages`)
+        .expect(200);
+      return res.body.items.length === 2 && res.body.items;
+    });
+    expect(messages[1].sender).toBe("assistant");
+    expect(messages[1].text).toMatch(/Summarize the findings/);
+    expect(messages[1].tokensUsed).toBeGreaterThan(0);
+  });
+
+  it("streams an answer as Server-Sent Events", async () => {
+    const { answer } = await ask(user.agent, chat.id, "And the next steps?");
+    expect(answer).toMatchObject({ sender: "assistant", chatId: chat.id });
+    expect(answer.text).toMatch(/And the next steps\?/);
+  });
+
+  it("replays a finished answer to a reconnecting stream", async () => {
+    const { question, answer } = await ask(user.agent, chat.id, "Once more");
+
+    const { event, data } = await streamAnswer(
+      user.agent,
+      chat.id,
+      question.id
+    );
+    expect(event).toBe("done");
+    expect(data.message.id).toBe(answer.id);
+  });
+
+  it("pages through the messages", async () => {
+    const first = await user.agent
+      .get(`/api/chats/${chat.id}/messages`)
+      .query({ limit: 2 })
+      .expect(200);
+    expect(first.body.items).toHaveLength(2);
+    expect(first.body.nextCursor).toBeTruthy();
+
+    const second = await user.agent
+      .get(`/api/chats/${chat.id}/messages`)
+      .query({ limit: 2, cursor: first.body.nextCursor })
+      .expect(200);
+    expect(
+      second.body.items[1].timestamp <= first.body.items[0].timestamp
+    ).toBe(true);
+  });
+
+  it("rejects a cursor whose value does not fit the sort field", async () => {
+    const { body } = await user.agent
+      .get(`/api/chats/${chat.id}/messages`)
+      .query({ limit: 1 })
+      .expect(200);
+    const [sort, order, , id] = JSON.parse(
+      Buffer.from(body.nextCursor, "base64url").toString()
+    );
+
+    for (const value of [{ gt: 1 }, [1, 2], 42]) {
+      const cursor = Buffer.from(
+        JSON.stringify([sort, order, value, id])
+      ).toString("base64url");
+      const res = await user.agent
+        .get(`/api/chats/${chat.id}/messages`)
+        .query({ cursor })
+        .expect(400);
+      expect(res.body.error.code).toBe("INVALID_CURSOR");
+    }
+  });
+
+  it("regenerates only the latest answer", async () => {
+    const { body } = await user.agent
+      .get(`/api/chats/${chat.id}/messages`)
+      .expect(200);
+    const answers = body.items.filter((m) => m.sender === "assistant");
+    const latest = answers[answers.length - 1];
+
+    const stale = await user.agent
+      .post(`/api/chats/${chat.id}/messages/${answers[0].id}/regenerate`)
+      .send({})
+      .expect(409);
+    expect(stale.body.error.code).toBe("NOT_LATEST_ANSWER");
+
+    const { body: question } = await user.agent
+      .post(`/api/chats/${chat.id}/messages/${latest.id}/regenerate`)
+      .send({ stream: true })
+      .expect(202);
+    const { event, data } = await streamAnswer(
+      user.agent,
+      chat.id,
+      question.id
+    );
+    expect(event).toBe("done");
+    expect(data.message.id).not.toBe(latest.id);
+  });
+
+  it("edits a question and drops what followed it", async () => {
+    const { question } = await ask(user.agent, chat.id, "Typo in here");
+    await ask(user.agent, chat.id, "A follow-up");
+
+    const { body: edited } = await user.agent
+      .patch(`/api/chats/${chat.id}/messages/${question.id}`)
+      .send({ text: "No typo in here", stream: true })
+      .expect(200);
+    expect(edited).toMatchObject({ id: question.id, text: "No typo in here" });
+
+    const { body } = await user.agent
+      .get(`/api/chats/${chat.id}/messages`)
+      .expect(200);
+    expect(body.items[body.items.length - 1].id).toBe(question.id);
+    await streamAnswer(user.agent, chat.id, question.id);
+  });
+
+  it("branches into a new chat when editing in branch mode", async () => {
+    const { question } = await ask(user.agent, chat.id, "Branch from here");
+
+    const { body } = await user.agent
+      .patch(`/api/chats/${chat.id}/messages/${question.id}`)
+      .send({ text: "A different question", mode: "branch", stream: true })
+      .expect(201);
+    expect(body.chat.id).not.toBe(chat.id);
+    expect(body.chat.title).toMatch(/branch/);
+
+    const { event } = await streamAnswer(user.agent, body.chat.id, body.id);
+    expect(event).toBe("done");
+  });
+
+  it("rates answers but not questions", async () => {
+    const { question, answer } = await ask(user.agent, chat.id, "Rate me");
+    const feedbackUrl = (id) => `/api/chats/${chat.id}/messages/${id}/feedback`;
+
+    const notAnswer = await user.agent
+      .put(feedbackUrl(question.id))
+      .send({ rating: "up" })
+      .expect(400);
+    expect(notAnswer.body.error.code).toBe("NOT_AN_ANSWER");
+
+    const { body: feedback } = await user.agent
+      .put(feedbackUrl(answer.id))
+      .send({ rating: "down", comment: "Too vague" })
+      .expect(200);
+    expect(feedback).toMatchObject({ rating: "down", comment: "Too vague" });
+
+    await user.agent.delete(feedbackUrl(answer.id)).expect(200);
+    const gone = await user.agent.delete(feedbackUrl(answer.id)).expect(404);
+    expect(gone.body.error.code).toBe("FEEDBACK_NOT_FOUND");
+  });
+});
+
+describe("chat settings", () => {
+  it("reads and updates the history settings", async () => {
+    const user = await signUp();
+    const chat = await createChat(user.agent);
+
+    const { body: defaults } = await user.agent
+      .get(`/api/chats/${chat.id}/settings`)
+      .expect(200);
+    expect(defaults).toMatchObject({
+      historyMessages: 6,
+      historyTokenBudget: null,
+      summarizeHistory: true,
+      summary: null,
+    });
+
+    const { body: updated } = await user.agent
+      .patch(`/api/chats/${chat.id}/settings`)
+      .send({ historyMessages: 10, historyTokenBudget: 2000 })
+      .expect(200);
+    expect(updated).toMatchObject({
+      historyMessages: 10,
+      historyTokenBudget: 2000,
+    });
+
+    await user.agent
+      .patch(`/api/chats/${chat.id}/settings`)
+      .send({})
+      .expect(400);
+  });
+});
+
+describe("documents", () => {
+  it("uploads and indexes a document, and cites it in answers", async () => {
+    const user = await signUp();
+    const chat = await createChat(user.agent);
+
+    const { body: upload } = await user.agent
+      .post(`/api/chats/${chat.id}/documents`)
+      .attach("document", Buffer.from("Revenue grew by 12% in Q3."), {
+        filename: "report.txt",
+        contentType: "text/plain",
+      })
+      .expect(202);
+    expect(upload.results).toEqual([
+      expect.objectContaining({ fileName: "report.txt", status: "queued" }),
+    ]);
+    const [{ document }] = upload.results;
+
+    await waitFor(async () => {
+      const res = await user.agent
+        .get(`/api/chats/${chat.id}/documents`)
+        .query({ status: "ready" })
+        .expect(200);
+      return res.body.length === 1;
+    });
+
+    const { answer } = await ask(user.agent, chat.id, "How did revenue do?");
+    expect(answer.citations).toHaveLength(1);
+    expect(answer.citations[0]).toMatchObject({
+      chunkText: "Revenue grew by 12% in Q3.",
+      document: { id: document.id, fileName: "report.txt" },
+    });
+  });
+
+  it("uploads several files and zip archives, with a result for each", async () => {
+    const user = await signUp();
+    const chat = await createChat(user.agent);
+    const archive = new AdmZip();
+    archive.addFile("notes/plan.md", Buffer.from("# Plan\nShip it."));
+    archive.addFile("tool.exe", Buffer.from("MZ\x90\x00\x03"));
+
+    const { body } = await user.agent
+      .post(`/api/chats/${chat.id}/documents`)
+      .attach("documents", Buffer.from("%PDF-1.4 Quarterly report"), {
+        filename: "report.pdf",
+      })
+      .attach("documents", archive.toBuffer(), { filename: "bundle.zip" })
+      .expect(202);
+
+    const outcomes = body.results.map(({ fileName, archive, status }) => [
+      fileName,
+      archive,
+      status,
+    ]);
+    expect(outcomes).toEqual(
+      expect.arrayContaining([
+        ["report.pdf", undefined, "queued"],
+        ["notes/plan.md", "bundle.zip", "queued"],
+        ["tool.exe", "bundle.zip", "rejected"],
+      ])
+    );
+    expect(outcomes).toHaveLength(3);
+
+    const byName = Object.fromEntries(
+      body.results.map((result) => [result.fileName, result])
+    );
+    expect(byName["report.pdf"].document.fileType).toBe("application/pdf");
+    expect(byName["notes/plan.md"].document.fileType).toBe("text/markdown");
+    expect(byName["tool.exe"].error.code).toBe("UNSUPPORTED_FILE_TYPE");
+  });
+
+  it("checks the file's content, not its name", async () => {
+    const user = await signUp();
+    const chat = await createChat(user.agent);
+
+    const { body } = await user.agent
+      .post(`/api/chats/${chat.id}/documents`)
+      .attach("document", Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0, 1]), {
+        filename: "notes.txt",
+        contentType: "text/plain",
+      })
+      .expect(200);
+    expect(body.results).toEqual([
+      expect.objectContaining({
+        fileName: "notes.txt",
+        status: "rejected",
+        error: expect.objectContaining({ code: "UNSUPPORTED_FILE_TYPE" }),
+      }),
+    ]);
+
+    const list = await user.agent
+      .get(`/api/chats/${chat.id}/documents`)
+      .expect(200);
+    expect(list.body).toEqual([]);
+  });
+
+  it("does not index the same file twice in a chat", async () => {
+    const user = await signUp();
+    const chat = await createChat(user.agent);
+    const content = Buffer.from("The same minutes, twice.");
+    const upload = (filename) =>
+      user.agent
+        .post(`/api/chats/${chat.id}/documents`)
+        .attach("document", content, { filename });
+
+    const first = await upload("minutes.txt").expect(202);
+    const again = await upload("minutes-copy.txt").expect(200);
+    expect(again.body.results[0]).toMatchObject({
+      status: "duplicate",
+      error: { code: "DUPLICATE_DOCUMENT" },
+      document: { id: first.body.results[0].document.id },
+    });
+
+    // Another chat of the workspace shares the library's copy.
+    await ask(user.agent, chat.id);
+    const other = await createChat(user.agent);
+    const shared = await user.agent
+      .post(`/api/chats/${other.id}/documents`)
+      .attach("document", content, { filename: "minutes.txt" })
+      .expect(200);
+    expect(shared.body.results[0]).toMatchObject({
+      status: "attached",
+      document: { id: first.body.results[0].document.id },
+    });
+  });
+
+  it("requires a file", async () => {
+    const user = await signUp();
+    const chat = await createChat(user.agent);
+
+    const res = await user.agent
+      .post(`/api/chats/${chat.id}/documents`)
+      .expect(400);
+    expect(res.body.error.code).toBe("FILE_REQUIRED");
+  });
+});
+
+describe("sources", () => {
+  let user;
+  let chat;
+  let site;
+  let siteUrl;
+
+  beforeAll(async () => {
+    user = await signUp();
+    chat = await createChat(user.agent);
+
+    site = http.createServer((req, res) => {
+      if (req.url === "/article") {
+        res.setHeader("Content-Type", "text/html; charset=utf-8");
+        return res.end(
+          "<html><head><title>Launch notes</title><script>track()</script></head>" +
+            "<body><nav>Home | Blog</nav><main><h1>Launch</h1>" +
+            "<p>The launch moved to May.</p></main></body></html>"
+        );
+      }
+      res.statusCode = 404;
+      res.end();
+    });
+    await new Promise((resolve) => site.listen(0, "localhost", resolve));
+    siteUrl = `http://localhost:${site.address().port}`;
+  });
+
+  afterAll(() => new Promise((resolve) => site.close(resolve)));
+
+  const addSource = (body) =>
+    user.agent.post(`/api/chats/${chat.id}/sources`).send(body);
+
+  it("indexes the readable text of a web page", async () => {
+    const { body } = await addSource({
+      type: "url",
+      url: `${siteUrl}/article`,
+    }).expect(202);
+    expect(body.document).toMatchObject({
+      fileName: "Launch notes.txt",
+      fileType: "text/plain",
+      sourceType: "url",
+      sourceUrl: `${siteUrl}/article`,
+    });
+
+    const download = await user.agent
+      .get(`/api/documents/${body.document.id}/download`)
+      .expect(200);
+    expect(download.text).toBe("Launch\nThe launch moved to May.");
+
+    await waitFor(async () => {
+      const res = await user.agent
+        .get(`/api/chats/${chat.id}/documents`)
+        .query({ status: "ready" })
+        .expect(200);
+      return res.body.some((document) => document.id === body.document.id);
+    });
+  });
+
+  it("indexes pasted text, once", async () => {
+    const source = { type: "text", text: "Meeting notes: ship on Friday." };
+
+    const { body } = await addSource({ ...source, title: "Notes" }).expect(202);
+    expect(body.document).toMatchObject({
+      fileName: "Notes.txt",
+      sourceType: "text",
+      sourceUrl: null,
+    });
+    expect(body.jobId).toEqual(expect.any(String));
+
+    const again = await addSource(source).expect(409);
+    expect(again.body.error.code).toBe("DUPLICATE_DOCUMENT");
+  });
+
+  it("refuses URLs of private addresses", async () => {
+    const urls = [
+      "http://127.0.0.1/",
+      "http://169.254.169.254/latest/meta-data/",
+      "http://[::1]/",
+      "http://10.0.0.8/intranet",
+      "file:///etc/passwd",
+    ];
+    for (const url of urls) {
+      const res = await addSource({ type: "url", url }).expect(400);
+      expect(res.body.error.code).toBe("URL_NOT_ALLOWED");
+    }
+  });
+
+  it("reports pages that cannot be fetched", async () => {
+    const res = await addSource({
+      type: "url",
+      url: `${siteUrl}/missing`,
+    }).expect(502);
+    expect(res.body.error.code).toBe("SOURCE_FETCH_FAILED");
+  });
+
+  it("validates the source", async () => {
+    await addSource({ type: "video", url: siteUrl }).expect(400);
+    await addSource({ type: "url", url: "not a url" }).expect(400);
+    await addSource({ type: "text", text: "   " }).expect(400);
+  });
+});
+
+describe("export and import", () => {
+  it("round-trips a chat through its JSON export", async () => {
+    const user = await signUp();
+    const chat = await createChat(user.agent, { title: "Exported" });
+    await ask(user.agent, chat.id, "Keep this");
+
+    const { body: exported } = await user.agent
+      .get(`/api/chats/${chat.id}/export`)
+      .expect(200)
+      .expect("Content-Disposition", /attachment; filename="exported\.json"/);
+    expect(exported.messages).toHaveLength(2);
+
+    const { body: imported } = await user.agent
+      .post("/api/chats/import")
+      .send(exported)
+      .expect(201);
+    expect(imported.title).toBe("Exported (imported)");
+    expect(imported.imported).toEqual({ messages: 2, charts: 0 });
+  });
+
+  it("carries charts across, and rejects a file it did not export", async () => {
+    const user = await signUp();
+    const chat = await createChat(user.agent, { title: "Charted" });
+    await ask(user.agent, chat.id);
+    await createReadyChart(user.agent, chat.id, { label: "Revenue" });
+
+    const { body: exported } = await user.agent
+      .get(`/api/chats/${chat.id}/export`)
+      .expect(200);
+    expect(exported.charts).toEqual([
+      expect.objectContaining({ label: "Revenue", status: "ready" }),
+    ]);
+
+    const { body: imported } = await user.agent
+      .post("/api/chats/import")
+      .send(exported)
+      .expect(201);
+    expect(imported.imported).toEqual({ messages: 2, charts: 1 });
+
+    const res = await user.agent
+      .post("/api/chats/import")
+      .send({ ...exported, version: exported.version + 1 })
+      .expect(400);
+    expect(res.body.error.code).toBe("VALIDATION_ERROR");
+  });
+
+  it("exports Markdown and PDF", async () => {
+    const user = await signUp();
+    const chat = await createChat(user.agent, { title: "Formats" });
+    await ask(user.agent, chat.id, "Hello");
+
+    const md = await user.agent
+      .get(`/api/chats/${chat.id}/export`)
+      .query({ format: "md" })
+      .expect(200)
+      .expect("Content-Type", /text\/markdown/);
+    expect(md.text).toMatch(/Hello/);
+
+    await user.agent
+      .get(`/api/chats/${chat.id}/export`)
+      .query({ format: "pdf" })
+      .expect(200)
+      .expect("Content-Type", "application/pdf");
+  });
+});
+
+describe("authorization", () => {
+  let alice;
+  let bob;
+  let chat;
+
+  beforeAll(async () => {
+    alice = await signUp();
+    bob = await signUp();
+    chat = await createChat(alice.agent, { title: "Private" });
+    await ask(alice.agent, chat.id);
+  });
+
+  it("hides another user's chat", async () => {
+    const list = await bob.agent.get("/api/chats").expect(200);
+    expect(list.body.items.map((item) => item.id)).not.toContain(chat.id);
+
+    const paths = [
+      `/api/chats/${chat.id}`,
+      `/api/chats/${chat.id}/settings`,
+      `/api/chats/${chat.id}/export`,
+      `/api/chats/${chat.id}/messages`,
+      `/api/chats/${chat.id}/documents`,
+    ];
+    for (const path of paths) {
+      const res = await bob.agent.get(path).expect(404);
+      expect(res.body.error.code).toBe("CHAT_NOT_FOUND");
+    }
+  });
+
+  it("does not let another user change or delete the chat", async () => {
+    await bob.agent
+      .put(`/api/chats/${chat.id}`)
+      .send({ title: "Mine now" })
+      .expect(404);
+    await bob.agent
+      .patch(`/api/chats/${chat.id}/settings`)
+      .send({ historyMessages: 1 })
+      .expect(404);
+    await bob.agent
+      .post(`/api/chats/${chat.id}/messages`)
+      .send({ text: "Let me in" })
+      .expect(404);
+    await bob.agent
+      .post(`/api/chats/${chat.id}/sources`)
+      .send({ type: "text", text: "Planted notes" })
+      .expect(404);
+    await bob.agent.delete(`/api/chats/${chat.id}`).expect(404);
+
+    const { body } = await alice.agent.get(`/api/chats/${chat.id}`).expect(200);
+    expect(body.title).toBe("Private");
+  });
+
+  it("lets a workspace viewer read but not write", async () => {
+    const owner = await signUp();
+    const viewer = await signUp();
+    const workspace = await shareWorkspace(owner, viewer, "viewer");
+    const shared = await createChat(owner.agent, {
+      title: "Shared",
+      workspaceId: workspace.id,
+    });
+    const { answer } = await ask(owner.agent, shared.id);
+
+    const { body } = await viewer.agent
+      .get(`/api/chats/${shared.id}`)
+      .expect(200);
+    expect(body.role).toBe("viewer");
+
+    const write = await viewer.agent
+      .post(`/api/chats/${shared.id}/messages`)
+      .send({ text: "Can I ask?" })
+      .expect(403);
+    expect(write.body.error.code).toBe("INSUFFICIENT_ROLE");
+    await viewer.agent.delete(`/api/chats/${shared.id}`).expect(403);
+
+    // Rating answers is open to viewers.
+    await viewer.agent
+      .put(`/api/chats/${shared.id}/messages/${answer.id}/feedback`)
+      .send({ rating: "up" })
+      .expect(200);
+  });
+
+  it("takes a removed member's share links and jobs with them", async () => {
+    const owner = await signUp();
+    const member = await signUp();
+    const workspace = await shareWorkspace(owner, member, "editor");
+    const shared = await createChat(member.agent, {
+      workspaceId: workspace.id,
+    });
+    const { body: question } = await member.agent
+      .post(`/api/chats/${shared.id}/messages`)
+      .send({ text: "What changed?" })
+      .expect(201);
+    const { body: share } = await member.agent
+      .post("/api/shares")
+      .send({ chatId: shared.id })
+      .expect(201);
+    await request(app).get(`/api/public/shares/${share.token}`).expect(200);
+    await waitFor(async () => {
+      const res = await member.agent
+        .get(`/api/jobs/${question.jobId}`)
+        .expect(200);
+      return res.body.status === "completed";
+    });
+
+    await owner.agent
+      .delete(`/api/workspaces/${workspace.id}/members/${member.user.id}`)
+      .expect(200);
+
+    const link = await request(app)
+      .get(`/api/public/shares/${share.token}`)
+      .expect(404);
+    expect(link.body.error.code).toBe("SHARE_NOT_FOUND");
+    await member.agent.get(`/api/jobs/${question.jobId}`).expect(404);
+  });
+});
@@ -0,0 +1,109 @@
+const {
+  jobQueue,
+  signUp,
+  createChat,
+  shareWorkspace,
+  createReadyChart,
+} = require("./helpers");
+
+beforeAll(() => jobQueue.start());
+afterAll(() => jobQueue.stop());
+
+describe("dashboards", () => {
+  let user;
+  let chart;
+
+  beforeAll(async () => {
+    user = await signUp();
+    const chat = await createChat(user.agent, { title: "Sales" });
+    chart = await createReadyChart(user.agent, chat.id);
+  });
+
+  it("creates a dashboard and lays out its charts", async () => {
+    const { body: dashboard } = await user.agent
+      .post("/api/dashboards")
+      .send({
+        title: "Overview",
+        tiles: [{ chartId: chart.id, x: 0, y: 0, width: 6, height: 4 }],
+      })
+      .expect(201);
+    expect(dashboard.tiles).toEqual([
+      expect.objectContaining({ position: 0, chart: expect.any(Object) }),
+    ]);
+    expect(dashboard.tiles[0].chart.id).toBe(chart.id);
+
+    const { body: tile } = await user.agent
+      .post(`/api/dashboards/${dashboard.id}/tiles`)
+      .send({ chartId: chart.id })
+      .expect(201);
+    expect(tile).toMatchObject({ position: 1, x: 0, y: 4, width: 6 });
+
+    const { body: fetched } = await user.agent
+      .get(`/api/dashboards/${dashboard.id}`)
+      .expect(200);
+    expect(fetched.role).toBe("owner");
+    expect(fetched.tiles).toHaveLength(2);
+
+    const { body: list } = await user.agent.get("/api/dashboards").expect(200);
+    expect(list.items).toEqual([
+      expect.objectContaining({ id: dashboard.id, tileCount: 2 }),
+    ]);
+
+    await user.agent
+      .delete(`/api/dashboards/${dashboard.id}/tiles/${tile.id}`)
+      .expect(200);
+    await user.agent.delete(`/api/dashboards/${dashboard.id}`).expect(200);
+    await user.agent.get(`/api/dashboards/${dashboard.id}`).expect(404);
+  });
+
+  it("rejects overlapping tiles", async () => {
+    const res = await user.agent
+      .post("/api/dashboards")
+      .send({
+        title: "Crowded",
+        tiles: [
+          { chartId: chart.id, x: 0, y: 0, width: 6, height: 4 },
+          { chartId: chart.id, x: 3, y: 2, width: 6, height: 4 },
+        ],
+      })
+      .expect(400);
+    expect(res.body.error.code).toBe("VALIDATION_ERROR");
+  });
+
+  it("only shows charts from the dashboard's own workspace", async () => {
+    const other = await signUp();
+    const chat = await createChat(other.agent, { title: "Elsewhere" });
+    const foreign = await createReadyChart(other.agent, chat.id);
+
+    const res = await user.agent
+      .post("/api/dashboards")
+      .send({
+        title: "Borrowed",
+        tiles: [{ chartId: foreign.id, x: 0, y: 0, width: 6, height: 4 }],
+      })
+      .expect(400);
+    expect(res.body.error.code).toBe("INVALID_CHART");
+  });
+
+  it("lets viewers open but not change a shared dashboard", async () => {
+    const owner = await signUp();
+    const viewer = await signUp();
+    const workspace = await shareWorkspace(owner, viewer, "viewer");
+
+    const { body: dashboard } = await owner.agent
+      .post("/api/dashboards")
+      .send({ title: "Shared", workspaceId: workspace.id })
+      .expect(201);
+
+    const { body } = await viewer.agent
+      .get(`/api/dashboards/${dashboard.id}`)
+      .expect(200);
+    expect(body.role).toBe("viewer");
+
+    const edit = await viewer.agent
+      .patch(`/api/dashboards/${dashboard.id}`)
+      .send({ title: "Mine now" })
+      .expect(403);
+    expect(edit.body.error.code).toBe("INSUFFICIENT_ROLE");
+  });
+});
@@ -0,0 +1,333 @@
+const {
+  app,
+  request,
+  jobQueue,
+  signUp,
+  waitFor,
+  createChat,
+  shareWorkspace,
+  ask,
+} = require("./helpers");
+
+// Documents are indexed by the "process-document" job, against the mock AI service.
+beforeAll(() => jobQueue.start());
+afterAll(() => jobQueue.stop());
+
+const MANUAL = "Press the red button twice to restart the device.";
+
+// Uploads files to the library and resolves to the upload's results.
+const uploadToLibrary = async (agent, files, fields = {}) => {
+  const req = agent.post("/api/documents").field(fields);
+  for (const [filename, content] of Object.entries(files)) {
+    req.attach("documents", Buffer.from(content), { filename });
+  }
+  const res = await req;
+  return res.body.results;
+};
+
+const waitUntilReady = (agent, documentId) =>
+  waitFor(async () => {
+    const res = await agent.get(`/api/documents/${documentId}`).expect(200);
+    return res.body.status === "ready" && res.body;
+  });
+
+describe("document library", () => {
+  let user;
+  let manual;
+
+  beforeAll(async () => {
+    user = await signUp();
+    const [result] = await uploadToLibrary(user.agent, {
+      "manual.txt": MANUAL,
+    });
+    expect(result.status).toBe("queued");
+    manual = await waitUntilReady(user.agent, result.document.id);
+  });
+
+  it("keeps uploaded documents outside of any chat", async () => {
+    expect(manual.chats).toEqual([]);
+
+    const { body } = await user.agent
+      .get("/api/documents")
+      .query({ q: "manual" })
+      .expect(200);
+    expect(body.items).toEqual([
+      expect.objectContaining({
+        id: manual.id,
+        fileName: "manual.txt",
+        _count: { chats: 0 },
+      }),
+    ]);
+    expect(body.nextCursor).toBeNull();
+  });
+
+  it("does not add the same file to the library twice", async () => {
+    const [result] = await uploadToLibrary(user.agent, {
+      "manual-copy.txt": MANUAL,
+    });
+    expect(result).toMatchObject({
+      status: "duplicate",
+      error: { code: "DUPLICATE_DOCUMENT" },
+      document: { id: manual.id },
+    });
+  });
+
+  it("attaches a document to several chats without indexing it again", async () => {
+    const first = await createChat(user.agent);
+    await user.agent
+      .put(`/api/chats/${first.id}/documents/${manual.id}`)
+      .expect(201);
+    const { answer } = await ask(user.agent, first.id, "How do I restart?");
+    expect(answer.citations).toEqual([
+      expect.objectContaining({
+        chunkText: MANUAL,
+        document: expect.objectContaining({ id: manual.id }),
+      }),
+    ]);
+
+    const second = await createChat(user.agent);
+    await user.agent
+      .put(`/api/chats/${second.id}/documents/${manual.id}`)
+      .expect(201);
+    // Attaching again changes nothing.
+    await user.agent
+      .put(`/api/chats/${second.id}/documents/${manual.id}`)
+      .expect(200);
+
+    const chatDocuments = await user.agent
+      .get(`/api/chats/${second.id}/documents`)
+      .expect(200);
+    expect(chatDocuments.body.map((document) => document.id)).toEqual([
+      manual.id,
+    ]);
+    const reply = await ask(user.agent, second.id);
+    expect(reply.answer.citations).toHaveLength(1);
+
+    const { body } = await user.agent
+      .get(`/api/documents/${manual.id}`)
+      .expect(200);
+    expect(body.chats.map((chat) => chat.id)).toEqual([first.id, second.id]);
+
+    const jobs = await user.agent
+      .get("/api/jobs")
+      .query({ documentId: manual.id })
+      .expect(200);
+    expect(jobs.body.map((job) => job.type)).toEqual(["process-document"]);
+  });
+
+  it("only answers from the documents attached to the chat", async () => {
+    const [other] = await uploadToLibrary(user.agent, {
+      "other.txt": "Unrelated notes.",
+    });
+    await waitUntilReady(user.agent, other.document.id);
+
+    const chat = await createChat(user.agent);
+    await user.agent
+      .put(`/api/chats/${chat.id}/documents/${manual.id}`)
+      .expect(201);
+    const { answer } = await ask(user.agent, chat.id);
+    expect(answer.citations.map((citation) => citation.document.id)).toEqual([
+      manual.id,
+    ]);
+
+    await user.agent
+      .delete(`/api/chats/${chat.id}/documents/${manual.id}`)
+      .expect(200);
+    const after = await ask(user.agent, chat.id);
+    expect(after.answer.citations).toEqual([]);
+
+    const again = await user.agent
+      .delete(`/api/chats/${chat.id}/documents/${manual.id}`)
+      .expect(404);
+    expect(again.body.error.code).toBe("DOCUMENT_NOT_ATTACHED");
+
+    // Detached, the document is still in the library.
+    await user.agent.get(`/api/documents/${manual.id}`).expect(200);
+  });
+
+  it("attaches the library's copy when the file is uploaded to a chat", async () => {
+    const chat = await createChat(user.agent);
+
+    const { body } = await user.agent
+      .post(`/api/chats/${chat.id}/documents`)
+      .attach("document", Buffer.from(MANUAL), { filename: "manual.txt" })
+      .expect(200);
+    expect(body.results[0]).toMatchObject({
+      status: "attached",
+      document: { id: manual.id },
+    });
+    await ask(user.agent, chat.id);
+  });
+
+  it("keeps a chat's documents when the chat is deleted", async () => {
+    const chat = await createChat(user.agent);
+    const { body } = await user.agent
+      .post(`/api/chats/${chat.id}/sources`)
+      .send({ type: "text", text: "Notes that outlive their chat." })
+      .expect(202);
+
+    await user.agent.delete(`/api/chats/${chat.id}`).expect(200);
+
+    const { body: document } = await user.agent
+      .get(`/api/documents/${body.document.id}`)
+      .expect(200);
+    expect(document.chats).toEqual([]);
+  });
+
+  it("removes a deleted document from every chat", async () => {
+    const [result] = await uploadToLibrary(user.agent, {
+      "short-lived.txt": "Soon gone.",
+    });
+    const chat = await createChat(user.agent);
+    await user.agent
+      .put(`/api/chats/${chat.id}/documents/${result.document.id}`)
+      .expect(201);
+
+    await user.agent.delete(`/api/documents/${result.document.id}`).expect(200);
+
+    const { body } = await user.agent
+      .get(`/api/chats/${chat.id}/documents`)
+      .expect(200);
+    expect(body).toEqual([]);
+    await ask(user.agent, chat.id);
+  });
+
+  it("requires a file", async () => {
+    const res = await user.agent.post("/api/documents").expect(400);
+    expect(res.body.error.code).toBe("FILE_REQUIRED");
+  });
+});
+
+describe("authorization", () => {
+  let alice;
+  let bob;
+  let document;
+
+  beforeAll(async () => {
+    alice = await signUp();
+    bob = await signUp();
+    const [result] = await uploadToLibrary(alice.agent, {
+      "private.txt": "Alice's private notes.",
+    });
+    document = result.document;
+  });
+
+  it("keeps each user's library private", async () => {
+    const list = await bob.agent.get("/api/documents").expect(200);
+    expect(list.body.items).toEqual([]);
+
+    const res = await bob.agent
+      .get(`/api/documents/${document.id}`)
+      .expect(404);
+    expect(res.body.error.code).toBe("DOCUMENT_NOT_FOUND");
+    await bob.agent.delete(`/api/documents/${document.id}`).expect(404);
+  });
+
+  it("does not let user B attach user A's document", async () => {
+    const chat = await createChat(bob.agent);
+
+    const res = await bob.agent
+      .put(`/api/chats/${chat.id}/documents/${document.id}`)
+      .expect(404);
+    expect(res.body.error.code).toBe("DOCUMENT_NOT_FOUND");
+  });
+
+  it("attaches documents only to chats of their own workspace", async () => {
+    const owner = await signUp();
+    const member = await signUp();
+    const workspace = await shareWorkspace(owner, member, "editor");
+    const [personal] = await uploadToLibrary(owner.agent, {
+      "personal.txt": "Only for me.",
+    });
+    const teamChat = await createChat(owner.agent, {
+      workspaceId: workspace.id,
+    });
+
+    const res = await owner.agent
+      .put(`/api/chats/${teamChat.id}/documents/${personal.document.id}`)
+      .expect(400);
+    expect(res.body.error.code).toBe("WORKSPACE_MISMATCH");
+
+    // Uploaded to the team's library, it can be attached, and members see it.
+    const [shared] = await uploadToLibrary(
+      owner.agent,
+      { "team.txt": "For the whole team." },
+      { workspaceId: workspace.id }
+    );
+    await owner.agent
+      .put(`/api/chats/${teamChat.id}/documents/${shared.document.id}`)
+      .expect(201);
+
+    const { body } = await member.agent
+      .get("/api/documents")
+      .query({ workspaceId: workspace.id })
+      .expect(200);
+    expect(body.items.map((item) => item.id)).toEqual([shared.document.id]);
+  });
+
+  it("lets a workspace viewer read but not change the library", async () => {
+    const owner = await signUp();
+    const viewer = await signUp();
+    const workspace = await shareWorkspace(owner, viewer, "viewer");
+    const [result] = await uploadToLibrary(
+      owner.agent,
+      { "handbook.txt": "The team handbook." },
+      { workspaceId: workspace.id }
+    );
+    const chat = await createChat(owner.agent, { workspaceId: workspace.id });
+
+    await viewer.agent.get(`/api/documents/${result.document.id}`).expect(200);
+
+    const upload = await viewer.agent
+      .post("/api/documents")
+      .field({ workspaceId: workspace.id })
+      .attach("documents", Buffer.from("Viewer notes."), {
+        filename: "viewer.txt",
+      })
+      .expect(403);
+    expect(upload.body.error.code).toBe("INSUFFICIENT_ROLE");
+    await viewer.agent
+      .put(`/api/chats/${chat.id}/documents/${result.document.id}`)
+      .expect(403);
+    await viewer.agent
+      .delete(`/api/documents/${result.document.id}`)
+      .expect(403);
+  });
+});
+
+describe("status callbacks", () => {
+  let document;
+
+  beforeAll(async () => {
+    const user = await signUp();
+    const [result] = await uploadToLibrary(user.agent, {
+      "callback.txt": "Indexed elsewhere.",
+    });
+    document = await waitUntilReady(user.agent, result.document.id);
+  });
+
+  const postStatus = (secret, body) =>
+    request(app)
+      .post(`/api/internal/documents/${document.id}/status`)
+      .set("X-Service-Secret", secret)
+      .send(body);
+
+  it("updates the document for the AI service", async () => {
+    const { body } = await postStatus(process.env.AI_SERVICE_SECRET, {
+      status: "failed",
+      error: "Could not parse the file.",
+    }).expect(200);
+    expect(body).toMatchObject({
+      status: "failed",
+      error: "Could not parse the file.",
+    });
+  });
+
+  it("rejects a wrong secret, whatever its characters", async () => {
+    // As long as the real secret, but longer in bytes
+    const secret = process.env.AI_SERVICE_SECRET.replace("e", "\u00e9");
+
+    const res = await postStatus(secret, { status: "ready" }).expect(401);
+    expect(res.body.error.code).toBe("INVALID_SERVICE_CREDENTIALS");
+  });
+});
@@ -0,0 +1,85 @@
+const prisma = require("../lib/prisma");
+const { jobQueue, signUp, createChat, ask } = require("./helpers");
+
+beforeAll(() => jobQueue.start());
+afterAll(() => jobQueue.stop());
+
+describe("feedback", () => {
+  let user;
+  let chat;
+  let question;
+  let answer;
+
+  beforeAll(async () => {
+    user = await signUp();
+    chat = await createChat(user.agent, { title: "Rated" });
+    ({ question, answer } = await ask(user.agent, chat.id, "Was it good?"));
+  });
+
+  it("rates an answer, and replaces the rating when rated again", async () => {
+    const url = `/api/chats/${chat.id}/messages/${answer.id}/feedback`;
+    await user.agent.put(url).send({ rating: "up" }).expect(200);
+
+    const { body } = await user.agent
+      .put(url)
+      .send({ rating: "down", comment: "Missed the point" })
+      .expect(200);
+    expect(body).toMatchObject({ rating: "down", comment: "Missed the point" });
+  });
+
+  it("only rates answers from the assistant", async () => {
+    const res = await user.agent
+      .put(`/api/chats/${chat.id}/messages/${question.id}/feedback`)
+      .send({ rating: "up" })
+      .expect(400);
+    expect(res.body.error.code).toBe("NOT_AN_ANSWER");
+  });
+
+  describe("admin export", () => {
+    let admin;
+
+    beforeAll(async () => {
+      admin = await signUp();
+      await prisma.user.update({
+        where: { id: admin.user.id },
+        data: { role: "admin" },
+      });
+    });
+
+    it("exports each rating with the question it answered", async () => {
+      const { body } = await admin.agent
+        .get("/api/admin/feedback/export")
+        .query({ rating: "down" })
+        .expect(200)
+        .expect("Content-Disposition", /filename="feedback-[\d-]+\.json"/);
+
+      const row = body.find((entry) => entry.messageId === answer.id);
+      expect(row).toMatchObject({
+        rating: "down",
+        comment: "Missed the point",
+        userEmail: user.email,
+        chatId: chat.id,
+        question: "Was it good?",
+        answer: answer.text,
+      });
+      expect(body.every((entry) => entry.rating === "down")).toBe(true);
+    });
+
+    it("exports CSV with a header row", async () => {
+      const res = await admin.agent
+        .get("/api/admin/feedback/export")
+        .query({ format: "csv" })
+        .expect(200)
+        .expect("Content-Type", /text\/csv/);
+      expect(res.text.split(/\r?\n/)[0]).toMatch(/^id,rating,comment,/);
+      expect(res.text).toContain(answer.id);
+    });
+
+    it("is for admins only", async () => {
+      const res = await user.agent
+        .get("/api/admin/feedback/export")
+        .expect(403);
+      expect(res.body.error.code).toBe("ADMIN_ONLY");
+    });
+  });
+});
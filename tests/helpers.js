@@ -0,0 +1,162 @@
+// tests/helpers.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const request = require("supertest");
+const app = require("../src/app");
+const jobQueue = require("../src/jobs/queue");
+
+const PASSWORD = "correct-horse-42";
+
+/**
+ * Signs up a new user and resolves to `{ agent, user, email, password }`. The agent
+ * keeps the user's cookies, so requests made through it are signed in.
+ */
+const signUp = async () => {
+  const username = `user_${crypto.randomUUID().slice(0, 8)}`;
+  const email = `${username}@example.com`;
+  const agent = request.agent(app);
+
+  const res = await agent
+    .post("/api/auth/signup")
+    .send({ username, email, password: PASSWORD })
+    .expect(201);
+  return { agent, user: res.body.user, email, password: PASSWORD };
+};
+
+// Calls `check` until it resolves to something truthy, and resolves to that.
+const waitFor = async (check, { timeout = 10000, interval = 50 } = {}) => {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for a condition.");
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+};
+
+// Emails to `to` whose subject matches `subject`, oldest first, as written by the
+// "file" mail transport.
+const readMail = (to, subject) => {
+  const outbox = process.env.MAIL_OUTBOX_DIR;
+  if (!fs.existsSync(outbox)) return [];
+
+  const parse = (file) => {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(outbox, file), "utf8"));
+    } catch (error) {
+      return null; // still being written
+    }
+  };
+  return fs
+    .readdirSync(outbox)
+    .map(parse)
+    .filter((mail) => mail?.to === to && subject.test(mail.subject))
+    .sort((a, b) => new Date(a.sentAt) - new Date(b.sentAt));
+};
+
+// Waits for an email to `to` and resolves to the token in its link.
+const tokenFromMail = async (to, subject) => {
+  const mail = await waitFor(() => readMail(to, subject).pop());
+  return decodeURIComponent(mail.text.match(/[?&]token=([^\s&]+)/)[1]);
+};
+
+const createChat = async (agent, body = {}) => {
+  const res = await agent
+    .post("/api/chats")
+    .send({ title: `Chat ${crypto.randomUUID().slice(0, 8)}`, ...body })
+    .expect(201);
+  return res.body;
+};
+
+/**
+ * Creates a workspace owned by `owner` and adds `member` to it with `role`, through
+ * an emailed invitation. Both are users from signUp(). Resolves to the workspace.
+ */
+const shareWorkspace = async (owner, member, role) => {
+  const { body: workspace } = await owner.agent
+    .post("/api/workspaces")
+    .send({ name: `Team ${crypto.randomUUID().slice(0, 8)}` })
+    .expect(201);
+
+  await owner.agent
+    .post(`/api/workspaces/${workspace.id}/invitations`)
+    .send({ email: member.email, role })
+    .expect(201);
+  const token = await tokenFromMail(member.email, /invited you/);
+  await member.agent
+    .post("/api/workspaces/invitations/accept")
+    .send({ token })
+    .expect(200);
+
+  return workspace;
+};
+
+// The events of a finished Server-Sent Events response, as [{ event, data }]
+const parseEvents = (text) =>
+  text
+    .split("\n\n")
+    .filter((block) => block.startsWith("event: "))
+    .map((block) => {
+      const [eventLine, dataLine] = block.split("\n");
+      return {
+        event: eventLine.slice("event: ".length),
+        data: JSON.parse(dataLine.slice("data: ".length)),
+      };
+    });
+
+// Streams the answer to a user message from the mock AI service and resolves to
+// the final event.
+const streamAnswer = async (agent, chatId, messageId) => {
+  const res = await agent
+    .get(`/api/chats/${chatId}/messages/${messageId}/stream`)
+    .expect(200)
+    .expect("Content-Type", /text\/event-stream/);
+  return parseEvents(res.text).pop();
+};
+
+// Asks a question and waits for the streamed answer. Resolves to
+// `{ question, answer }`, the saved user and assistant messages.
+const ask = async (agent, chatId, text = "What is in my documents?") => {
+  const { body: question } = await agent
+    .post(`/api/chats/${chatId}/messages`)
+    .send({ text, stream: true })
+    .expect(201);
+
+  const { event, data } = await streamAnswer(agent, chatId, question.id);
+  if (event !== "done") {
+    throw new Error(`Answer stream ended with "${event}".`);
+  }
+  return { question, answer: data.message };
+};
+
+// Requests a chart and waits for the job worker to generate it.
+const createReadyChart = async (agent, chatId, body = {}) => {
+  const { body: chart } = await agent
+    .post("/api/charts")
+    .send({ chatId, prompt: "Revenue per quarter", chartType: "bar", ...body })
+    .expect(202);
+
+  return waitFor(async () => {
+    const res = await agent.get(`/api/charts/${chart.id}`).expect(200);
+    return res.body.status === "ready" && res.body;
+  });
+};
+
+module.exports = {
+  app,
+  request,
+  jobQueue,
+  signUp,
+  waitFor,
+  readMail,
+  tokenFromMail,
+  createChat,
+  shareWorkspace,
+  parseEvents,
+  streamAnswer,
+  ask,
+  createReadyChart,
+};
@@ -0,0 +1,56 @@
+const { jobQueue, signUp, createChat, ask } = require("./helpers");
+
+beforeAll(() => jobQueue.start());
+afterAll(() => jobQueue.stop());
+
+describe("search", () => {
+  let user;
+  let chat;
+
+  beforeAll(async () => {
+    user = await signUp();
+    chat = await createChat(user.agent, { title: "Migration planning" });
+    await ask(user.agent, chat.id, "How many zebras crossed the river?");
+  });
+
+  it("finds messages and chat titles, with the match highlighted", async () => {
+    const { body } = await user.agent
+      .get("/api/search")
+      .query({ q: "zebra" })
+      .expect(200);
+
+    const message = body.results.find((result) => result.type === "message");
+    expect(message).toMatchObject({ chatId: chat.id, chatTitle: chat.title });
+    expect(message.snippet).toMatch(/<mark>zebras<\/mark>/);
+
+    const { body: titles } = await user.agent
+      .get("/api/search")
+      .query({ q: "migra", types: "chat" })
+      .expect(200);
+    expect(titles.results).toEqual([
+      expect.objectContaining({ type: "chat", id: chat.id }),
+    ]);
+  });
+
+  it("only searches the user's own workspaces", async () => {
+    const stranger = await signUp();
+    const { body } = await stranger.agent
+      .get("/api/search")
+      .query({ q: "zebra" })
+      .expect(200);
+    expect(body.results).toEqual([]);
+  });
+
+  it("rejects an empty query or an unknown type", async () => {
+    const empty = await user.agent
+      .get("/api/search")
+      .query({ q: "  " })
+      .expect(400);
+    expect(empty.body.error.code).toBe("VALIDATION_ERROR");
+
+    await user.agent
+      .get("/api/search")
+      .query({ q: "zebra", types: "message,user" })
+      .expect(400);
+  });
+});
@@ -0,0 +1,51 @@
+// tests/setup/globalSetup.js
+//
+// Runs once before the suite: creates a throwaway SQLite database from the
+// migrations, starts the mock AI service on a free port, and points the app at both
+// through the environment. Test files inherit the environment set here.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const ROOT = path.resolve(__dirname, "../..");
+
+module.exports = async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "oracyn-test-"));
+
+  Object.assign(process.env, {
+    NODE_ENV: "test",
+    DATABASE_URL: `file:${path.join(tempDir, "test.db")}`,
+    JWT_SECRET: "test-access-secret",
+    JWT_REFRESH_SECRET: "test-refresh-secret",
+    AI_SERVICE_SECRET: "test-service-secret",
+    MAIL_TRANSPORT: "file",
+    MAIL_OUTBOX_DIR: path.join(tempDir, "mail"),
+    STORAGE_DRIVER: "local",
+    STORAGE_LOCAL_DIR: path.join(tempDir, "uploads"),
+    JOB_POLL_INTERVAL_MS: "50",
+    JOB_BACKOFF_MS: "50",
+    MOCK_AI_TOKEN_DELAY_MS: "1",
+    // Suites ask many questions as one user within a minute.
+    AI_RATE_LIMIT_PER_MINUTE: "1000",
+    // Web pages added as sources are served by the tests themselves.
+    SOURCE_URL_ALLOWED_HOSTS: "localhost",
+  });
+
+  execFileSync(
+    process.execPath,
+    [require.resolve("prisma/build/index.js"), "migrate", "deploy"],
+    { cwd: ROOT, env: process.env, stdio: "pipe" }
+  );
+
+  const mockAiService = require("../../src/mock/aiService");
+  const server = await new Promise((resolve) => {
+    const listener = mockAiService.listen(0, "127.0.0.1", () =>
+      resolve(listener)
+    );
+  });
+  process.env.AI_SERVICE_URL = `http://127.0.0.1:${server.address().port}`;
+
+  // Read back by globalTeardown, which runs in this same process
+  globalThis.__TEST_ENV__ = { tempDir, server };
+};
@@ -0,0 +1,13 @@
+// tests/setup/globalTeardown.js
+const fs = require("fs");
+
+module.exports = async () => {
+  const { tempDir, server } = globalThis.__TEST_ENV__ || {};
+
+  if (server) {
+    await new Promise((resolve) => server.close(resolve));
+  }
+  if (tempDir) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+};
@@ -0,0 +1,85 @@
+const {
+  app,
+  request,
+  jobQueue,
+  signUp,
+  createChat,
+  ask,
+  createReadyChart,
+} = require("./helpers");
+
+beforeAll(() => jobQueue.start());
+afterAll(() => jobQueue.stop());
+
+describe("stats", () => {
+  let user;
+
+  beforeAll(async () => {
+    user = await signUp();
+    const chat = await createChat(user.agent, { title: "Counted" });
+    await ask(user.agent, chat.id);
+    await createReadyChart(user.agent, chat.id);
+  });
+
+  it("counts the user's chats, charts and tokens", async () => {
+    const { body } = await user.agent.get("/api/stats").expect(200);
+    expect(body).toMatchObject({ chats: 1, documents: 0, charts: 1 });
+    expect(body.tokensUsed).toBeGreaterThan(0);
+  });
+
+  it("starts from zero for a new user", async () => {
+    const newcomer = await signUp();
+    const { body } = await newcomer.agent.get("/api/stats").expect(200);
+    expect(body).toEqual({ chats: 0, documents: 0, charts: 0, tokensUsed: 0 });
+  });
+
+  it("reports the remaining token allowance", async () => {
+    const { body } = await user.agent.get("/api/stats/quota").expect(200);
+
+    for (const period of ["daily", "monthly"]) {
+      const { limit, used, remaining } = body[period];
+      expect(used).toBeGreaterThan(0);
+      expect(remaining).toBe(Math.max(0, limit - used));
+    }
+  });
+
+  it("reports usage over time, by feature and chat", async () => {
+    const { body } = await user.agent
+      .get("/api/stats/usage")
+      .query({ granularity: "week" })
+      .expect(200);
+
+    expect(body.granularity).toBe("week");
+    expect(body.totals.messages).toBe(2);
+    expect(body.totals.charts).toBe(1);
+    expect(body.totals.tokens.answer).toBeGreaterThan(0);
+    expect(body.totals.tokens.chart).toBeGreaterThan(0);
+    expect(body.totals.tokens.total).toBe(
+      body.totals.tokens.answer +
+        body.totals.tokens.chart +
+        body.totals.tokens.summary
+    );
+    expect(body.chats).toEqual([
+      expect.objectContaining({ title: "Counted", deleted: false }),
+    ]);
+  });
+
+  it("rejects an invalid range", async () => {
+    const backwards = await user.agent
+      .get("/api/stats/usage")
+      .query({ from: "2026-02-01", to: "2026-01-01" })
+      .expect(400);
+    expect(backwards.body.error.code).toBe("VALIDATION_ERROR");
+
+    await user.agent
+      .get("/api/stats/usage")
+      .query({ from: "2000-01-01", granularity: "day" })
+      .expect(400);
+  });
+
+  it("requires a signed-in user", async () => {
+    for (const path of ["/api/stats", "/api/stats/quota", "/api/stats/usage"]) {
+      await request(app).get(path).expect(401);
+    }
+  });
+});
@@ -0,0 +1,25 @@
+// utils/correlation.js
+//
+// Correlation ids tie together the log lines and AI service calls that belong to one
+// API request, including the background jobs it queues. The id is kept in
+// AsyncLocalStorage, so it follows the request through every await.
+const { AsyncLocalStorage } = require("async_hooks");
+
+const storage = new AsyncLocalStorage();
+
+// Ids passed in by clients are only trusted when they look like ids.
+const VALID_ID = /^[\w.:-]{1,100}$/;
+
+const isValidCorrelationId = (id) =>
+  typeof id === "string" && VALID_ID.test(id);
+
+const runWithCorrelationId = (id, fn) => storage.run({ id }, fn);
+
+// The current correlation id, or undefined outside a request or job
+const getCorrelationId = () => storage.getStore()?.id;
+
+module.exports = {
+  isValidCorrelationId,
+  runWithCorrelationId,
+  getCorrelationId,
+};
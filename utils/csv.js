@@ -0,0 +1,21 @@
+// utils/csv.js
+
+// Text that a spreadsheet would run as a formula gets a leading quote.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const toCell = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return String(value);
+
+  let text = String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows of cells as RFC 4180 CSV, with CRLF line endings.
+const toCsv = (rows) =>
+  rows.map((row) => row.map(toCell).join(",")).join("\r\n") + "\r\n";
+
+module.exports = {
+  toCsv,
+};
@@ -0,0 +1,52 @@
+// utils/dateBuckets.js
+
+// Start of the UTC day, ISO week (Monday) or month containing `date`.
+const startOfBucket = (date, granularity) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+
+  if (granularity === "month") return new Date(Date.UTC(year, month, 1));
+  if (granularity === "week") {
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(Date.UTC(year, month, day - daysSinceMonday));
+  }
+  return new Date(Date.UTC(year, month, day));
+};
+
+const nextBucket = (start, granularity) => {
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+  const day = start.getUTCDate();
+
+  if (granularity === "month") return new Date(Date.UTC(year, month + 1, 1));
+  if (granularity === "week") return new Date(Date.UTC(year, month, day + 7));
+  return new Date(Date.UTC(year, month, day + 1));
+};
+
+// Every bucket start between `from` and `to`, inclusive of the buckets they fall in.
+const listBuckets = (from, to, granularity) => {
+  const starts = [];
+  for (
+    let start = startOfBucket(from, granularity);
+    start < to;
+    start = nextBucket(start, granularity)
+  ) {
+    starts.push(start);
+  }
+  return starts;
+};
+
+const countBuckets = (from, to, granularity) => {
+  const days = (to - from) / (24 * 60 * 60 * 1000);
+  if (granularity === "month") return Math.ceil(days / 28) + 1;
+  if (granularity === "week") return Math.ceil(days / 7) + 1;
+  return Math.ceil(days) + 1;
+};
+
+module.exports = {
+  startOfBucket,
+  nextBucket,
+  listBuckets,
+  countBuckets,
+};
@@ -0,0 +1,43 @@
+// utils/errors.js
+
+// An error that is safe to show to the client. Every error response has the shape
+//   { error: { code, message, details? } }
+// where `code` is a stable, machine-readable identifier.
+class AppError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "AppError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const badRequest = (code, message, details) =>
+  new AppError(400, code, message, details);
+
+const unauthorized = (code, message) => new AppError(401, code, message);
+
+const forbidden = (code, message) => new AppError(403, code, message);
+
+const notFound = (code, message) => new AppError(404, code, message);
+
+const conflict = (code, message) => new AppError(409, code, message);
+
+const toErrorBody = (error) => ({
+  error: {
+    code: error.code,
+    message: error.message,
+    ...(error.details !== undefined && { details: error.details }),
+  },
+});
+
+module.exports = {
+  AppError,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  toErrorBody,
+};
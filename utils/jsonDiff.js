@@ -0,0 +1,54 @@
+// utils/jsonDiff.js
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const join = (path, key) => (path ? `${path}.${key}` : String(key));
+
+/**
+ * Lists the differences between two JSON values as
+ *   { op: "added" | "removed" | "changed", path, from?, to? }
+ * Objects and arrays are compared element by element; paths use dots, with array
+ * indexes as segments (e.g. "data.datasets.0.data.3").
+ */
+const jsonDiff = (from, to, path = "", changes = []) => {
+  if (isPlainObject(from) && isPlainObject(to)) {
+    const keys = [
+      ...new Set([...Object.keys(from), ...Object.keys(to)]),
+    ].sort();
+    for (const key of keys) {
+      const childPath = join(path, key);
+      if (!(key in to)) {
+        changes.push({ op: "removed", path: childPath, from: from[key] });
+      } else if (!(key in from)) {
+        changes.push({ op: "added", path: childPath, to: to[key] });
+      } else {
+        jsonDiff(from[key], to[key], childPath, changes);
+      }
+    }
+    return changes;
+  }
+
+  if (Array.isArray(from) && Array.isArray(to)) {
+    for (let i = 0; i < Math.max(from.length, to.length); i++) {
+      const childPath = join(path, i);
+      if (i >= to.length) {
+        changes.push({ op: "removed", path: childPath, from: from[i] });
+      } else if (i >= from.length) {
+        changes.push({ op: "added", path: childPath, to: to[i] });
+      } else {
+        jsonDiff(from[i], to[i], childPath, changes);
+      }
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(from) !== JSON.stringify(to)) {
+    changes.push({ op: "changed", path, from, to });
+  }
+  return changes;
+};
+
+module.exports = {
+  jsonDiff,
+};
@@ -0,0 +1,107 @@
+// utils/pagination.js
+//
+// Keyset pagination for Prisma list queries. A cursor records the sort field, the
+// direction and the last item's sort value and id, so a page always continues right
+// after the previous one, even while rows are being added.
+const { badRequest } = require("./errors");
+
+const invalidCursor = () =>
+  badRequest(
+    "INVALID_CURSOR",
+    "The cursor is invalid or does not match the requested sort order."
+  );
+
+const encodeCursor = (sort, order, value, id) =>
+  Buffer.from(
+    JSON.stringify([
+      sort,
+      order,
+      value instanceof Date ? { date: value.toISOString() } : value,
+      id,
+    ])
+  ).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const [sort, order, value, id] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (typeof id !== "string") return null;
+    return {
+      sort,
+      order,
+      value: typeof value?.date === "string" ? new Date(value.date) : value,
+      id,
+    };
+  } catch (e) {
+    return null;
+  }
+};
+
+// Whether a cursor's sort value has the type of the field it sorts by, so that a
+// tampered cursor is rejected rather than passed on to the query
+const matchesFieldType = (field, value) => {
+  switch (field?.typeName) {
+    case "DateTime":
+      return value instanceof Date && !Number.isNaN(value.getTime());
+    case "Int":
+    case "Float":
+      return Number.isFinite(value);
+    case "String":
+      return typeof value === "string";
+    default:
+      return false;
+  }
+};
+
+// Rows that come after (value, id) when ordering by `sort` then `id`.
+const afterCursor = (sort, order, { value, id }) => {
+  const op = order === "desc" ? "lt" : "gt";
+  return {
+    OR: [{ [sort]: { [op]: value } }, { [sort]: value, id: { [op]: id } }],
+  };
+};
+
+/**
+ * Fetches one page from a Prisma model delegate, e.g. `prisma.chat`. Any extra
+ * options (`include`, `select`) are passed through to `findMany`.
+ * Resolves to `{ items, nextCursor }`; `nextCursor` is null on the last page.
+ */
+const paginate = async (
+  delegate,
+  { where = {}, sort, order, limit, cursor, ...args }
+) => {
+  let after;
+  if (cursor) {
+    after = decodeCursor(cursor);
+    if (
+      !after ||
+      after.sort !== sort ||
+      after.order !== order ||
+      !matchesFieldType(delegate.fields[sort], after.value)
+    ) {
+      throw invalidCursor();
+    }
+  }
+
+  const rows = await delegate.findMany({
+    ...args,
+    where: after ? { AND: [where, afterCursor(sort, order, after)] } : where,
+    orderBy: [{ [sort]: order }, { id: order }],
+    take: limit + 1,
+  });
+
+  const items = rows.slice(0, limit);
+  const last = items[items.length - 1];
+  return {
+    items,
+    nextCursor:
+      rows.length > limit
+        ? encodeCursor(sort, order, last[sort], last.id)
+        : null,
+  };
+};
+
+module.exports = {
+  paginate,
+};
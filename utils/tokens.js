@@ -1,12 +1,14 @@
 // utils/tokens.js
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 
-// Generate access and refresh tokens
-const generateTokens = (user) => {
+// Generate access and refresh tokens for a session
+const generateTokens = (user, sessionId) => {
   const payload = {
     id: user.id,
     email: user.email,
     username: user.username,
+    sid: sessionId,
   };
 
   const accessToken = jwt.sign(payload, process.env.JWT_SECRET, {
@@ -15,8 +17,9 @@ const generateTokens = (user) => {
     audience: "your-app-users",
   });
 
+  // The jti makes every refresh token unique, even two issued in the same second
   const refreshToken = jwt.sign(
-    { id: user.id },
+    { id: user.id, sid: sessionId, jti: crypto.randomUUID() },
     process.env.JWT_REFRESH_SECRET,
     {
       expiresIn: "7d",
@@ -37,6 +40,10 @@ const verifyToken = (token, secret) => {
   }
 };
 
+// Hash a token for storage, so a leaked database row cannot be replayed
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
 // Get token expiration time
 const getTokenExpiration = (token) => {
   try {
@@ -53,25 +60,28 @@ const isTokenExpired = (token) => {
   return expiration ? expiration < new Date() : true;
 };
 
-// Generate password reset token
-const generatePasswordResetToken = (userId) => {
+// Generate password reset token. tokenId becomes the jti, which is what makes
+// the token single-use (see the UserToken model).
+const generatePasswordResetToken = (userId, tokenId) => {
   return jwt.sign({ userId, type: "password-reset" }, process.env.JWT_SECRET, {
     expiresIn: "1h",
+    jwtid: tokenId,
   });
 };
 
 // Generate email verification token
-const generateEmailVerificationToken = (userId, email) => {
+const generateEmailVerificationToken = (userId, email, tokenId) => {
   return jwt.sign(
     { userId, email, type: "email-verification" },
     process.env.JWT_SECRET,
-    { expiresIn: "24h" }
+    { expiresIn: "24h", jwtid: tokenId }
   );
 };
 
 module.exports = {
   generateTokens,
   verifyToken,
+  hashToken,
   getTokenExpiration,
   isTokenExpired,
   generatePasswordResetToken,